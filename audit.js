@@ -0,0 +1,272 @@
+const { AttachmentBuilder, EmbedBuilder, escapeMarkdown } = require('discord.js');
+const { FINISHED_STATUSES } = require('./sessions');
+
+/**
+ * Audit trail for real spins. Every finished (or interrupted) run is posted to
+ * the guild's `auditChannel` as an embed with the matching JSON and CSV
+ * reports attached, and /spin-report hands out the same reports on demand.
+ *
+ * A report is plain data built from the persisted spin session, so it can be
+ * made long after the spin: who started it, who was on the wheel, where each
+ * spin landed, the fairness seeds, every role diff and every failure.
+ */
+
+// Embed field values are capped at 1024 characters
+const FIELD_LIMIT = 1000;
+
+const STATUS_TITLES = {
+    completed: '🎡 Spin completed',
+    cancelled: '🛑 Spin cancelled',
+    aborted: '↩️ Spin aborted and rolled back',
+    undone: '↩️ Spin undone',
+    interrupted: '⚠️ Spin interrupted',
+};
+
+const STATUS_COLORS = {
+    completed: 0x57F287,
+    cancelled: 0xFEE75C,
+    aborted: 0xED4245,
+    undone: 0xED4245,
+    interrupted: 0xED4245,
+};
+
+function roleName(guild, roleId) {
+    const role = guild && guild.roles.cache.get(roleId);
+    return role ? role.name : roleId;
+}
+
+/**
+ * Build the report for a spin session. `guild` resolves role names; without
+ * it the report carries role ids only.
+ */
+function buildRunReport(session, guild = null) {
+    const { run } = session;
+    const role = id => ({ id, name: roleName(guild, id) });
+    return {
+        sessionId: session.id,
+        guildId: session.guildId,
+        channelId: session.channelId,
+        initiatorId: session.initiatorId,
+        status: session.status,
+        dryRun: Boolean(session.options.dryRun),
+        mode: run.mode || null,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt,
+        participants: run.participants.map((participant, i) => ({
+            ...participant,
+            weight: run.participantWeights ? run.participantWeights[i] : null,
+        })),
+        offWheel: run.offWheel,
+        rounds: run.rounds,
+        winner: run.winner,
+        teams: run.teams || null,
+        // The server seed stays secret until the spin is over (an interrupted one may still resume)
+        fairness: run.fairness ? {
+            serverSeedHash: run.fairness.serverSeedHash,
+            clientSeed: run.fairness.clientSeed,
+            serverSeed: FINISHED_STATUSES.includes(session.status) ? run.fairness.serverSeed : null,
+        } : null,
+        roleChanges: session.roleChanges.map(change => ({
+            memberId: change.memberId,
+            name: change.name,
+            reason: change.reason || null,
+            added: change.added.map(role),
+            removed: change.removed.map(role),
+            status: change.status,
+            error: change.error || null,
+            // The member/role pairs Discord refused, for 'partial' and 'failed' changes
+            failures: (change.failures || []).map(f => ({ ...role(f.roleId), action: f.action, error: f.error })),
+            rolledBack: Boolean(change.rolledBack),
+            rollbackError: change.rollbackError || null,
+        })),
+        log: session.log,
+    };
+}
+
+// One CSV field, quoted when it needs to be. Member names are typed by
+// anyone, so text a spreadsheet would run as a formula gets a leading '
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The report as CSV: one row per participant, return, spin, team member and
+ * role change, so it can be filtered in a spreadsheet.
+ */
+function reportToCsv(report) {
+    const rows = [['type', 'order', 'member_id', 'member_name', 'detail', 'status', 'error']];
+    report.participants.forEach((p, i) => {
+        rows.push(['participant', i + 1, p.id, p.name, p.weight === null ? '' : `weight ${p.weight}`, '', '']);
+    });
+    if (report.offWheel) {
+        const { returned } = report.offWheel;
+        rows.push(['returned', '', returned.id, returned.name, `from ${report.offWheel.candidates.length} off the wheel`, '', '']);
+    }
+    for (const round of report.rounds) {
+        rows.push(['spin', round.round, round.id, round.name, `${round.remaining} remaining`, '', '']);
+    }
+    if (report.winner) rows.push(['winner', '', report.winner.id, report.winner.name, '', '', '']);
+    (report.teams || []).forEach((team, i) => {
+        for (const member of team) rows.push(['team', i + 1, member.id, member.name, `Team ${i + 1}`, '', '']);
+    });
+    report.roleChanges.forEach((change, i) => {
+        const diff = [
+            ...change.added.map(role => `+${role.name}`),
+            ...change.removed.map(role => `-${role.name}`),
+        ].join(' ');
+        const status = change.rolledBack ? `${change.status}, rolled back` : change.status;
+        rows.push(['role_change', i + 1, change.memberId, change.name, `${change.reason || ''}: ${diff}`, status,
+            change.error || change.rollbackError || '']);
+    });
+    return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * The report as attachable files
+ * formats: any of 'json', 'csv'
+ */
+function reportFiles(report, formats = ['json', 'csv']) {
+    const base = `spin-${report.startedAt.slice(0, 10)}-${report.sessionId}`;
+    const files = [];
+    if (formats.includes('json')) {
+        files.push(new AttachmentBuilder(Buffer.from(JSON.stringify(report, null, 2)), { name: `${base}.json` }));
+    }
+    if (formats.includes('csv')) {
+        files.push(new AttachmentBuilder(Buffer.from(reportToCsv(report)), { name: `${base}.csv` }));
+    }
+    return files;
+}
+
+// Lines joined into one field value, summarising the tail if they don't fit
+function fieldValue(lines, empty = 'None') {
+    if (lines.length === 0) return empty;
+    const kept = [];
+    let length = 0;
+    for (const [i, line] of lines.entries()) {
+        if (length + line.length + 30 > FIELD_LIMIT) {
+            kept.push(`…and ${lines.length - i} more`);
+            break;
+        }
+        kept.push(line);
+        length += line.length + 1;
+    }
+    return kept.join('\n');
+}
+
+// Names joined with commas, summarising the tail if they don't fit in a field
+function nameList(names) {
+    if (names.length === 0) return 'Nobody';
+    let text = '';
+    for (const [i, name] of names.entries()) {
+        const next = text ? `${text}, ${name}` : name;
+        if (next.length + 30 > FIELD_LIMIT) return `${text}, …and ${names.length - i} more`;
+        text = next;
+    }
+    return text;
+}
+
+function roleDiffLine(change) {
+    const diff = [
+        ...change.added.map(role => `+${role.name}`),
+        ...change.removed.map(role => `−${role.name}`),
+    ].join(' ');
+    const icon = { applied: '✅', partial: '⚠️', failed: '❌' }[change.status] || '⏳';
+    const rollback = change.rolledBack ? ' (rolled back)' : change.rollbackError ? ' (rollback failed)' : '';
+    return `${icon} **${escapeMarkdown(change.name)}** ${diff}${change.reason ? ` — ${change.reason}` : ''}${rollback}`;
+}
+
+/**
+ * Embed summarising a report for the mod-log channel
+ */
+function buildAuditEmbed(report) {
+    const embed = new EmbedBuilder()
+        .setColor(STATUS_COLORS[report.status] || 0x5865F2)
+        .setTitle(`${STATUS_TITLES[report.status] || `🎡 Spin ${report.status}`}${report.dryRun ? ' (dry run)' : ''}`)
+        .setTimestamp(new Date(report.finishedAt || Date.now()))
+        .setFooter({ text: `Session ${report.sessionId}` });
+
+    const started = Math.floor(Date.parse(report.startedAt) / 1000);
+    embed.setDescription(`Started by <@${report.initiatorId}> in <#${report.channelId}> <t:${started}:f>` +
+        (report.mode ? ` · ${report.mode}` : ''));
+
+    if (report.offWheel) {
+        embed.addFields({
+            name: 'Brought back',
+            value: `${escapeMarkdown(report.offWheel.returned.name)} (from ${report.offWheel.candidates.length} off the wheel)`,
+        });
+    }
+    embed.addFields({
+        name: `On the wheel (${report.participants.length})`,
+        value: nameList(report.participants.map(p => escapeMarkdown(p.name))),
+    });
+    if (report.winner) {
+        embed.addFields({ name: 'Winner', value: escapeMarkdown(report.winner.name), inline: true });
+    } else if (report.teams) {
+        embed.addFields({
+            name: 'Teams',
+            value: fieldValue(report.teams.map((team, i) => `Team ${i + 1}: ${team.map(m => escapeMarkdown(m.name)).join(', ')}`)),
+        });
+    }
+    if (report.rounds.length > 0) {
+        embed.addFields({ name: 'Spins', value: `${report.rounds.length}`, inline: true });
+    }
+
+    embed.addFields({
+        name: `Role changes (${report.roleChanges.length})`,
+        value: fieldValue(report.roleChanges.map(roleDiffLine)),
+    });
+    const failures = report.roleChanges.flatMap(change => {
+        const name = escapeMarkdown(change.name);
+        const lines = change.failures.map(f => `**${name}**: couldn't ${f.action} ${escapeMarkdown(f.name)} (${f.error})`);
+        // Changes recorded before failures were kept per pair only have the message
+        if (lines.length === 0 && change.error) lines.push(`**${name}**: ${change.error}`);
+        if (change.rollbackError) lines.push(`**${name}**: rollback failed (${change.rollbackError})`);
+        return lines;
+    });
+    if (failures.length > 0) {
+        embed.addFields({ name: `⚠️ Failures (${failures.length})`, value: fieldValue(failures) });
+    }
+
+    embed.addFields({
+        name: 'RNG proof',
+        value: report.fairness
+            ? `Server seed hash \`${report.fairness.serverSeedHash}\`\nClient seed \`${report.fairness.clientSeed}\`` +
+                (report.fairness.serverSeed ? `\nServer seed \`${report.fairness.serverSeed}\`` : '')
+            : 'Not a fair spin (provablyFair is off)',
+    });
+    return embed;
+}
+
+/**
+ * Post a session's audit entry to the guild's audit channel, if one is set.
+ * Failures are logged, never thrown: the audit log must not break a spin.
+ */
+async function postAuditLog(guild, session, config) {
+    if (!config.auditChannel) return;
+    try {
+        const channel = await guild.channels.fetch(config.auditChannel);
+        if (!channel || !channel.isTextBased()) {
+            console.error(`Audit channel ${config.auditChannel} in guild ${guild.id} is missing or not a text channel`);
+            return;
+        }
+        const report = buildRunReport(session, guild);
+        await channel.send({
+            embeds: [buildAuditEmbed(report)],
+            files: reportFiles(report),
+            allowedMentions: { parse: [] },
+        });
+    } catch (err) {
+        console.error(`Could not post the audit log for session ${session.id}: ${err.message}`);
+    }
+}
+
+module.exports = {
+    buildRunReport,
+    reportToCsv,
+    reportFiles,
+    fieldValue,
+    buildAuditEmbed,
+    postAuditLog,
+};
@@ -1,12 +1,31 @@
-const { Client, GatewayIntentBits, AttachmentBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } = require('discord.js');
-const GIFEncoder = require('gifencoder');
-const { createCanvas } = require('canvas');
-const puppeteer = require('puppeteer');
-const { PNG } = require('pngjs');
-const fs = require('fs');
-const path = require('path');
+const { Client, GatewayIntentBits, PermissionFlagsBits, AttachmentBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, escapeMarkdown } = require('discord.js');
+const history = require('./history');
+const guildConfig = require('./guild-config');
+const scheduler = require('./scheduler');
+const weights = require('./weights');
+const fairness = require('./fairness');
+const sessions = require('./sessions');
+const { createPresenter } = require('./presenter');
+const { openLobby } = require('./lobby');
+const savedWheels = require('./saved-wheels');
+const permissions = require('./permissions');
+const spinModes = require('./spin-modes');
+const audit = require('./audit');
+const roleChanges = require('./role-changes');
+const diagnostics = require('./diagnostics');
+const lifecycle = require('./lifecycle');
+const { spinWheel, orderedForWinner, planSpin } = require('./wheel');
+const { favourFor, replayRun } = require('./replay');
+const { isFormatAvailable } = require('./encoders');
+const { createRenderPool } = require('./render-pool');
+const themes = require('./themes');
+const { registerCommands, settableKeys, configKeyChoices } = require('./commands');
 require('dotenv').config();
 
+// Wheel images and animations render in worker threads so a spin never blocks
+// the bot. RENDER_WORKERS sets the pool size (0 renders on the main thread).
+const renderPool = createRenderPool(process.env.RENDER_WORKERS ? { size: Number(process.env.RENDER_WORKERS) } : {});
+
 // In-memory guild member cache to avoid repeated API calls
 const memberCache = new Map(); // guildId -> { ts: number }
 
@@ -25,7 +44,7 @@ async function fetchMembersIfNeeded(guild, ttl = 60_000) {
 }
 
 /**
- * Async: get users with a role using a cached fetch of guild members.
+ * Async: get users with a role (name or id) using a cached fetch of guild members.
  */
 async function getUsersWithRoleCached(guild, roleName) {
     const role = getRole(guild, roleName);
@@ -35,753 +54,2442 @@ async function getUsersWithRoleCached(guild, roleName) {
 }
 
 /**
- * Show a cancel button under the given message and wait up to `timeout` ms.
- * Resolves `true` if the initiator pressed Cancel, `false` otherwise.
+ * Members for a list of ids, skipping anyone who has left the server
  */
-function waitForCancelButton(spinMessage, initiator, timeout = 7000) {
-    return new Promise(async (resolve) => {
-        if (!spinMessage) return resolve(false);
-        const row = new ActionRowBuilder().addComponents(
-            new ButtonBuilder()
-                .setCustomId('spin_cancel')
-                .setLabel('Cancel')
-                .setStyle(ButtonStyle.Danger)
-        );
-
-        try {
-            await spinMessage.edit({ components: [row] });
-        } catch (e) {
-            // ignore edit errors
-        }
-
-        let resolved = false;
-        const collector = spinMessage.createMessageComponentCollector({ componentType: ComponentType.Button, time: timeout });
-
-        collector.on('collect', async (interaction) => {
-            if (interaction.customId !== 'spin_cancel') return;
-            if (interaction.user.id !== initiator.id) {
-                try { await interaction.reply({ content: 'Only the command issuer can cancel this spin.', ephemeral: true }); } catch (e) {}
-                return;
-            }
-            resolved = true;
-            try { await interaction.update({ content: '🛑 Spin cancelled', components: [] }); } catch (e) {}
-            collector.stop('cancelled');
-            resolve(true);
-        });
+async function rosterMembers(guild, ids) {
+    const members = await fetchMembersIfNeeded(guild);
+    return ids.map(id => members.get(id)).filter(Boolean);
+}
 
-        collector.on('end', async (_collected, reason) => {
-            if (!resolved) {
-                // timeout or other end
-                try { await spinMessage.edit({ components: [] }); } catch (e) {}
-                resolve(false);
-            }
-        });
-    });
+/**
+ * Legacy `!` prefix commands, kept as a fallback while guilds move to slash commands.
+ * PREFIX_COMMANDS=all (default) enables them everywhere, `off` disables them and a
+ * comma-separated list of guild ids enables them only in those guilds.
+ */
+const PREFIX_COMMANDS = (process.env.PREFIX_COMMANDS || 'all').trim().toLowerCase();
+
+function prefixCommandsEnabled(guildId) {
+    // Without the MessageContent intent there is nothing to match against
+    if (PREFIX_COMMANDS === 'off') return false;
+    // A guild's own /config setting wins over the environment default
+    const override = guildConfig.getGuildConfig(guildId).prefixCommands;
+    if (override !== null) return override;
+    if (PREFIX_COMMANDS === 'all') return true;
+    return PREFIX_COMMANDS.split(',').map(id => id.trim()).includes(guildId);
 }
 
 // Bot setup
+// MessageContent is privileged and only needed for the legacy `!` commands
 const client = new Client({
     intents: [
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMessages,
-        GatewayIntentBits.MessageContent,
-        GatewayIntentBits.GuildMembers
+        GatewayIntentBits.GuildMembers,
+        // Who is in which voice channel, for /wheel spin voice:
+        GatewayIntentBits.GuildVoiceStates,
+        ...(PREFIX_COMMANDS === 'off' ? [] : [GatewayIntentBits.MessageContent]),
     ]
 });
 
-// Role names
-const ON_THE_WHEEL = "On the wheel";
-const OFF_THE_WHEEL = "Off the wheel";
-const YOUR_WEEK = "Pig of the week";
-
-// Colors for the wheel (cycling through these)
-const WHEEL_COLORS = [
-    [255, 100, 100],  // Red
-    [100, 255, 100],  // Green
-    [100, 100, 255],  // Blue
-    [255, 255, 100],  // Yellow
-    [255, 100, 255],  // Magenta
-    [100, 255, 255],  // Cyan
-    [255, 200, 100],  // Orange
-    [200, 100, 255],  // Purple
-];
-
-// Pointer angle (radians). 0 == 0° (points to the right).
-const POINTER_ANGLE = 0;
-// Fixed number of rotations before landing (deterministic)
-const FIXED_ROTATIONS = 4;
-
-/**
- * Create a visual representation of the wheel with names
- */
-function createWheelImage(names, winnerIndex = null, size = 800, rotation = 0) {
-    const canvas = createCanvas(size, size);
-    const ctx = canvas.getContext('2d');
-
-    const centerX = size / 2;
-    const centerY = size / 2;
-    const radius = size / 2 - 20;
-
-    // Clear background
-    ctx.fillStyle = 'white';
-    ctx.fillRect(0, 0, size, size);
-
-    if (!names || names.length === 0) {
-        ctx.fillStyle = 'black';
-        ctx.font = '30px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText('No names', centerX, centerY);
-        return canvas;
-    }
-
-    const numSegments = names.length;
-    const anglePerSegment = (2 * Math.PI) / numSegments;
-
-    // Apply rotation around center
-    ctx.save();
-    ctx.translate(centerX, centerY);
-    ctx.rotate(rotation);
-
-    // Draw wheel segments centered at (0,0)
-    for (let i = 0; i < names.length; i++) {
-        const startAngle = i * anglePerSegment - Math.PI / 2;
-        const endAngle = (i + 1) * anglePerSegment - Math.PI / 2;
-
-        let color = WHEEL_COLORS[i % WHEEL_COLORS.length];
-        if (winnerIndex !== null && i === winnerIndex) {
-            color = color.map(c => Math.min(255, c + 50));
-        }
-
-        ctx.beginPath();
-        ctx.moveTo(0, 0);
-        ctx.arc(0, 0, radius, startAngle, endAngle);
-        ctx.closePath();
-        ctx.fillStyle = `rgb(${color[0]}, ${color[1]}, ${color[2]})`;
-        ctx.fill();
-        ctx.strokeStyle = 'black';
-        ctx.lineWidth = 2;
-        ctx.stroke();
-
-        // Draw name text
-        const midAngle = (startAngle + endAngle) / 2;
-        const textRadius = radius * 0.7;
-        const textX = textRadius * Math.cos(midAngle);
-        const textY = textRadius * Math.sin(midAngle);
-        const displayName = names[i];
-
-        ctx.save();
-        ctx.translate(textX, textY);
-            // Rotate labels so they read along the radius (long-ways).
-            // Flip by PI for segments on the left side so text remains upright.
-            let textRotation = midAngle + Math.PI / 2;
-            if (Math.cos(midAngle) < 0) textRotation += Math.PI;
-            ctx.rotate(textRotation);
-
-        // Fit text: try to reduce font size to fit the available arc width.
-        let fontSize = 20;
-        ctx.fillStyle = 'black';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.font = `bold ${fontSize}px Arial`;
-
-        // approximate available width on the arc for this segment
-        const maxWidth = Math.max(40, anglePerSegment * textRadius * 0.9);
-        while (fontSize > 8 && ctx.measureText(displayName).width > maxWidth) {
-            fontSize--;
-            ctx.font = `bold ${fontSize}px Arial`;
-        }
-
-        const chars = displayName.split('');
-            const charSpacing = fontSize - 6;
-            const totalW = chars.length * charSpacing;
-            let startX = -totalW / 2 + charSpacing / 2;
-
-            ctx.save();
-            // rotate so characters appear upright horizontally on-screen
-            ctx.rotate(-Math.PI / 2);
-            for (let k = 0; k < chars.length; k++) {
-                ctx.fillText(chars[k], startX + k * charSpacing, 0);
-            }
-            ctx.restore();
-
-        ctx.restore();
-    }
-
-    // Center circle
-    ctx.beginPath();
-    ctx.arc(0, 0, 30, 0, 2 * Math.PI);
-    ctx.fillStyle = 'white';
-    ctx.fill();
-    ctx.strokeStyle = 'black';
-    ctx.lineWidth = 3;
-    ctx.stroke();
-
-    ctx.restore();
-
-    // Draw fixed pointer at the configured angle (not rotated with the wheel)
-    (function drawPointer() {
-        const angle = POINTER_ANGLE; // absolute angle where pointer points
-        // Flip pointer so the tip points toward the wheel center (inward)
-        const tipDist = radius - 10; // tip sits slightly inside wheel
-        const baseDist = radius + 18; // base of triangle sits outside wheel
-        const sideOffset = 24; // how wide the pointer base is
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-        const tipX = centerX + tipDist * Math.cos(angle);
-        const tipY = centerY + tipDist * Math.sin(angle);
+/**
+ * Get a role by id, or by name case-insensitive
+ */
+function getRole(guild, roleName) {
+    return guild.roles.cache.get(roleName) || guild.roles.cache.find(role => 
+        role.name.toLowerCase() === roleName.toLowerCase()
+    );
+}
 
-        const baseCenterX = centerX + baseDist * Math.cos(angle);
-        const baseCenterY = centerY + baseDist * Math.sin(angle);
+/**
+ * Display name for a configured role setting (which may hold a role id)
+ */
+function roleLabel(guild, roleName) {
+    const role = guild && getRole(guild, roleName);
+    return role ? role.name : roleName;
+}
 
-        const leftX = baseCenterX + sideOffset * Math.cos(angle + Math.PI / 2);
-        const leftY = baseCenterY + sideOffset * Math.sin(angle + Math.PI / 2);
+/**
+ * Get all users with a specific role
+ */
+function getUsersWithRole(guild, roleName) {
+    const role = getRole(guild, roleName);
+    if (!role) {
+        return [];
+    }
 
-        const rightX = baseCenterX + sideOffset * Math.cos(angle - Math.PI / 2);
-        const rightY = baseCenterY + sideOffset * Math.sin(angle - Math.PI / 2);
+    return guild.members.cache.filter(member => 
+        member.roles.cache.has(role.id)
+    ).map(member => member);
+}
 
-        ctx.beginPath();
-        ctx.moveTo(tipX, tipY);
-        ctx.lineTo(leftX, leftY);
-        ctx.lineTo(rightX, rightY);
-        ctx.closePath();
-        ctx.fillStyle = 'red';
-        ctx.fill();
-        ctx.strokeStyle = 'black';
-        ctx.lineWidth = 2;
-        ctx.stroke();
-    })();
+/**
+ * Random source for one labelled step of a spin: seeded for fair spins,
+ * Math.random otherwise.
+ */
+function randomFor(ctx, label) {
+    if (!ctx.fairness) return Math.random;
+    return fairness.createRandom(ctx.fairness.serverSeed, ctx.fairness.clientSeed, label);
+}
 
-    return canvas;
+/**
+ * Announcement for where a spin landed (see spinModes.recordLanding)
+ */
+function landingMessage(event, nameOf) {
+    const name = `**${nameOf(event.id)}**`;
+    switch (event.kind) {
+        case 'eliminated':
+            return `🎯 ${name} has been removed from the wheel!`;
+        case 'picked':
+            return `🎯 The wheel picked ${name}!`;
+        case 'hit': {
+            const msg = `🎯 ${name} is hit! (${event.hits}/${spinModes.BEST_OF_HITS})`;
+            return event.tie
+                ? `${msg}\n⚖️ Nobody was hit twice, so one more spin between ${event.tie.map(nameOf).join(', ')} decides.`
+                : msg;
+        }
+        case 'drafted': {
+            const msg = `🎯 ${name} joins Team ${event.team + 1}!`;
+            return event.last ? `${msg}\n**${nameOf(event.last.id)}** is last and joins Team ${event.last.team + 1}.` : msg;
+        }
+        default:
+            return `🎯 ${name}`;
+    }
 }
 
-// Node-side sleep used for polling (avoids calling Puppeteer page.waitForTimeout)
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+// One line per drafted team: members as { id, name }
+function formatTeams(teams) {
+    return teams.map((team, i) => `**Team ${i + 1}** (${team.length}): ${team.map(member => member.name).join(', ')}`).join('\n');
 }
 
-// (no-op) helper removed — using Puppeteer's built-in timing
+// Compact member representation stored in the spin history
+function toHistoryMember(member) {
+    return { id: member.id, name: member.displayName };
+}
 
 /**
- * Create an animated GIF that spins and stops on the winner
- * OPTIMIZED: Reduced canvas size, frames, and GIF quality for lower cloud costs
+ * Format the most recent runs (newest first) for the !history command
  */
-async function createSpinningAnimation(names, winnerIndex, channel) {
-    if (!names || names.length === 0) return null;
-    const size = 600; // OPTIMIZED: Reduced from 800 (44% smaller file, faster encoding)
+function formatHistory(runs) {
+    if (runs.length === 0) return '📜 No spins recorded yet.';
+    const lines = runs.map((run, i) => {
+        const date = run.finishedAt.slice(0, 10);
+        const result = run.winner ? `🏆 **${run.winner.name}**` : `🏅 ${run.teams.length} teams drafted`;
+        let line = `${i + 1}. ${date} — ${result} (${run.participants.length} on the wheel)`;
+        if (run.offWheel) line += `, 🎉 ${run.offWheel.returned.name} returned`;
+        return line;
+    });
+    return `📜 **Last ${runs.length} spin${runs.length === 1 ? '' : 's'}**\n${lines.join('\n')}`;
+}
 
-    const totalRotations = FIXED_ROTATIONS; // deterministic spins
-    const totalFrames = 40; // OPTIMIZED: Reduced from 60 (33% fewer calculations)
-    const slowDownFrames = 15; // OPTIMIZED: Reduced from 20
+/**
+ * Format a member's statistics for the !stats command
+ */
+function formatMemberStats(member, stats, config) {
+    if (stats.runs === 0) return `📊 No spins recorded for **${member.displayName}** yet.`;
+    const avgRound = stats.averageEliminationRound === null
+        ? 'n/a'
+        : stats.averageEliminationRound.toFixed(1);
+    return [
+        `📊 **Stats for ${member.displayName}**`,
+        `Spins: ${stats.runs}`,
+        `${config.winnerTitle}: ${stats.wins} time${stats.wins === 1 ? '' : 's'}` +
+            (stats.lastWin ? ` (last on ${stats.lastWin.slice(0, 10)})` : ''),
+        `Win streak: ${stats.currentStreak} current, ${stats.longestStreak} longest`,
+        `Knocked off the wheel: ${stats.eliminations} (average round ${avgRound})`,
+        `Brought back from Off the wheel: ${stats.returns}`,
+    ].join('\n');
+}
 
-    const anglePerSegment = (2 * Math.PI) / names.length;
-    // mid-angle of the winner segment (at rotation=0)
-    const winnerMidAngle = ((winnerIndex + 0.5) * anglePerSegment) - (Math.PI / 2);
-    // We want the winner to land at POINTER_ANGLE. Add fixed whole rotations before landing.
-    const finalRotationRad = (totalRotations * 2 * Math.PI) + (POINTER_ANGLE - winnerMidAngle);
+// A guild's wheel theme with its customisations applied
+function wheelTheme(config) {
+    return themes.resolveTheme(config.theme, config.themeOverrides);
+}
 
-    const encoder = new GIFEncoder(size, size);
-    const buffers = [];
-    const stream = encoder.createReadStream();
-    stream.on('data', (chunk) => buffers.push(chunk));
+// Renderer for a run: the invocation's choice if given, else the guild's
+function rendererFor(ctx) {
+    return ctx.renderer || ctx.config.renderer;
+}
 
-    encoder.start();
-    encoder.setRepeat(0);
-    encoder.setQuality(15); // OPTIMIZED: Changed from 10 (higher = more compression, smaller file)
-    encoder.setDelay(30); // OPTIMIZED: Set default delay to reduce per-frame overhead
+// Attachment size limit by server boost tier, with some headroom for the request
+const UPLOAD_LIMITS = { 0: 10, 1: 10, 2: 50, 3: 100 };
 
-    function easeOutCubic(t) { return 1 - Math.pow(1 - t, 3); }
+function uploadLimit(guild) {
+    const megabytes = UPLOAD_LIMITS[guild.premiumTier] || UPLOAD_LIMITS[0];
+    return Math.floor(megabytes * 1024 * 1024 * 0.95);
+}
 
-    for (let frame = 0; frame < totalFrames; frame++) {
-        let progress = frame / (totalFrames - 1);
-        const eased = easeOutCubic(progress);
-        const angle = eased * finalRotationRad;
+// Small avatar URL for drawing inside a slice
+function avatarUrl(member) {
+    return member.displayAvatarURL({ extension: 'png', size: 64 });
+}
 
-        // OPTIMIZED: Calculate delay once per frame instead of twice
-        let frameDelay;
-        if (frame < totalFrames - slowDownFrames) {
-            frameDelay = 30;
-        } else {
-            frameDelay = 50 + (frame - (totalFrames - slowDownFrames)) * 15;
-        }
-        encoder.setDelay(frameDelay);
+/**
+ * Start rendering the spin animation for `names` landing on `winnerIndex` in
+ * the render pool, so it can render while status messages are posted.
+ * options: { segmentWeights, random, avatars }
+ *   segmentWeights sizes the slices to match the pick odds,
+ *   random drives the slice order shuffle and the motion (seeded for fair spins),
+ *   avatars are image URLs parallel to `names` for themes that show them.
+ * Returns the pending render (see renderSpin in wheel.js), or null when the
+ * run isn't animated.
+ */
+function prepareSpin(ctx, names, winnerIndex, { segmentWeights = null, random = Math.random, avatars = [] } = {}) {
+    if (!ctx.animate) return null;
+
+    // Reorder names (and their weights and avatars) so the chosen winner is at
+    // index 0, then animate landing at pointer
+    const entries = names.map((name, i) => ({ name, weight: segmentWeights ? segmentWeights[i] : 1, avatar: avatars[i] }));
+    const ordered = orderedForWinner(entries, winnerIndex, random);
+    const orderedWeights = segmentWeights ? ordered.map(entry => entry.weight) : null;
+    // The motion is planned here, not in the render worker: the render pool
+    // caches identical jobs, so a job without its own motion would replay the
+    // last spin frame for frame. Fair spins take it from their seeds too.
+    const plan = planSpin(ordered.length, 0, orderedWeights, {
+        random,
+        easing: ctx.config.spinEasing,
+        overshootChance: ctx.config.nearMissChance,
+    });
+    const render = renderPool.renderSpin({
+        renderer: rendererFor(ctx),
+        names: ordered.map(entry => entry.name),
+        winnerIndex: 0,
+        segmentWeights: orderedWeights,
+        theme: wheelTheme(ctx.config),
+        avatars: ordered.map(entry => entry.avatar),
+        options: {
+            format: ctx.config.animationFormat,
+            quality: ctx.config.animationQuality,
+            maxBytes: uploadLimit(ctx.guild),
+            plan,
+        },
+    });
+    // Awaited by animateSpin; this only keeps an abandoned render from going unhandled
+    render.catch(() => {});
+    return render;
+}
 
-        // OPTIMIZED: Single canvas draw per frame (highlight integrated)
-        const isHighlight = frame >= totalFrames - 5;
-        const canvas = createWheelImage(names, isHighlight ? winnerIndex : null, size, angle);
-        const ctx = canvas.getContext('2d');
-        encoder.addFrame(ctx);
+/**
+ * Post the "getting ready" status, play the spin animation and give the
+ * initiator a window to cancel. Takes prepareSpin's options, plus `prepared`
+ * for a render already started with prepareSpin.
+ * Resolves `true` if the spin was cancelled.
+ */
+async function animateSpin(ctx, names, winnerIndex, { prepared = null, ...options } = {}) {
+    if (!ctx.animate) return false;
+
+    const render = prepared || prepareSpin(ctx, names, winnerIndex, options);
+    await ctx.presenter.status('🔄 Getting ready to spin, please wait...');
+    const animation = await render;
+    if (!animation) {
+        await ctx.presenter.post('⚠️ The spin animation is too large to upload here, skipping it.');
+        return false;
     }
 
-    encoder.finish();
-    await new Promise((resolve) => stream.on('end', resolve));
-
-    const gifBuffer = Buffer.concat(buffers);
-    const attachment = new AttachmentBuilder(gifBuffer, { name: 'wheel_spin.gif' });
-    const spinMessage = await channel.send({ files: [attachment] });
-    return spinMessage;
+    return ctx.presenter.showSpin(animation, ctx.initiator, ctx.config.cancelTimeoutMs, cancelDenialFor(ctx));
 }
 
 /**
- * Create an animation by rendering an HTML/CSS animated wheel in headless Chromium.
- * The provided winnerIndex will be placed at index 0 in the randomized list so
- * the wheel can always land at the same pointer position while the ordering
- * of names changes between spins.
+ * Who may use a spin's Cancel button: its initiator, the roles allowed to
+ * cancel and admins. Returns a check for the presenter: null if the presser
+ * may, otherwise the message to show them.
  */
-async function createCssSpinAnimation(names, winnerIndex, channel) {
-        // Simplified: use the server-side canvas GIF generator instead of Puppeteer.
-        // This is reliable and easier to maintain.
-            return await createSpinningAnimation(names, 0, channel);
+function cancelDenialFor(ctx) {
+    return interaction => permissions.permissionDenial(interaction.member, 'cancel', ctx.config, { initiatorId: ctx.initiator.id });
 }
 
 /**
- * Get a role by name, case-insensitive
+ * Check that `member` may hold a spin in `channel`: the run permission (test
+ * for dry runs and test spins), the spin channels and, for real spins, the
+ * cooldown since the last recorded one.
+ * Resolves to null when allowed, otherwise the message to show them.
  */
-function getRole(guild, roleName) {
-    return guild.roles.cache.find(role => 
-        role.name.toLowerCase() === roleName.toLowerCase()
-    );
+async function spinDenial(member, channel, config, { real }) {
+    const denied = permissions.permissionDenial(member, real ? 'run' : 'test', config) ||
+        permissions.channelDenial(member, channel, config);
+    if (denied || !real) return denied;
+    const [lastRun] = await history.getRecentRuns(channel.guild.id, 1);
+    return permissions.cooldownDenial(member, lastRun ? lastRun.startedAt : null, config);
 }
 
 /**
- * Get all users with a specific role
+ * Presenter for a run: the invocation's choice if given, else the guild's
  */
-function getUsersWithRole(guild, roleName) {
-    const role = getRole(guild, roleName);
-    if (!role) {
-        return [];
-    }
-
-    return guild.members.cache.filter(member => 
-        member.roles.cache.has(role.id)
-    ).map(member => member);
+function presenterFor(ctx, title) {
+    return createPresenter(ctx.channel, ctx.presentation || ctx.config.presentation, { title });
 }
 
 /**
- * Update a user's roles
+ * Let the presenter show the wheel as it stands between spins. The PNG is
+ * only rendered if the presenter actually displays it.
  */
-async function updateUserRoles(member, addRoles, removeRoles) {
-    try {
-        if (addRoles && addRoles.length > 0) {
-            await member.roles.add(addRoles, 'Wheel spin result');
-        }
-        if (removeRoles && removeRoles.length > 0) {
-            await member.roles.remove(removeRoles, 'Wheel spin result');
-        }
-        return true;
-    } catch (error) {
-        console.error(`Error updating roles: ${error.message}`);
-        return false;
-    }
+async function showCurrentWheel(ctx, names, segmentWeights = null, avatars = []) {
+    await ctx.presenter.showWheel(() => renderPool.renderWheel({
+        renderer: rendererFor(ctx),
+        names,
+        segmentWeights,
+        theme: wheelTheme(ctx.config),
+        avatars,
+    }));
 }
 
 /**
- * Spin the wheel and return a random winner
+ * Run the full wheel flow with fake data. Nothing in the guild is touched.
+ * ctx: { guild, channel, initiator, animate, config, presentation, renderer, mode, teams }
+ *   mode and teams override the guild's spinMode and draftTeams.
+ * Returns a one-line summary for the invoker.
  */
-function spinWheel(users) {
-    if (!users || users.length === 0) {
-        return null;
+async function runTestSpin(ctx) {
+    ctx.presenter = presenterFor(ctx, '🎡 Test spin');
+    let summary;
+    try {
+        summary = await runTestSteps(ctx);
+        return summary;
+    } finally {
+        await ctx.presenter.finish(summary || '⚠️ Stopped');
     }
-    // return a random index (caller can get the item by index)
-    return Math.floor(Math.random() * users.length);
 }
 
-// Shuffle helper
-function shuffleArray(arr) {
-    const a = arr.slice();
-    for (let i = a.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [a[i], a[j]] = [a[j], a[i]];
-    }
-    return a;
-}
+async function runTestSteps(ctx) {
+    const { guild, config, presenter } = ctx;
+    const onLabel = roleLabel(guild, config.onRole);
+    const offLabel = roleLabel(guild, config.offRole);
+    await presenter.post("🎡 Starting the wheel spinning process with TEST DATA...");
+
+    // Test data
+    const testNamesOffWheel = [
+        "Alice", "Bob", "Charlie", "Diana", "Eve", "Frank", "Grace", "Henry"
+    ];
+
+    const testNamesOnWheel = [
+        "Iris", "Jack", "Kate", "Liam", "Mia", "Noah", "Olivia", "Paul", "Quinn", "Ryan"
+    ];
+
+    // Step 1: Check if we need to spin for "Off the wheel" users
+    if (testNamesOffWheel.length >= config.offWheelThreshold) {
+        await presenter.status(
+            `🔄 Found ${testNamesOffWheel.length} users '${offLabel}'. Spinning to bring one back...`
+        );
 
-// Return a new array where the chosen winnerIndex is placed at index 0,
-// and the remaining items are shuffled (so animation can always land on index 0).
-function orderedForWinner(names, winnerIndex) {
-    if (!Array.isArray(names) || names.length === 0) return [];
-    const winner = names[winnerIndex];
-    const others = names.slice();
-    others.splice(winnerIndex, 1);
-    const shuffled = shuffleArray(others);
-    return [winner, ...shuffled];
-}
+        const winnerIndex = spinWheel(testNamesOffWheel);
+        const winner = testNamesOffWheel[winnerIndex];
 
-// Bot events
-function handleReady() {
-    console.log('═══════════════════════════════════════');
-    console.log('🎡 SPINNY IS ONLINE! 🎡');
-    console.log(`Logged in as: ${client.user.tag}`);
-    console.log(`Bot ID: ${client.user.id}`);
-    console.log(`Ready to spin wheels! Use !spin or !test`);
-    console.log('═══════════════════════════════════════');
-}
+        if (await animateSpin(ctx, testNamesOffWheel, winnerIndex)) {
+            return '🛑 Spin cancelled.';
+        }
 
-// Listen for both names to silence deprecation and remain compatible across versions
-client.once('ready', handleReady);
-client.once('clientReady', handleReady);
+        await presenter.post(`🎉 **${winner}** is back on the wheel! (TEST MODE - no roles updated)`);
+    } else {
+        await presenter.post(
+            `ℹ️ Only ${testNamesOffWheel.length} users '${offLabel}' (need ${config.offWheelThreshold}+ to spin). Skipping this step.`
+        );
+    }
 
-client.on('messageCreate', async (message) => {
-    // Ignore messages from bots
-    if (message.author.bot) return;
+    // Step 2: Spin for "On the wheel" users in the chosen mode
+    if (testNamesOnWheel.length < config.minOnWheel) {
+        const msg = `❌ Need at least ${config.minOnWheel} users with '${onLabel}' role to spin. Currently: ${testNamesOnWheel.length}`;
+        await presenter.post(msg);
+        return msg;
+    }
 
-    // Check for !test command (uses fake data)
-    if (message.content === '!test') {
-        await message.channel.send("🎡 Starting the wheel spinning process with TEST DATA...");
+    const mode = ctx.mode || config.spinMode;
+    // The fake names double as ids
+    const draw = spinModes.createDraw(mode, testNamesOnWheel, { teamCount: ctx.teams || config.draftTeams });
+    const totalSpins = spinModes.expectedSpins(mode, testNamesOnWheel.length);
+    await presenter.status(
+        `🎡 Spinning the wheel for ${testNamesOnWheel.length} users '${onLabel}' (${spinModes.SPIN_MODES[mode].label})...`
+    );
+    presenter.setProgress(0, totalSpins);
 
-        // Test data
-        const testNamesOffWheel = [
-            "Alice", "Bob", "Charlie", "Diana", "Eve", "Frank", "Grace", "Henry"
-        ];
+    let spin;
+    while ((spin = spinModes.nextSpin(draw))) {
+        const roundNum = draw.spins + 1;
+        const winnerIndex = spinWheel(spin.ids);
+        const prepared = prepareSpin(ctx, spin.ids, winnerIndex);
 
-        const testNamesOnWheel = [
-            "Iris", "Jack", "Kate", "Liam", "Mia", "Noah", "Olivia", "Paul", "Quinn", "Ryan"
-        ];
+        await presenter.status(`🔄 Round ${roundNum}: Spinning...`);
 
-        const messagesToCleanup = [];
+        if (await animateSpin(ctx, spin.ids, winnerIndex, { prepared })) {
+            return '🛑 Spin cancelled.';
+        }
 
-        // Step 1: Check if we need to spin for "Off the wheel" users
-        if (testNamesOffWheel.length >= 6) {
-            const infoMsg = await message.channel.send(
-                `🔄 Found ${testNamesOffWheel.length} users 'Off the wheel'. Spinning to bring one back...`
-            );
-            messagesToCleanup.push(infoMsg);
-
-            const winnerIndex = spinWheel(testNamesOffWheel);
-            const winner = testNamesOffWheel[winnerIndex];
-
-            // Reorder names so the chosen winner will be at index 0 during animation
-            const orderedTestOff = orderedForWinner(testNamesOffWheel, winnerIndex);
-
-            // Create animation (show status while generating)
-            const statusMsg = await message.channel.send('🔄 Getting ready to spin, please wait...');
-            messagesToCleanup.push(statusMsg);
-            const spinMsg = await createCssSpinAnimation(orderedTestOff, 0, message.channel);
-            if (spinMsg) {
-                const cancelled = await waitForCancelButton(spinMsg, message.author, 7000);
-                try { await spinMsg.delete(); } catch (e) { /* ignore */ }
-                if (cancelled) {
-                    await message.channel.send('🛑 Spin cancelled.');
-                    return;
-                }
-            }
+        const event = spinModes.recordLanding(draw, spin.ids[winnerIndex]);
+        await presenter.post(landingMessage(event, name => name));
+        if (event.kind === 'eliminated') presenter.eliminated(event.id);
+        presenter.setProgress(Math.min(draw.spins, totalSpins), totalSpins);
+        const next = spinModes.nextSpin(draw);
+        if (next) await showCurrentWheel(ctx, next.ids);
 
-            await message.channel.send(`🎉 **${winner}** is back on the wheel! (TEST MODE - no roles updated)`);
-        } else {
-            await message.channel.send(
-                `ℹ️ Only ${testNamesOffWheel.length} users 'Off the wheel' (need 6+ to spin). Skipping this step.`
-            );
-        }
+        // Small delay for better UX
+        await sleep(500);
+    }
 
-        // Step 2: Spin for "On the wheel" users until one remains
-        if (testNamesOnWheel.length < 2) {
-            await message.channel.send(
-                `❌ Need at least 2 users with 'On the wheel' role to spin. Currently: ${testNamesOnWheel.length}`
-            );
-            return;
-        }
+    if (draw.teams) {
+        const teams = draw.teams.map(team => team.map(name => ({ id: name, name })));
+        await presenter.post(`🏅 **Teams** (TEST MODE - no roles updated)\n${formatTeams(teams)}`);
+        return `🏅 Test spin finished: ${teams.length} teams drafted.`;
+    }
 
-        const startMsg = await message.channel.send(
-            `🎡 Spinning the wheel for ${testNamesOnWheel.length} users 'On the wheel'...`
+    // Final winner
+    if (draw.winnerId) {
+        const finalWinner = draw.winnerId;
+        await presenter.post(
+            `🏆 **FINAL WINNER: ${finalWinner}** is ${config.winnerTitle}! (TEST MODE - no roles updated)`
         );
-        messagesToCleanup.push(startMsg);
-
-        const remainingNames = [...testNamesOnWheel];
-        let roundNum = 1;
-
-        while (remainingNames.length > 1) {
-            const winnerIndex = spinWheel(remainingNames);
-            const winner = remainingNames[winnerIndex];
-
-            const roundMsg = await message.channel.send(`🔄 Round ${roundNum}: Spinning...`);
-            messagesToCleanup.push(roundMsg);
-
-            // Create and send animation (show status while generating)
-            const statusMsg = await message.channel.send('🔄 Getting ready to spin, please wait...');
-            messagesToCleanup.push(statusMsg);
-            const orderedNames = orderedForWinner(remainingNames, winnerIndex);
-            const spinMsg = await createCssSpinAnimation(orderedNames, 0, message.channel);
-            if (spinMsg) {
-                const cancelled = await waitForCancelButton(spinMsg, message.author, 7000);
-                try { await spinMsg.delete(); } catch (e) { /* ignore */ }
-                if (cancelled) {
-                    await message.channel.send('🛑 Spin cancelled.');
-                    return;
-                }
-            }
+        return `🏆 Test spin finished: ${finalWinner} won.`;
+    }
+    await presenter.post("❌ Error: No final winner determined!");
+    return '❌ No final winner determined.';
+}
 
-            await message.channel.send(`🎯 **${winner}** has been removed from the wheel!`);
+// Entry text safe to post: no markdown and no pings (the wheel image keeps the raw text)
+function safeEntry(name) {
+    return escapeMarkdown(name).replace(/@/g, '@\u200b');
+}
 
-            // Remove winner from remaining names (original array)
-            remainingNames.splice(winnerIndex, 1);
-            roundNum++;
+// Largest wheel file /wheel import will download
+const MAX_WHEEL_IMPORT_BYTES = 256 * 1024;
 
-            // Small delay for better UX
-            await sleep(500);
+/**
+ * Entries for /wheel spin: typed ones ([{ name, weight }], see
+ * savedWheels.parseEntries) first, then the members of `roles` and the voice
+ * channel at weight 1. Exact repeats are dropped. Returns [{ name, weight, avatar }].
+ * Throws an Error with a user-facing message if the wheel can't be built.
+ */
+async function collectWheelEntries(guild, { entries = [], roles = [], voice = null }) {
+    const collected = [];
+    const seen = new Set();
+    const add = (name, weight, avatar) => {
+        if (!name || seen.has(name)) return;
+        seen.add(name);
+        collected.push({ name, weight, avatar });
+    };
+
+    for (const entry of entries) add(entry.name, entry.weight);
+    for (const role of roles) {
+        for (const member of await getUsersWithRoleCached(guild, role.id)) {
+            if (!member.user.bot) add(member.displayName, 1, avatarUrl(member));
         }
-
-        // Final winner
-        if (remainingNames.length === 1) {
-            const finalWinner = remainingNames[0];
-            await message.channel.send(
-                `🏆 **FINAL WINNER: ${finalWinner}** is this week's winner! (TEST MODE - no roles updated)`
-            );
-        } else {
-            await message.channel.send("❌ Error: No final winner determined!");
+    }
+    if (voice) {
+        for (const member of voice.members.values()) {
+            if (!member.user.bot) add(member.displayName, 1, avatarUrl(member));
         }
+    }
 
-        // Clean up intermediate messages after a short delay
-        setTimeout(async () => {
-            for (const msg of messagesToCleanup) {
-                try {
-                    await msg.delete();
-                } catch (err) {
-                    // Ignore errors (message might already be deleted)
-                }
-            }
-        }, 3000);
-        return;
+    if (collected.length < 2) throw new Error('A wheel needs at least 2 entries');
+    if (collected.length > savedWheels.MAX_ENTRIES) {
+        throw new Error(`A wheel can have at most ${savedWheels.MAX_ENTRIES} entries (got ${collected.length})`);
     }
+    return collected;
+}
 
-    // Check for !spin command
-    if (message.content === '!spin') {
-        if (!message.guild) {
-            await message.channel.send("This command can only be used in a server!");
-            return;
+/**
+ * Spin an ad-hoc wheel. No roles or history are touched.
+ * ctx: { guild, channel, initiator, animate, config }
+ * entries: [{ name, weight, avatar }]; mode: 'single' picks one entry (in
+ * proportion to its weight), 'elimination' knocks entries off until one is
+ * left (the heavier an entry, the longer it tends to last).
+ * Returns a one-line summary for the invoker.
+ */
+async function runAdHocWheel(ctx, entries, { mode = 'single', title = 'Wheel' } = {}) {
+    ctx.presenter = presenterFor(ctx, `🎡 ${title}`);
+    let summary;
+    try {
+        summary = await runAdHocSteps(ctx, entries, mode, title);
+        return summary;
+    } finally {
+        await ctx.presenter.finish(summary || '⚠️ Stopped');
+    }
+}
+
+async function runAdHocSteps(ctx, entries, mode, title) {
+    const { presenter } = ctx;
+    const remaining = [...entries];
+    const heading = safeEntry(title);
+    const elimination = mode === 'elimination';
+    // Equal slices unless some entry is weighted
+    const weighted = entries.some(entry => entry.weight !== 1);
+    const slicesFor = list => {
+        if (!weighted) return null;
+        const favour = list.map(entry => entry.weight);
+        return elimination ? weights.eliminationWeights(favour) : favour;
+    };
+
+    await presenter.post(
+        `🎡 **${heading}**: ${remaining.length} entries, ${elimination ? 'knocking one off per spin until one is left' : 'one spin'}.`
+    );
+    if (elimination) presenter.setProgress(0, entries.length - 1);
+
+    let roundNum = 1;
+    while (remaining.length > 1) {
+        const names = remaining.map(entry => entry.name);
+        const avatars = remaining.map(entry => entry.avatar);
+        const segmentWeights = slicesFor(remaining);
+        const winnerIndex = spinWheel(names, segmentWeights);
+        const landed = remaining[winnerIndex];
+
+        const prepared = prepareSpin(ctx, names, winnerIndex, { segmentWeights, avatars });
+        if (elimination) await presenter.status(`🔄 Round ${roundNum}: Spinning...`);
+        if (await animateSpin(ctx, names, winnerIndex, { prepared })) {
+            return '🛑 Spin cancelled.';
         }
 
-        // Check if bot has necessary permissions
-        if (!message.guild.members.me.permissions.has('ManageRoles')) {
-            await message.channel.send("❌ I need the 'Manage Roles' permission to work!");
-            return;
+        if (!elimination) {
+            await presenter.post(`🎯 The wheel picked **${safeEntry(landed.name)}**!`);
+            return `🎯 ${heading}: **${safeEntry(landed.name)}**`;
         }
 
-        await message.channel.send("🎡 Starting the wheel spinning process...");
+        await presenter.post(`🎯 **${safeEntry(landed.name)}** is off the wheel!`);
+        remaining.splice(winnerIndex, 1);
+        presenter.eliminated(landed.name);
+        presenter.setProgress(roundNum, entries.length - 1);
+        if (remaining.length > 1) {
+            await showCurrentWheel(ctx, remaining.map(entry => entry.name), slicesFor(remaining), remaining.map(entry => entry.avatar));
+        }
+        roundNum++;
 
-        const messagesToCleanup = [];
+        // Small delay for better UX
+        await sleep(500);
+    }
 
-        // Step 1: Check if we need to spin for "Off the wheel" users
-        const offWheelUsers = await getUsersWithRoleCached(message.guild, OFF_THE_WHEEL);
+    const last = safeEntry(remaining[0].name);
+    await presenter.post(`🏆 **${last}** is the last one standing!`);
+    return `🏆 ${heading}: **${last}**`;
+}
 
-        if (offWheelUsers.length >= 6) {
-            const infoMsg = await message.channel.send(
-                `🔄 Found ${offWheelUsers.length} users 'Off the wheel'. Spinning to bring one back...`
-            );
-            messagesToCleanup.push(infoMsg);
+// Saved wheels may be changed by their owner and by server admins
+function canEditWheel(interaction, wheel) {
+    return interaction.user.id === wheel.ownerId || interaction.memberPermissions.has(PermissionFlagsBits.Administrator);
+}
 
-                const offWheelNames = offWheelUsers.map(user => user.displayName);
-                const winnerIndex = spinWheel(offWheelUsers);
+// One line per saved wheel for /wheel list
+function formatSavedWheel(guild, wheel) {
+    const sources = [];
+    if (wheel.entries.length > 0) sources.push(`${wheel.entries.length} entries`);
+    if (wheel.roleId) sources.push(`members of ${roleLabel(guild, wheel.roleId)}`);
+    const theme = wheel.theme ? `, ${wheel.theme} theme` : '';
+    return `**${wheel.name}**: ${sources.join(' + ')}, ${wheel.mode}${theme} (owner <@${wheel.ownerId}>)`;
+}
 
-                if (winnerIndex !== null && winnerIndex !== undefined) {
-                    const winner = offWheelUsers[winnerIndex];
-                    // Create animation (show status while generating)
-                    const statusMsg = await message.channel.send('🔄 Getting ready to spin, please wait...');
-                    messagesToCleanup.push(statusMsg);
-                    // Reorder names so the chosen winner is at index 0, then animate landing at pointer
-                    const ordered = orderedForWinner(offWheelNames, winnerIndex);
-                    const spinMsg = await createCssSpinAnimation(ordered, 0, message.channel);
-                    if (spinMsg) {
-                        const cancelled = await waitForCancelButton(spinMsg, message.author, 7000);
-                        try { await spinMsg.delete(); } catch (e) { /* ignore */ }
-                        if (cancelled) {
-                            await message.channel.send('🛑 Spin cancelled.');
-                            return;
-                        }
-                    }
+function formatWheelEntries(wheel) {
+    const entries = wheel.entries.map(entry =>
+        `• ${safeEntry(entry.name)}${entry.weight !== 1 ? ` (weight ${entry.weight})` : ''}`);
+    return entries.join('\n') || '*No typed entries*';
+}
 
-                    await message.channel.send(`🎉 **${winner.displayName}** is back on the wheel!`);
+/**
+ * /wheel: ad-hoc and saved wheels over anything
+ */
+async function handleWheelCommand(interaction) {
+    const sub = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
 
-                // Update roles
-                const onRole = getRole(message.guild, ON_THE_WHEEL);
-                const offRole = getRole(message.guild, OFF_THE_WHEEL);
+    if (sub === 'spin') {
+        let entries;
+        let saved = null;
+        try {
+            const savedName = interaction.options.getString('saved');
+            saved = savedName ? savedWheels.getWheel(guildId, savedName) : null;
+            if (savedName && !saved) throw new Error(`There is no saved wheel called \`${savedName}\``);
+            // A saved wheel's entries and role spin along with anything typed
+            const role = interaction.options.getRole('role');
+            const savedRole = saved && saved.roleId ? interaction.guild.roles.cache.get(saved.roleId) : null;
+            entries = await collectWheelEntries(interaction.guild, {
+                entries: [...(saved ? saved.entries : []), ...savedWheels.parseEntries(interaction.options.getString('entries'))],
+                roles: [savedRole, role].filter(Boolean),
+                voice: interaction.options.getChannel('voice'),
+            });
+        } catch (err) {
+            await interaction.reply({ content: `❌ ${err.message}`, ephemeral: true });
+            return;
+        }
 
-                if (onRole && offRole) {
-                    const success = await updateUserRoles(winner, [onRole], [offRole]);
-                    if (success) {
-                        await message.channel.send(`✅ Updated roles for ${winner.displayName}`);
-                    } else {
-                        await message.channel.send(`⚠️ Could not update roles for ${winner.displayName}. Please check permissions.`);
-                    }
-                } else {
-                    await message.channel.send("⚠️ Warning: Could not find required roles!");
-                }
+        const config = guildConfig.getGuildConfig(guildId);
+        // The animation pipeline takes far longer than the 3s reply window
+        await interaction.deferReply();
+        await interaction.editReply(`🎡 Spinning a wheel of ${entries.length}...`);
+        const summary = await runAdHocWheel({
+            guild: interaction.guild,
+            channel: interaction.channel,
+            initiator: interaction.user,
+            animate: interaction.options.getBoolean('animation') ?? true,
+            // A saved wheel's theme replaces the server's look
+            config: saved && saved.theme ? { ...config, theme: saved.theme, themeOverrides: {} } : config,
+        }, entries, {
+            mode: interaction.options.getString('mode') || (saved ? saved.mode : 'single'),
+            title: interaction.options.getString('title') || (saved ? saved.name : 'Wheel'),
+        });
+        await interaction.editReply(summary);
+        return;
+    }
+
+    if (sub === 'list') {
+        const name = interaction.options.getString('name');
+        if (name) {
+            const wheel = savedWheels.getWheel(guildId, name);
+            if (!wheel) {
+                await interaction.reply({ content: `❌ There is no saved wheel called \`${name}\``, ephemeral: true });
+                return;
             }
-        } else {
-            await message.channel.send(
-                `ℹ️ Only ${offWheelUsers.length} users 'Off the wheel' (need 6+ to spin). Skipping this step.`
-            );
+            await interaction.reply({
+                content: `${formatSavedWheel(interaction.guild, wheel)}\n${formatWheelEntries(wheel)}`,
+                ephemeral: true,
+            });
+            return;
+        }
+        const wheels = savedWheels.listWheels(guildId);
+        await interaction.reply({
+            content: wheels.length > 0
+                ? `🎡 **Saved wheels**\n${wheels.map(wheel => formatSavedWheel(interaction.guild, wheel)).join('\n')}`
+                : 'No saved wheels yet. Make one with `/wheel create`.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    if (sub === 'export') {
+        const wheel = savedWheels.getWheel(guildId, interaction.options.getString('name'));
+        if (!wheel) {
+            await interaction.reply({ content: `❌ There is no saved wheel called \`${interaction.options.getString('name')}\``, ephemeral: true });
+            return;
         }
+        const json = JSON.stringify(savedWheels.exportWheel(wheel), null, 2);
+        await interaction.reply({
+            content: `📦 **${wheel.name}** (load it elsewhere with \`/wheel import\`)`,
+            files: [new AttachmentBuilder(Buffer.from(json), { name: `${wheel.name}.json` })],
+            ephemeral: true,
+        });
+        return;
+    }
 
-        // Step 2: Spin for "On the wheel" users until one remains
-        let onWheelUsers = await getUsersWithRoleCached(message.guild, ON_THE_WHEEL);
+    try {
+        if (sub === 'create') {
+            const role = interaction.options.getRole('role');
+            const wheel = await savedWheels.createWheel(guildId, {
+                name: interaction.options.getString('name'),
+                entries: savedWheels.parseEntries(interaction.options.getString('entries')),
+                roleId: role ? role.id : null,
+                mode: interaction.options.getString('mode'),
+                theme: interaction.options.getString('theme'),
+            }, interaction.user.id);
+            await interaction.reply({ content: `✅ Saved ${formatSavedWheel(interaction.guild, wheel)}\nSpin it with \`/wheel spin saved:${wheel.name}\`.`, ephemeral: true });
+            return;
+        }
 
-        if (onWheelUsers.length < 2) {
-            await message.channel.send(
-                `❌ Need at least 2 users with 'On the wheel' role to spin. Currently: ${onWheelUsers.length}`
+        if (sub === 'clone') {
+            const wheel = await savedWheels.cloneWheel(
+                guildId, interaction.options.getString('name'), interaction.options.getString('new-name'), interaction.user.id
             );
+            await interaction.reply({ content: `✅ Saved ${formatSavedWheel(interaction.guild, wheel)}`, ephemeral: true });
             return;
         }
 
-        const startMsg = await message.channel.send(
-            `🎡 Spinning the wheel for ${onWheelUsers.length} users 'On the wheel'...`
-        );
-        messagesToCleanup.push(startMsg);
+        if (sub === 'import') {
+            const file = interaction.options.getAttachment('file');
+            if (file.size > MAX_WHEEL_IMPORT_BYTES) throw new Error('That file is too large to be a wheel');
+            // Downloading the file can outlast the 3s reply window
+            await interaction.deferReply({ ephemeral: true });
+            const response = await fetch(file.url);
+            if (!response.ok) throw new Error(`Could not download the file (${response.status})`);
+            let definition;
+            try {
+                definition = JSON.parse(await response.text());
+            } catch (e) {
+                throw new Error('That file is not valid JSON');
+            }
+            const name = interaction.options.getString('name');
+            const wheel = await savedWheels.createWheel(guildId, { ...definition, ...(name ? { name } : {}) }, interaction.user.id);
+            const missingRole = wheel.roleId && !interaction.guild.roles.cache.has(wheel.roleId)
+                ? '\n⚠️ Its role does not exist in this server, so only the typed entries will spin.'
+                : '';
+            await interaction.editReply(`✅ Imported ${formatSavedWheel(interaction.guild, wheel)}${missingRole}`);
+            return;
+        }
 
-        const remainingUsers = [...onWheelUsers];
-        let roundNum = 1;
+        // The rest change an existing wheel
+        const wheel = savedWheels.getWheel(guildId, interaction.options.getString('name'));
+        if (!wheel) throw new Error(`There is no saved wheel called \`${interaction.options.getString('name')}\``);
+        if (!canEditWheel(interaction, wheel)) {
+            await interaction.reply({ content: `❌ Only <@${wheel.ownerId}> (the owner) or a server admin can change \`${wheel.name}\`.`, ephemeral: true });
+            return;
+        }
 
-        while (remainingUsers.length > 1) {
-            const names = remainingUsers.map(user => user.displayName);
-            const winnerIndex = spinWheel(remainingUsers);
+        if (sub === 'add-entry') {
+            const entries = savedWheels.parseEntries(interaction.options.getString('entries'));
+            if (entries.length === 0) throw new Error('No entries given');
+            await savedWheels.addEntries(guildId, wheel.name, entries);
+            await interaction.reply({ content: `✅ **${wheel.name}** now has ${wheel.entries.length} entries.`, ephemeral: true });
+        } else if (sub === 'remove-entry') {
+            await savedWheels.removeEntry(guildId, wheel.name, interaction.options.getString('entry'));
+            await interaction.reply({ content: `✅ Removed from **${wheel.name}**; ${wheel.entries.length} entries left.`, ephemeral: true });
+        } else if (sub === 'delete') {
+            await savedWheels.deleteWheel(guildId, wheel.name);
+            await interaction.reply({ content: `🗑️ Deleted **${wheel.name}**.`, ephemeral: true });
+        }
+    } catch (err) {
+        if (interaction.deferred) await interaction.editReply(`❌ ${err.message}`);
+        else await interaction.reply({ content: `❌ ${err.message}`, ephemeral: true });
+    }
+}
 
-            if (winnerIndex === null || winnerIndex === undefined) {
-                break;
-            }
+// Spins being driven by this process: guildId -> ctx
+const activeSpins = new Map();
 
-            const winner = remainingUsers[winnerIndex];
-            const roundMsg = await message.channel.send(`🔄 Round ${roundNum}: Spinning...`);
-            messagesToCleanup.push(roundMsg);
-
-            // Create and send animation (show status while generating)
-            const statusMsg = await message.channel.send('🔄 Getting ready to spin, please wait...');
-            messagesToCleanup.push(statusMsg);
-            const ordered = orderedForWinner(names, winnerIndex);
-            const spinMsg = await createCssSpinAnimation(ordered, 0, message.channel);
-            if (spinMsg) {
-                const cancelled = await waitForCancelButton(spinMsg, message.author, 7000);
-                try { await spinMsg.delete(); } catch (e) { /* ignore */ }
-                if (cancelled) {
-                    await message.channel.send('🛑 Spin cancelled.');
-                    return;
-                }
+/**
+ * Start a real wheel spin for a guild as a new persisted session, refusing
+ * while another spin is running or an interrupted one is still unresolved.
+ * ctx: { guild, channel, initiator, member, animate, dryRun, presentation, renderer, lobby, mode, teams, config }
+ *   member is the invoking guild member, held to the spin cooldown (scheduled
+ *   spins have none); lobby overrides the guild's lobby setting (see runLobby);
+ *   mode and teams the guild's spinMode and draftTeams (see spin-modes.js).
+ * Returns a one-line summary for the invoker.
+ */
+async function runSpin(ctx) {
+    const { guild, channel, dryRun } = ctx;
+    if (activeSpins.has(guild.id)) {
+        const msg = '⏳ A spin is already running in this server.';
+        await channel.send(msg);
+        return msg;
+    }
+    // Claimed before anything is awaited, so two starts can't both get past the check
+    activeSpins.set(guild.id, ctx);
+    try {
+        if (sessions.getUnfinishedSession(guild.id)) {
+            const msg = '⚠️ An interrupted spin is waiting to be resumed or rolled back (or use /spin-abort).';
+            await channel.send(msg);
+            return msg;
+        }
+        // spinDenial checked the cooldown before the guild was claimed; a spin
+        // that finished in between has started it again
+        if (ctx.member && !dryRun) {
+            const [lastRun] = await history.getRecentRuns(guild.id, 1);
+            const cooling = permissions.cooldownDenial(ctx.member, lastRun ? lastRun.startedAt : null, ctx.config);
+            if (cooling) {
+                await channel.send(cooling);
+                return cooling;
             }
+        }
 
-            await message.channel.send(`🎯 **${winner.displayName}** has been removed from the wheel!`);
-
-            // Remove winner from remaining users
-            remainingUsers.splice(winnerIndex, 1);
-            roundNum++;
+        // Pre-flight: make sure the bot can actually hand out the wheel roles.
+        // Problems stop a real spin; a dry run changes no roles, so it only reports them.
+        const preflight = roleChanges.preflightRoles(guild, ctx.config, getRole);
+        const issues = [...preflight.problems, ...preflight.warnings];
+        if (!dryRun && preflight.problems.length > 0) {
+            const msg = `❌ Pre-flight check failed, no roles were changed:\n${issues.map(line => `• ${line}`).join('\n')}`;
+            await channel.send(msg);
+            return msg;
+        }
+        if (issues.length > 0) {
+            await channel.send(`⚠️ Pre-flight check:\n${issues.map(line => `• ${line}`).join('\n')}`);
+        }
 
-            // Small delay for better UX
-            await new Promise(resolve => setTimeout(resolve, 500));
+        let roster = null;
+        if (ctx.lobby ?? ctx.config.lobby) {
+            const outcome = await runLobby(ctx);
+            if (!outcome.locked) return `🛑 Spin called off in the lobby by ${outcome.by.username}.`;
+            roster = outcome.roster.map(member => member.id);
         }
 
-        // Clean up intermediate messages after a short delay
-        setTimeout(async () => {
-            for (const msg of messagesToCleanup) {
-                try {
-                    await msg.delete();
-                } catch (err) {
-                    // Ignore errors (message might already be deleted)
-                }
-            }
-        }, 3000);
+        // Fair spins commit to the server seed before anything is drawn. The
+        // client seed is the id Discord gives the commitment message, so it only
+        // exists once the hash is public and can't be picked to suit the seed.
+        let commitment = null;
+        if (ctx.config.provablyFair) {
+            commitment = fairness.createCommitment();
+            const message = await channel.send(`🔐 **Fair spin** — server seed hash: \`${commitment.serverSeedHash}\``);
+            commitment.clientSeed = message.id;
+            await message.edit(`${message.content}\nClient seed: \`${commitment.clientSeed}\` (this message's id)`);
+        }
 
-        // Final winner
-        if (remainingUsers.length === 1) {
-            const finalWinner = remainingUsers[0];
-            await message.channel.send(
-                `🏆 **FINAL WINNER: ${finalWinner}** is Pig of the week!`
-            );
+        const session = await sessions.createSession({
+            guildId: guild.id,
+            channelId: channel.id,
+            initiatorId: ctx.initiator.id,
+            options: {
+                animate: ctx.animate,
+                dryRun,
+                presentation: ctx.presentation || null,
+                renderer: ctx.renderer || null,
+                mode: ctx.mode || ctx.config.spinMode,
+                teams: ctx.teams || ctx.config.draftTeams,
+            },
+            fairness: commitment,
+            roster,
+            // Record of this run, persisted to the spin history once the roles are updated
+            run: {
+                guildId: guild.id,
+                initiatorId: ctx.initiator.id,
+                startedAt: new Date().toISOString(),
+                finishedAt: null,
+                offWheel: null,
+                participants: [],
+                rounds: [],
+                winner: null,
+                fairness: commitment,
+            },
+        });
+        ctx.session = session;
+        return await driveSession(ctx);
+    } finally {
+        activeSpins.delete(guild.id);
+    }
+}
 
-            // Update final winner's roles
-            const onRole = getRole(message.guild, ON_THE_WHEEL);
-            const offRole = getRole(message.guild, OFF_THE_WHEEL);
-            const weekRole = getRole(message.guild, YOUR_WEEK);
-
-            // Ensure only one user has the 'Your week' role: remove it from any current holders
-            if (weekRole) {
-                const currentHolders = await getUsersWithRoleCached(message.guild, YOUR_WEEK);
-                for (const holder of currentHolders) {
-                    if (holder.id !== finalWinner.id) {
-                        try {
-                            await updateUserRoles(holder, [], [weekRole]);
-                        } catch (err) {
-                            console.error(`Failed to remove ${YOUR_WEEK} from ${holder.displayName}: ${err.message}`);
-                        }
-                    }
-                }
-            }
+/**
+ * Pre-spin lobby (see lobby.js) starting from the members On the wheel. The
+ * guild stays busy while it's open (runSpin holds it), and /spin-abort can
+ * call it off.
+ * Resolves to the lobby's outcome.
+ */
+async function runLobby(ctx) {
+    const { guild, channel, config } = ctx;
+    const candidates = await getUsersWithRoleCached(guild, config.onRole);
+    ctx.activeLobby = openLobby(channel, candidates, { seconds: config.lobbySeconds });
+    try {
+        return await ctx.activeLobby.result;
+    } finally {
+        ctx.activeLobby = null;
+    }
+}
 
-            const rolesToAdd = [];
-            const rolesToRemove = [];
-             const weeklyPhrases = [
-                "Don't waste the cosmic favour, pig.",
-                "You better not fuck us!",
-                "May your RNG be kind and your drops be clean, piggy.",
-                "May your pitch drop be legendary and your mesos never vanish.",
-                "Poggers! May your boss drops crit every time.",
-                "Oink oink — may your rolls be blessed.",
-                "May your star force be gold, and your comms not be mold.",
-                "Don't gimp the party, oinker.",
-                "May your cubes hit god-tier potential.",
-                "May your drop table pity you this week.",
-                "Keep chugging pots and critting bosses, pig.",
-                "May your mesos stack and your lag be small.",
-                "May your epic drop be non-shitter and very pog.",
-                "You got the piggy touch — don't blow it, legend.",
-                "May your stars align and your flame not fizzle.",
-                "May gachas be merciful and your RNG not betray you.",
-                "Oink if you score a pitch drop before breakfast.",
-                "May your runs be clean and your drop not mean.",
-                "May your drop rates be blessed by the RNG gods.",
-                "Feed the pig right — it returns you epic loot.",
-                "May your cubes bless you with Godly lines, piggy.",
-                "Less mold, more pog — good drops incoming.",
-                "May your scrolling be safe and your flames peak.",
-                "Gamblers never quit, and quitters never win.",
-                "Pigs — may your star force upgrades never fail.",
-                "You lucky oinker.",
-                "This week: big pig energy, bigger drops, no shitter RNG.",
-                "Luck is a pig — fatten it with patience, don't let it hog your reason.",
-                "Gamble like a pig: snuffle for opportunity, celebrate the tasty drops.",
-                "RNG is just the universe's mood swing; feed it treats and it might smile.",
-                "A pitch drop is a prayer answered by statistics and a little pork luck.",
-                "Mesos come and go; the true fortune is not losing your hog soul to rage.",
-                "Feed the pig of chance with runs and potions; it returns in blessed drops.",
-                "Star force is faith measured in scrolls — upgrade your courage, not your anger.",
-                "The gambler's zen: accept the shitter drops, cherish the pog ones.",
-                "Pigs don't worry about misses — they root for the next big crit.",
-                "Cubes are tiny boxes of destiny; open them with reverence and snacks.",
-                "Luck prefers the persistent pig over the panicked hoarder.",
-                "A true pig knows: RNG is theater — play your part and enjoy the applause.",
-                "Blessed is the pig who grinds in silence and gets pitch drops loudly.",
-                "You can't bribe probability, but you can cultivate rituals that feel lucky.",
-                "May your mesos flow like a river and your inventories never choke.",
-                "The wise pig treats every failure as practice for the next pog moment.",
-                "In the casino of life, pigs wager hope and harvest stories.",
-                "Don't curse the RNG; teach it to love you with sacrifice and memes.",
-                "A lucky pig is humble — it knows tomorrow the table will tilt again.",
-                "Pog is a state of mind; drops are merely the currency of validation.",
-                "Oink at fate, then grind harder — sometimes noise is the ritual it respects.",
-                "Gambling teaches patience; pigs learn to wait between snacks and jackpots.",
-                "Fortune is flattered by persistence and occasionally bribed with effort.",
-                "The pig who chases every drop ends up hungry; the patient pig eats well.",
-                "If life deals you shitter RNG, season it with humor and call it a weird flex."
-            ];
-            const randomPhrase = weeklyPhrases[Math.floor(Math.random() * weeklyPhrases.length)];
-
-            if (weekRole) rolesToAdd.push(weekRole);
-            if (offRole) rolesToAdd.push(offRole);
-            if (onRole) rolesToRemove.push(onRole);
-
-            if (rolesToAdd.length > 0 || rolesToRemove.length > 0) {
-                const success = await updateUserRoles(finalWinner, rolesToAdd, rolesToRemove);
-                if (success) {
-                    await message.channel.send(
-                        `${randomPhrase}`
-                    );
-                } else {
-                    await message.channel.send(
-                        `⚠️ Could not update roles for ${finalWinner.displayName}. Please check permissions.`
-                    );
-                }
-            } else {
-                await message.channel.send("⚠️ Warning: Could not find required roles!");
-            }
-        } else {
-            await message.channel.send("❌ Error: No final winner determined!");
+/**
+ * Drive a session from its current step to the end. Used both for new spins
+ * and for resuming interrupted ones; the caller holds the guild's activeSpins
+ * entry for `ctx`.
+ * An abort request rolls back the session's role changes; any other error
+ * leaves it interrupted and asks whether to resume or roll back.
+ */
+async function driveSession(ctx) {
+    const { guild, channel, session } = ctx;
+    ctx.fairness = session.fairness;
+    ctx.presenter = presenterFor(ctx, session.options.dryRun ? '🎡 Wheel spin (dry run)' : '🎡 Wheel spin');
+    let summary;
+    try {
+        summary = await runSpinSteps(ctx);
+        return summary;
+    } catch (error) {
+        if (error.code === 'SPIN_ABORTED') {
+            summary = await abortSession(guild, channel, session, ctx.abortedBy);
+            return summary;
+        }
+        console.error(`Spin session ${session.id} failed: ${error.message}`);
+        await sessions.setStatus(session, 'interrupted', `Stopped with an error: ${error.message}`);
+        await promptInterruptedSession(channel, session);
+        summary = `⚠️ The spin stopped with an error: ${error.message}`;
+        return summary;
+    } finally {
+        if (session.fairness && sessions.FINISHED_STATUSES.includes(session.status)) {
+            // Only recorded runs can be replayed with /verify
+            await ctx.presenter.post(
+                `🔓 Server seed: \`${session.fairness.serverSeed}\`` +
+                (session.recorded ? `\nCheck it with \`/verify client-seed:${session.fairness.clientSeed}\`` : '')
+            );
+        }
+        await ctx.presenter.finish(summary || '⚠️ Stopped');
+        // Aborted sessions were already logged by abortSession
+        if (!session.options.dryRun && session.status !== 'aborted') {
+            await audit.postAuditLog(guild, session, ctx.config);
         }
     }
-});
+}
+
+// Throw if /spin-abort was used; checked between steps so state stays consistent
+function checkAborted(ctx) {
+    if (ctx.abortRequested) {
+        const error = new Error('Spin aborted');
+        error.code = 'SPIN_ABORTED';
+        throw error;
+    }
+}
+
+/**
+ * Update members' roles as part of a session: updates are
+ * [{ member, add: [Role], remove: [Role], why }]. The changes are persisted
+ * before any Discord call so they can be rolled back even if the process dies
+ * half-way. Only roles that actually change are recorded, with `why` they
+ * changed ("final winner"); see role-changes.js for batching and retries.
+ * A change ends up 'applied', 'partial' or 'failed', with the pairs Discord
+ * refused in `failures`. Resolves to every failed member/role pair.
+ */
+async function applySessionRoles(session, updates) {
+    const pending = [];
+    for (const { member, add, remove, why } of updates) {
+        const change = {
+            memberId: member.id,
+            name: member.displayName,
+            reason: why,
+            added: add.filter(role => !member.roles.cache.has(role.id)).map(role => role.id),
+            removed: remove.filter(role => member.roles.cache.has(role.id)).map(role => role.id),
+            status: 'pending',
+        };
+        if (change.added.length === 0 && change.removed.length === 0) continue;
+        session.roleChanges.push(change);
+        pending.push({ member, add, remove, reason: `Wheel spin ${session.id}: ${why}`, record: change });
+    }
+    if (pending.length === 0) return [];
+    await sessions.saveSession(session);
+
+    const failures = await roleChanges.applyRoleChanges(pending);
+    for (const { member, record } of pending) {
+        const failed = failures.filter(f => f.change.record === record);
+        const pairs = record.added.length + record.removed.length;
+        record.status = failed.length === 0 ? 'applied' : failed.length === pairs ? 'failed' : 'partial';
+        if (failed.length > 0) {
+            record.failures = failed.map(f => ({ roleId: f.roleId, action: f.action, error: f.error }));
+            record.error = failed.map(f => `${f.action} ${f.roleName}: ${f.error}`).join('; ');
+        }
+        await sessions.logStep(session, failed.length === 0
+            ? `Updated roles for ${member.displayName}`
+            : `Failed to update roles for ${member.displayName}: ${record.error}`);
+    }
+    return failures;
+}
+
+/**
+ * Post the member/role pairs that could not be changed
+ */
+async function reportRoleFailures(presenter, failures) {
+    await presenter.post(`⚠️ Some roles could not be updated:\n${roleChanges.formatRoleFailures(failures)}`);
+}
+
+/**
+ * Revert every role change recorded in a session, newest first.
+ * Pending and failed changes are reverted too: adding or removing a role
+ * twice is harmless. Returns the changes that could not be reverted.
+ */
+async function rollbackSession(guild, session) {
+    const failures = [];
+    const reason = `Wheel spin ${session.id} rolled back`;
+    for (const change of [...session.roleChanges].reverse()) {
+        try {
+            const member = await roleChanges.withRetries(() => guild.members.fetch(change.memberId));
+            if (change.added.length > 0) await roleChanges.withRetries(() => member.roles.remove(change.added, reason));
+            if (change.removed.length > 0) await roleChanges.withRetries(() => member.roles.add(change.removed, reason));
+            change.rolledBack = true;
+        } catch (error) {
+            // Kept on the change for the audit report; saved with the session's new status
+            change.rollbackError = roleChanges.describeError(error);
+            failures.push({ ...change, error: change.rollbackError });
+        }
+    }
+    return failures;
+}
+
+/**
+ * Roll back a session and mark it aborted. Returns a summary line.
+ */
+async function abortSession(guild, channel, session, abortedBy) {
+    const failures = await rollbackSession(guild, session);
+    await sessions.setStatus(session, 'aborted', `Aborted${abortedBy ? ` by ${abortedBy.tag}` : ''}, ${failures.length} role changes could not be reverted`);
+    if (!session.options.dryRun) await audit.postAuditLog(guild, session, guildConfig.getGuildConfig(guild.id));
+    const restored = session.roleChanges.length - failures.length;
+    let msg = `🛑 Spin aborted. Restored roles for ${restored} member${restored === 1 ? '' : 's'}.`;
+    if (failures.length > 0) {
+        msg += `\n⚠️ Could not restore: ${failures.map(f => `${f.name} (${f.error})`).join(', ')}`;
+    }
+    await channel.send(msg);
+    return msg;
+}
+
+/**
+ * Check whether members still hold the roles a session left them with.
+ * Returns { drifted, missing }: names of members whose roles were changed
+ * by hand since, and of members who are no longer in the server.
+ */
+async function findRoleDrift(guild, session) {
+    // Replay the applied changes (and the pairs that went through in partial
+    // ones) to get each member's expected end state
+    const expected = new Map(); // memberId -> { name, has: Set, lacks: Set }
+    for (const change of session.roleChanges) {
+        if (change.status !== 'applied' && change.status !== 'partial') continue;
+        if (!expected.has(change.memberId)) {
+            expected.set(change.memberId, { name: change.name, has: new Set(), lacks: new Set() });
+        }
+        const entry = expected.get(change.memberId);
+        const failed = (action, id) => (change.failures || []).some(f => f.action === action && f.roleId === id);
+        for (const id of change.added) {
+            if (!failed('add', id)) { entry.has.add(id); entry.lacks.delete(id); }
+        }
+        for (const id of change.removed) {
+            if (!failed('remove', id)) { entry.lacks.add(id); entry.has.delete(id); }
+        }
+    }
+
+    const drifted = [];
+    const missing = [];
+    for (const [memberId, entry] of expected) {
+        let member;
+        try {
+            member = await guild.members.fetch({ user: memberId, force: true });
+        } catch (err) {
+            missing.push(entry.name);
+            continue;
+        }
+        const roles = member.roles.cache;
+        if ([...entry.has].some(id => !roles.has(id)) || [...entry.lacks].some(id => roles.has(id))) {
+            drifted.push(member.displayName);
+        }
+    }
+    return { drifted, missing };
+}
+
+/**
+ * /spin-undo (undo permission): restore every member touched by the last completed spin
+ * to their pre-spin roles and drop the run from the history
+ */
+async function handleSpinUndoCommand(interaction) {
+    const denied = permissions.permissionDenial(interaction.member, 'undo', guildConfig.getGuildConfig(interaction.guildId));
+    if (denied) {
+        await interaction.reply({ content: denied, ephemeral: true });
+        return;
+    }
+    const guild = interaction.guild;
+    if (activeSpins.has(guild.id) || sessions.getUnfinishedSession(guild.id)) {
+        await interaction.reply({ content: '❌ A spin is still in progress — use /spin-abort instead.', ephemeral: true });
+        return;
+    }
+
+    // Dry runs, cancelled spins and spins that changed no roles are passed over
+    const session = sessions.getLastUndoableSession(guild.id);
+    if (!session) {
+        await interaction.reply({ content: '❌ Nothing to undo: no completed spin has changed any roles.', ephemeral: true });
+        return;
+    }
+
+    await interaction.deferReply();
+    const { drifted } = await findRoleDrift(guild, session);
+    if (drifted.length > 0) {
+        await interaction.editReply(
+            `❌ Refusing to undo: roles were changed by hand since the spin for ${drifted.join(', ')}. ` +
+            'Fix them manually instead.'
+        );
+        return;
+    }
+
+    const failures = await rollbackSession(guild, session);
+    await sessions.setStatus(session, 'undone', `Undone by ${interaction.user.tag}, ${failures.length} members not restored`);
+    await audit.postAuditLog(guild, session, guildConfig.getGuildConfig(guild.id));
+    if (session.recorded) {
+        await history.removeRun(guild.id, session.run.startedAt);
+    }
+
+    const restored = new Set(session.roleChanges.map(change => change.memberId));
+    for (const failure of failures) restored.delete(failure.memberId);
+    let msg = `↩️ Undid the spin from <t:${Math.floor(Date.parse(session.createdAt) / 1000)}:f>. ` +
+        `Restored roles for ${restored.size} member${restored.size === 1 ? '' : 's'}.`;
+    if (failures.length > 0) {
+        msg += `\n⚠️ Could not restore: ${failures.map(f => `${f.name} (${f.error})`).join(', ')}`;
+    }
+    await interaction.editReply(msg);
+}
+
+/**
+ * /spin-report (configure permission): the latest spin's audit report as JSON and/or CSV
+ */
+async function handleSpinReportCommand(interaction) {
+    const denied = permissions.permissionDenial(interaction.member, 'configure', guildConfig.getGuildConfig(interaction.guildId));
+    if (denied) {
+        await interaction.reply({ content: denied, ephemeral: true });
+        return;
+    }
+    const session = sessions.getUnfinishedSession(interaction.guildId) || sessions.getLastFinishedSession(interaction.guildId);
+    if (!session) {
+        await interaction.reply({ content: '❌ No spin has been recorded yet.', ephemeral: true });
+        return;
+    }
+    const format = interaction.options.getString('format');
+    const report = audit.buildRunReport(session, interaction.guild);
+    await interaction.reply({
+        content: `📄 Report for the spin started <t:${Math.floor(Date.parse(session.createdAt) / 1000)}:f> (${session.status})`,
+        files: audit.reportFiles(report, format ? [format] : ['json', 'csv']),
+        ephemeral: true,
+    });
+}
+
+/**
+ * /spin-check (test permission): run every precondition of a real spin in a
+ * channel without changing anything, and report what would go wrong
+ */
+async function handleSpinCheckCommand(interaction) {
+    const guild = interaction.guild;
+    const config = guildConfig.getGuildConfig(guild.id);
+    const denied = permissions.permissionDenial(interaction.member, 'test', config);
+    if (denied) {
+        await interaction.reply({ content: denied, ephemeral: true });
+        return;
+    }
+    // Fetching members and rendering can take longer than the reply window
+    await interaction.deferReply({ ephemeral: true });
+    const channel = interaction.options.getChannel('channel') || interaction.channel;
+    const problems = [];
+    const warnings = [];
+    const notes = [];
+
+    // Without the GuildMembers intent the member fetch fails (or times out) and rosters come up empty
+    if (!client.options.intents.has(GatewayIntentBits.GuildMembers)) {
+        problems.push('The bot was started without the Server Members intent, so it cannot see who holds the wheel roles.');
+    } else {
+        try {
+            memberCache.delete(guild.id);
+            await fetchMembersIfNeeded(guild);
+        } catch (error) {
+            problems.push(`Could not fetch the member list (${error.message}). Enable the Server Members intent for the bot in the Developer Portal.`);
+        }
+    }
+
+    const roles = [
+        { label: 'On the wheel', role: getRole(guild, config.onRole), members: getUsersWithRole(guild, config.onRole) },
+        { label: 'Off the wheel', role: getRole(guild, config.offRole), members: getUsersWithRole(guild, config.offRole) },
+        { label: config.winnerTitle, role: getRole(guild, config.winnerRole), members: getUsersWithRole(guild, config.winnerRole) },
+    ];
+    const [on, off, winners] = roles.map(entry => entry.members);
+
+    const preflight = roleChanges.preflightRoles(guild, config, getRole);
+    problems.push(...preflight.problems);
+    warnings.push(...preflight.warnings);
+
+    const missing = diagnostics.missingChannelPermissions(channel, guild.members.me);
+    if (missing.length > 0) problems.push(`In ${channel} I'm missing: ${missing.join(', ')}.`);
+    if (activeSpins.has(guild.id)) problems.push('A spin is running right now.');
+    if (sessions.getUnfinishedSession(guild.id)) {
+        problems.push('An interrupted spin is waiting to be resumed or rolled back (or use /spin-abort).');
+    }
+
+    const conflicts = lifecycle.findRoleConflicts(off, roles[0].role, roles[1].role);
+    if (conflicts.length > 0) {
+        const names = conflicts.map(member => member.displayName).join(', ');
+        const fix = {
+            'keep-off': 'a real spin takes them off the On role first',
+            'keep-on': 'a real spin takes them off the Off role first',
+            ignore: 'roleConflicts is ignore, so they stay that way',
+        }[config.roleConflicts];
+        notes.push(`${conflicts.length} member${conflicts.length === 1 ? '' : 's'} hold both On and Off the wheel (${names}); ${fix}.`);
+    }
+
+    // Counted where the spin will put them: Off only if a real spin drops their On role
+    const dropsOn = config.roleConflicts === 'keep-off';
+    const onTotal = on.length - (dropsOn ? conflicts.length : 0);
+    const offTotal = off.length - (dropsOn ? 0 : conflicts.length);
+    const returnSpin = offTotal >= config.offWheelThreshold;
+    const onCount = onTotal + (returnSpin ? 1 : 0);
+    if (config.lobby) {
+        notes.push(`The lobby is on, so the roster is whoever joins in the first ${config.lobbySeconds} s.`);
+    } else if (onCount < config.minOnWheel) {
+        problems.push(`Need at least ${config.minOnWheel} members On the wheel to spin; there would be ${onCount}.`);
+    }
+    if (!returnSpin) {
+        notes.push(`Only ${offTotal} Off the wheel (need ${config.offWheelThreshold}+), so the return spin will be skipped.`);
+    }
+    if (winners.length > 1) notes.push(`${winners.length} members hold ${config.winnerTitle}; all but the next winner will lose it.`);
+    if (config.spinMode === 'team-draft') {
+        notes.push('Team draft: no roles will change.');
+        if (config.draftTeams > onCount) warnings.push(`${config.draftTeams} teams were asked for but only ${onCount} members can be drafted.`);
+    }
+    if (!isFormatAvailable(config.animationFormat)) {
+        warnings.push(`ffmpeg was not found, so animations fall back from ${config.animationFormat} to gif.`);
+    }
+    if (config.spinChannels.length > 0 && !config.spinChannels.includes(channel.id)) {
+        warnings.push(`${channel} is not one of the spin channels; only admins can spin here.`);
+    }
+    if (config.auditChannel) {
+        const auditChannel = guild.channels.cache.get(config.auditChannel);
+        if (!auditChannel || !auditChannel.isTextBased()) {
+            warnings.push('The audit channel is missing or not a text channel; audit logs will not be posted.');
+        } else {
+            const auditMissing = diagnostics.missingChannelPermissions(auditChannel, guild.members.me);
+            if (auditMissing.length > 0) warnings.push(`In the audit channel ${auditChannel} I'm missing: ${auditMissing.join(', ')}.`);
+        }
+    }
+    const [lastRun] = await history.getRecentRuns(guild.id, 1);
+    const cooldown = permissions.cooldownRemaining(lastRun ? lastRun.startedAt : null, config);
+    if (cooldown > 0) notes.push(`The cooldown has ${diagnostics.formatDuration(cooldown)} left (admins can spin anyway).`);
+
+    // A sample wheel proves the renderer, canvas and fonts work
+    const names = on.length >= 2 ? on.slice(0, 12).map(member => member.displayName) : PREVIEW_NAMES;
+    const files = [];
+    let image = null;
+    let wheelMs = 0;
+    try {
+        const started = Date.now();
+        const png = await renderPool.renderWheel({ renderer: config.renderer, names, theme: wheelTheme(config) });
+        wheelMs = Date.now() - started;
+        image = 'spin-check.png';
+        files.push(new AttachmentBuilder(png, { name: image }));
+    } catch (error) {
+        problems.push(`Could not render the wheel (${error.message}); check that canvas and its fonts are installed.`);
+    }
+
+    const estimate = diagnostics.estimateRun(config, { on: onTotal, off: offTotal }, { wheelMs });
+    const embed = diagnostics.buildCheckEmbed({
+        channel, roles, problems, warnings, notes, estimate, mode: config.spinMode, wheelMs, image,
+    });
+    await interaction.editReply({ embeds: [embed], files });
+}
+
+/**
+ * Ask in the session's channel whether to resume or roll back an unfinished spin
+ */
+async function promptInterruptedSession(channel, session) {
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`session_resume:${session.id}`)
+            .setLabel('Resume')
+            .setStyle(ButtonStyle.Primary),
+        new ButtonBuilder()
+            .setCustomId(`session_rollback:${session.id}`)
+            .setLabel('Roll back')
+            .setStyle(ButtonStyle.Danger)
+    );
+    const started = Math.floor(Date.parse(session.createdAt) / 1000);
+    await channel.send({
+        content: `⚠️ The spin started <t:${started}:R> by <@${session.initiatorId}> did not finish ` +
+            `(step: ${session.step}, ${session.roleChanges.length} role changes so far). Resume it or roll back?`,
+        components: [row],
+    });
+}
+
+// Mark a session cancelled by its initiator (role changes so far are kept)
+async function cancelSession(session) {
+    await sessions.setStatus(session, 'cancelled', 'Cancelled with the cancel button');
+    return '🛑 Spin cancelled.';
+}
+
+/**
+ * Run the real wheel flow for a guild, continuing from the session's current step:
+ *   return - bring one member back from Off the wheel
+ *   roster - lock in who is On the wheel and set up the draw
+ *   rounds - eliminate On-the-wheel members until one remains
+ *   final  - update the winner's roles and record the run
+ * ctx: { guild, channel, initiator, animate, config, session, fairness }
+ * With a dry-run session the real members are spun but no roles or history are changed.
+ * With `fairness` every draw comes from the committed seeds.
+ * Returns a one-line summary for the invoker.
+ */
+async function runSpinSteps(ctx) {
+    const { guild, config, session, presenter } = ctx;
+    const { run } = session;
+    const { dryRun } = session.options;
+    const onLabel = roleLabel(guild, config.onRole);
+    const offLabel = roleLabel(guild, config.offRole);
+    const dryRunNote = dryRun ? ' (DRY RUN - no roles updated)' : '';
+
+    // Weighted mode sizes each slice by the member's odds (see weights.js)
+    const pastRuns = config.weightedSpins ? await history.readCountedRuns(guild.id) : null;
+    const weightsFor = users => (pastRuns ? weights.computeWeights(users, pastRuns, config) : null);
+
+    if (session.step === 'return') {
+        const onRole = getRole(guild, config.onRole);
+        const offRole = getRole(guild, config.offRole);
+        let returnedUser = null;
+
+        if (run.offWheel) {
+            // Resumed after the draw: the member was already chosen and announced
+            returnedUser = (await rosterMembers(guild, [run.offWheel.returned.id]))[0] || null;
+        } else {
+            await presenter.post(`🎡 Starting the wheel spinning process...${dryRunNote}`);
+
+            // Members holding both roles would be spun twice: a real spin repairs
+            // them first (see lifecycle.js) and they only ever count as On the wheel
+            const conflicts = lifecycle.findRoleConflicts(await getUsersWithRoleCached(guild, config.offRole), onRole, offRole);
+            if (conflicts.length > 0 && !dryRun && config.roleConflicts !== 'ignore') {
+                const failures = await applySessionRoles(session, lifecycle.conflictRepairs(conflicts, config, onRole, offRole));
+                const kept = config.roleConflicts === 'keep-on' ? onLabel : offLabel;
+                await presenter.post(`🔧 ${conflicts.length} member${conflicts.length === 1 ? '' : 's'} had both '${onLabel}' and '${offLabel}'; kept '${kept}'.`);
+                if (failures.length > 0) await reportRoleFailures(presenter, failures);
+            }
+
+            // Step 1: Check if we need to spin for "Off the wheel" users
+            const offWheelUsers = (await getUsersWithRoleCached(guild, config.offRole))
+                .filter(user => !onRole || !user.roles.cache.has(onRole.id));
+
+            if (offWheelUsers.length >= config.offWheelThreshold) {
+                const offWheelNames = offWheelUsers.map(user => user.displayName);
+                const offWheelWeights = weightsFor(offWheelUsers);
+                const winnerIndex = spinWheel(offWheelUsers, offWheelWeights, randomFor(ctx, 'return'));
+                const hasWinner = winnerIndex !== null && winnerIndex !== undefined;
+                // Render while the status and odds messages go out
+                const prepared = hasWinner ? prepareSpin(ctx, offWheelNames, winnerIndex, {
+                    segmentWeights: offWheelWeights,
+                    random: randomFor(ctx, 'return-order'),
+                    avatars: offWheelUsers.map(avatarUrl),
+                }) : null;
+
+                await presenter.status(
+                    `🔄 Found ${offWheelUsers.length} users '${offLabel}'. Spinning to bring one back...`
+                );
+                if (offWheelWeights) {
+                    await presenter.status(formatOdds(
+                        'Odds of coming back', offWheelUsers, offWheelWeights, weights.toProbabilities(offWheelWeights)
+                    ));
+                }
+
+                if (hasWinner) {
+                    const winner = offWheelUsers[winnerIndex];
+                    if (await animateSpin(ctx, offWheelNames, winnerIndex, { prepared })) {
+                        return cancelSession(session);
+                    }
+                    checkAborted(ctx);
+
+                    await presenter.post(`🎉 **${winner.displayName}** is back on the wheel!${dryRunNote}`);
+                    run.offWheel = {
+                        candidates: offWheelUsers.map(toHistoryMember),
+                        weights: offWheelWeights,
+                        returned: toHistoryMember(winner),
+                    };
+                    returnedUser = winner;
+                    // Saved before any role changes so a resume reuses this draw
+                    await sessions.logStep(session, `${winner.displayName} brought back from ${offLabel}`);
+                }
+            } else {
+                await presenter.post(
+                    `ℹ️ Only ${offWheelUsers.length} users '${offLabel}' (need ${config.offWheelThreshold}+ to spin). Skipping this step.`
+                );
+            }
+        }
+
+        // Update roles; on a resume, roles already moved are skipped
+        if (!returnedUser || dryRun) {
+            // nobody to move, or roles are left alone
+        } else if (onRole && offRole) {
+            const failures = await applySessionRoles(session, [
+                { member: returnedUser, add: [onRole], remove: [offRole], why: `brought back from ${offLabel}` },
+            ]);
+            if (failures.length === 0) {
+                await presenter.post(`✅ Updated roles for ${returnedUser.displayName}`);
+            } else {
+                await reportRoleFailures(presenter, failures);
+            }
+        } else {
+            await presenter.post("⚠️ Warning: Could not find required roles!");
+        }
+        await sessions.advance(session, 'roster');
+    }
+
+    if (session.step === 'roster') {
+        // Step 2: Spin for "On the wheel" users (or the lobby's roster) in the session's mode
+        const onWheelUsers = session.roster
+            ? await rosterMembers(guild, session.roster)
+            : await getUsersWithRoleCached(guild, config.onRole);
+        // A dry run never moves the returned member and a roster was locked
+        // before the return spin, so add them by hand
+        const returnedId = run.offWheel && run.offWheel.returned.id;
+        if ((dryRun || session.roster) && returnedId && !onWheelUsers.some(user => user.id === returnedId)) {
+            onWheelUsers.push(...await rosterMembers(guild, [returnedId]));
+        }
+
+        if (onWheelUsers.length < config.minOnWheel) {
+            const msg = session.roster
+                ? `❌ Need at least ${config.minOnWheel} members in the roster to spin. Currently: ${onWheelUsers.length}`
+                : `❌ Need at least ${config.minOnWheel} users with '${onLabel}' role to spin. Currently: ${onWheelUsers.length}`;
+            await presenter.post(msg);
+            await sessions.setStatus(session, 'cancelled', 'Not enough members On the wheel');
+            return msg;
+        }
+
+        // Sessions from before spin modes were all last one standing
+        const mode = session.options.mode || spinModes.DEFAULT_SPIN_MODE;
+        const onWheelWeights = weightsFor(onWheelUsers);
+        const chances = onWheelWeights && spinModes.estimateWinChances(mode, onWheelWeights);
+        if (chances) {
+            await presenter.post(formatOdds(
+                `Odds of becoming ${config.winnerTitle}`, onWheelUsers, onWheelWeights, chances
+            ));
+        }
+
+        run.mode = mode;
+        run.participants = onWheelUsers.map(toHistoryMember);
+        run.participantWeights = onWheelWeights;
+        session.draw = spinModes.createDraw(mode, onWheelUsers.map(user => user.id), {
+            teamCount: session.options.teams || config.draftTeams,
+        });
+        await sessions.advance(session, 'rounds', `${onWheelUsers.length} members ${onLabel}`);
+
+        await presenter.status(
+            `🎡 Spinning the wheel for ${onWheelUsers.length} users '${onLabel}' (${spinModes.SPIN_MODES[mode].label})...`
+        );
+    }
+
+    if (session.step === 'rounds') {
+        // Sessions from before spin modes only kept who was left on the wheel
+        if (!session.draw) {
+            session.draw = { ...spinModes.createDraw(spinModes.DEFAULT_SPIN_MODE, session.remainingIds), spins: run.rounds.length };
+        }
+        const { draw } = session;
+        // A spin cut short by a restart is drawn again, so whoever left while
+        // it was in the air left before the new one (see replay.js)
+        for (const drop of run.dropped || []) {
+            if (drop.during && drop.spins === draw.spins) drop.during = false;
+        }
+        session.spinning = false;
+        // Members who left the server since the session started are dropped
+        const members = new Map((await rosterMembers(guild, draw.remaining)).map(member => [member.id, member]));
+        for (const id of draw.remaining.filter(id => !members.has(id))) lifecycle.dropFromSession(session, id);
+        const nameOf = id => {
+            const participant = run.participants.find(p => p.id === id);
+            return participant ? participant.name : id;
+        };
+        const favourOf = favourFor(run);
+        const totalSpins = spinModes.expectedSpins(draw.mode, run.participants.length);
+        if (draw.mode === 'last-standing') {
+            for (const round of run.rounds) presenter.eliminated(round.name);
+        }
+        presenter.setProgress(Math.min(run.rounds.length, totalSpins), totalSpins);
+
+        let spin;
+        while ((spin = spinModes.nextSpin(draw, favourOf))) {
+            checkAborted(ctx);
+            const roundNum = draw.spins + 1;
+            const users = spin.ids.map(id => members.get(id));
+            const names = users.map(user => user.displayName);
+            const winnerIndex = spinWheel(users, spin.segmentWeights, randomFor(ctx, spin.label));
+
+            if (winnerIndex === null || winnerIndex === undefined) {
+                break;
+            }
+
+            const winner = users[winnerIndex];
+            // Members leaving from here on are still on this spin's wheel
+            session.spinning = true;
+            // Render while the round's status messages go out
+            const prepared = prepareSpin(ctx, names, winnerIndex, {
+                segmentWeights: spin.segmentWeights,
+                random: randomFor(ctx, `${spin.label}-order`),
+                avatars: users.map(avatarUrl),
+            });
+            await presenter.status(`🔄 Round ${roundNum}: Spinning...`);
+
+            const cancelled = await animateSpin(ctx, names, winnerIndex, { prepared });
+            session.spinning = false;
+            if (cancelled) {
+                return cancelSession(session);
+            }
+            checkAborted(ctx);
+
+            // They left the server while the wheel was spinning and are already
+            // off the draw: the spin doesn't count and is spun again
+            if (!draw.remaining.includes(winner.id)) {
+                run.voidLandings = [...(run.voidLandings || []), { spins: draw.spins, ...toHistoryMember(winner) }];
+                await sessions.logStep(session, `Round ${roundNum}: landed on ${winner.displayName}, who had left; spinning again`);
+                await presenter.post(`👋 ${winner.displayName} left the server and is off the wheel.`);
+                continue;
+            }
+
+            const event = spinModes.recordLanding(draw, winner.id);
+            await presenter.post(landingMessage(event, nameOf));
+            run.rounds.push({ round: roundNum, ...toHistoryMember(winner), remaining: draw.remaining.length });
+            await sessions.logStep(session, `Round ${roundNum}: ${winner.displayName} ${event.kind}`);
+            if (event.kind === 'eliminated') presenter.eliminated(winner.displayName);
+            presenter.setProgress(Math.min(run.rounds.length, totalSpins), totalSpins);
+
+            const next = spinModes.nextSpin(draw, favourOf);
+            if (next) {
+                const nextUsers = next.ids.map(id => members.get(id));
+                await showCurrentWheel(
+                    ctx,
+                    nextUsers.map(user => user.displayName),
+                    next.segmentWeights,
+                    nextUsers.map(avatarUrl)
+                );
+            }
+
+            // Small delay for better UX
+            await sleep(500);
+        }
+
+        // A team draft has no winner; the rosters are the result
+        if (draw.teams) {
+            run.teams = draw.teams.map(team => team.map(id => ({ id, name: nameOf(id) })));
+            await presenter.post(`🏅 **Teams**${dryRunNote}\n${formatTeams(run.teams)}`);
+            await sessions.advance(session, 'final', `${run.teams.length} teams drafted`);
+        } else {
+            // Final winner
+            const finalWinner = draw.winnerId && members.get(draw.winnerId);
+            if (!finalWinner) {
+                await presenter.post("❌ Error: No final winner determined!");
+                await sessions.setStatus(session, 'cancelled', 'No final winner determined');
+                return '❌ No final winner determined.';
+            }
+
+            await presenter.post(
+                `🏆 **FINAL WINNER: ${finalWinner}** is ${config.winnerTitle}!${dryRunNote}`
+            );
+            run.winner = toHistoryMember(finalWinner);
+            await sessions.advance(session, 'final', `${finalWinner.displayName} won`);
+        }
+    }
+
+    // step === 'final'
+    checkAborted(ctx);
+    if (run.teams) {
+        // Nobody won a draft, so no roles change
+        if (!dryRun) await recordSessionRun(session);
+        await sessions.setStatus(session, 'completed', dryRun ? 'Dry run finished' : 'Teams drafted');
+        return `🏅 ${dryRun ? 'Dry run finished: ' : ''}${run.participants.length} members drafted into ${run.teams.length} teams.`;
+    }
+    if (dryRun) {
+        await sessions.setStatus(session, 'completed', 'Dry run finished');
+        return `🏆 Dry run finished: ${run.winner.name} would be ${config.winnerTitle}.`;
+    }
+
+    const finalWinner = await guild.members.fetch(run.winner.id);
+
+    // Update final winner's roles
+    const onRole = getRole(guild, config.onRole);
+    const offRole = getRole(guild, config.offRole);
+    const weekRole = getRole(guild, config.winnerRole);
+
+    // Ensure only one user has the 'Your week' role: remove it from any current holders
+    if (weekRole) {
+        const currentHolders = await getUsersWithRoleCached(guild, config.winnerRole);
+        const failures = await applySessionRoles(session, currentHolders
+            .filter(holder => holder.id !== finalWinner.id)
+            .map(holder => ({ member: holder, add: [], remove: [weekRole], why: `no longer ${config.winnerTitle}` })));
+        if (failures.length > 0) await reportRoleFailures(presenter, failures);
+    }
+
+    const rolesToAdd = [];
+    const rolesToRemove = [];
+    const phrases = config.phrases.length > 0 ? config.phrases : guildConfig.DEFAULT_PHRASES;
+    const randomPhrase = phrases[Math.floor(Math.random() * phrases.length)];
+
+    if (weekRole) rolesToAdd.push(weekRole);
+    if (offRole) rolesToAdd.push(offRole);
+    if (onRole) rolesToRemove.push(onRole);
+
+    let summary;
+    if (rolesToAdd.length === 0 && rolesToRemove.length === 0) {
+        await presenter.post("⚠️ Warning: Could not find required roles!");
+        summary = `🏆 ${finalWinner.displayName} won, but the wheel roles are missing.`;
+    } else {
+        const failures = await applySessionRoles(session, [
+            { member: finalWinner, add: rolesToAdd, remove: rolesToRemove, why: `became ${config.winnerTitle}` },
+        ]);
+        if (failures.length === 0) {
+            await presenter.post(
+                `${randomPhrase}`
+            );
+            summary = `🏆 ${finalWinner.displayName} is ${config.winnerTitle}!`;
+        } else {
+            await reportRoleFailures(presenter, failures);
+            summary = `⚠️ ${finalWinner.displayName} won, but ${failures.length} of their role changes failed.`;
+        }
+    }
+
+    await recordSessionRun(session);
+    await sessions.setStatus(session, 'completed', 'Spin finished');
+    return summary;
+}
+
+// Add a session's run to the spin history, once
+async function recordSessionRun(session) {
+    if (session.recorded) return;
+    session.run.finishedAt = new Date().toISOString();
+    try {
+        await history.recordRun(session.run);
+        session.recorded = true;
+    } catch (err) {
+        console.error(`Failed to record spin history: ${err.message}`);
+    }
+}
+
+// Bot events
+async function handleReady() {
+    console.log('═══════════════════════════════════════');
+    console.log('🎡 SPINNY IS ONLINE! 🎡');
+    console.log(`Logged in as: ${client.user.tag}`);
+    console.log(`Bot ID: ${client.user.id}`);
+    console.log(`Ready to spin wheels! Use /spin, /spin-test, /history or /stats`);
+    console.log('═══════════════════════════════════════');
+
+    try {
+        await registerCommands(client);
+    } catch (err) {
+        console.error(`Failed to register slash commands: ${err.message}`);
+    }
+
+    // Spins that were still running when the bot last stopped. A failure here
+    // must not keep the scheduler from starting.
+    let interrupted = [];
+    try {
+        interrupted = await sessions.recoverInterrupted();
+    } catch (err) {
+        console.error(`Failed to recover interrupted spins: ${err.message}`);
+    }
+    for (const session of interrupted) {
+        try {
+            const channel = await client.channels.fetch(session.channelId);
+            await promptInterruptedSession(channel, session);
+        } catch (err) {
+            console.error(`Could not prompt about interrupted spin ${session.id}: ${err.message}`);
+        }
+    }
+
+    scheduler.startScheduler({ onReminder: sendScheduleReminder, onDue: runScheduledSpin });
+}
+
+// Resolve the channel a schedule posts in, or null if it's gone
+async function fetchScheduleChannel(schedule) {
+    try {
+        return await client.channels.fetch(schedule.channelId);
+    } catch (err) {
+        return null;
+    }
+}
+
+async function sendScheduleReminder(guildId, schedule, { scheduledFor }) {
+    const channel = await fetchScheduleChannel(schedule);
+    if (!channel) return;
+    const unix = Math.floor(scheduledFor.getTime() / 1000);
+    await channel.send(`⏰ Reminder: the scheduled spin starts <t:${unix}:R>!`);
+}
+
+async function runScheduledSpin(guildId, schedule, { scheduledFor, missed }) {
+    const guild = client.guilds.cache.get(guildId);
+    const channel = await fetchScheduleChannel(schedule);
+    if (!guild || !channel) {
+        console.error(`Skipping scheduled spin for guild ${guildId}: guild or channel unavailable`);
+        return;
+    }
+
+    if (missed) {
+        const unix = Math.floor(scheduledFor.getTime() / 1000);
+        await channel.send(`⏰ I was offline for the spin scheduled <t:${unix}:f>, so it's running now.`);
+    } else {
+        await channel.send('⏰ Time for the scheduled spin!');
+    }
+
+    await runSpin({
+        guild,
+        channel,
+        initiator: client.user,
+        animate: true,
+        dryRun: false,
+        config: guildConfig.getGuildConfig(guildId),
+    });
+}
+
+/**
+ * Format a guild's schedule and its upcoming runs for /schedule list
+ */
+function formatSchedule(schedule) {
+    if (!schedule) return '📅 No spin is scheduled. Use `/schedule set` to add one.';
+    const lines = [
+        `📅 **Scheduled spin**: \`${schedule.cron}\` (${schedule.timezone}) in <#${schedule.channelId}>`,
+        `Reminder: ${schedule.reminderMinutes > 0 ? `${schedule.reminderMinutes} minutes before` : 'off'}`,
+    ];
+    if (schedule.paused) {
+        lines.push('⏸️ Paused');
+    } else {
+        const runs = scheduler.upcomingRuns(schedule, 3);
+        lines.push('Upcoming:', ...runs.map(date => `• <t:${Math.floor(date.getTime() / 1000)}:F>`));
+    }
+    if (schedule.lastRunAt) {
+        lines.push(`Last run: <t:${Math.floor(Date.parse(schedule.lastRunAt) / 1000)}:f>`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * /schedule subcommands (configure permission): set, list, pause, resume, skip and remove
+ */
+async function handleScheduleCommand(interaction) {
+    const denied = permissions.permissionDenial(interaction.member, 'configure', guildConfig.getGuildConfig(interaction.guildId));
+    if (denied) {
+        await interaction.reply({ content: denied, ephemeral: true });
+        return;
+    }
+
+    const guildId = interaction.guildId;
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'set') {
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+        try {
+            const schedule = await scheduler.setSchedule(guildId, {
+                cron: interaction.options.getString('cron'),
+                timezone: interaction.options.getString('timezone') || 'UTC',
+                channelId: channel.id,
+                reminderMinutes: interaction.options.getInteger('reminder') ?? 15,
+            });
+            await interaction.reply({ content: `✅ Spin scheduled.\n${formatSchedule(schedule)}`, ephemeral: true });
+        } catch (err) {
+            await interaction.reply({ content: `❌ ${err.message}`, ephemeral: true });
+        }
+        return;
+    }
+
+    if (sub === 'list') {
+        await interaction.reply({ content: formatSchedule(scheduler.getSchedule(guildId)), ephemeral: true });
+        return;
+    }
+
+    if (sub === 'pause' || sub === 'resume') {
+        const schedule = await scheduler.setPaused(guildId, sub === 'pause');
+        const content = schedule
+            ? `${sub === 'pause' ? '⏸️ Scheduled spins paused.' : '▶️ Scheduled spins resumed.'}\n${formatSchedule(schedule)}`
+            : '❌ No spin is scheduled.';
+        await interaction.reply({ content, ephemeral: true });
+        return;
+    }
+
+    if (sub === 'skip') {
+        const skipped = await scheduler.skipNext(guildId);
+        const content = skipped
+            ? `⏭️ Skipped the spin on <t:${Math.floor(skipped.getTime() / 1000)}:F>.\n${formatSchedule(scheduler.getSchedule(guildId))}`
+            : '❌ No upcoming spin to skip.';
+        await interaction.reply({ content, ephemeral: true });
+        return;
+    }
+
+    if (sub === 'remove') {
+        const removed = await scheduler.removeSchedule(guildId);
+        await interaction.reply({ content: removed ? '🗑️ Schedule removed.' : '❌ No spin is scheduled.', ephemeral: true });
+    }
+}
+
+// Listen for both names to silence deprecation and remain compatible across versions.
+// Guard so registration only happens once when both fire.
+let readyHandled = false;
+function onReady() {
+    if (readyHandled) return;
+    readyHandled = true;
+    handleReady();
+}
+client.once('ready', onReady);
+client.once('clientReady', onReady);
+
+client.on('messageCreate', async (message) => {
+    // Ignore messages from bots
+    if (message.author.bot) return;
+    if (!message.content.startsWith('!')) return;
+    if (!prefixCommandsEnabled(message.guild ? message.guild.id : null)) return;
+
+    const [command, ...args] = message.content.trim().split(/\s+/);
+
+    // Check for !history command (past winners)
+    if (command === '!history') {
+        if (!message.guild) {
+            await message.channel.send("This command can only be used in a server!");
+            return;
+        }
+        const limit = Math.min(Math.max(parseInt(args[0], 10) || 5, 1), 25);
+        const runs = await history.getRecentRuns(message.guild.id, limit);
+        await message.channel.send(formatHistory(runs));
+        return;
+    }
+
+    // Check for !stats command (per-member statistics)
+    if (command === '!stats') {
+        if (!message.guild) {
+            await message.channel.send("This command can only be used in a server!");
+            return;
+        }
+        const member = message.mentions.members.first() || message.member;
+        const stats = await history.getMemberStats(message.guild.id, member.id);
+        await message.channel.send(formatMemberStats(member, stats, guildConfig.getGuildConfig(message.guild.id)));
+        return;
+    }
+
+    // Check for !test command (uses fake data)
+    if (message.content === '!test') {
+        const config = guildConfig.getGuildConfig(message.guild ? message.guild.id : null);
+        if (message.guild) {
+            const denied = await spinDenial(message.member, message.channel, config, { real: false });
+            if (denied) {
+                await message.channel.send(denied);
+                return;
+            }
+        }
+        await runTestSpin({
+            guild: message.guild,
+            channel: message.channel,
+            initiator: message.author,
+            animate: true,
+            config,
+        });
+        return;
+    }
+
+    // Check for !spin command
+    if (message.content === '!spin') {
+        if (!message.guild) {
+            await message.channel.send("This command can only be used in a server!");
+            return;
+        }
+        const config = guildConfig.getGuildConfig(message.guild.id);
+        const denied = await spinDenial(message.member, message.channel, config, { real: true });
+        if (denied) {
+            await message.channel.send(denied);
+            return;
+        }
+        await runSpin({
+            guild: message.guild,
+            channel: message.channel,
+            initiator: message.author,
+            member: message.member,
+            animate: true,
+            dryRun: false,
+            config,
+        });
+    }
+});
+
+/**
+ * Format a weighted spin's odds table, highest chance first
+ */
+function formatOdds(heading, users, memberWeights, chances) {
+    const rows = users
+        .map((user, i) => ({ name: user.displayName, weight: memberWeights[i], chance: chances[i] }))
+        .sort((a, b) => b.chance - a.chance)
+        .map(row => `• **${row.name}** — weight ${row.weight.toFixed(2)}, ${(row.chance * 100).toFixed(1)}%`);
+    const text = `🎲 **${heading}**\n${rows.join('\n')}`;
+    // Keep within Discord's 2000 character message limit
+    return text.length > 1900 ? `${text.slice(0, 1900)}\n…` : text;
+}
+
+/**
+ * /weights subcommands: odds (anyone), set and reset (configure permission)
+ */
+async function handleWeightsCommand(interaction) {
+    const guildId = interaction.guildId;
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'odds') {
+        const config = guildConfig.getGuildConfig(guildId);
+        const onWheelUsers = await getUsersWithRoleCached(interaction.guild, config.onRole);
+        if (onWheelUsers.length < 2) {
+            await interaction.reply({ content: `❌ Need at least 2 users with '${roleLabel(interaction.guild, config.onRole)}' role.`, ephemeral: true });
+            return;
+        }
+        const memberWeights = config.weightedSpins
+            ? weights.computeWeights(onWheelUsers, await history.readCountedRuns(guildId), config)
+            : onWheelUsers.map(() => 1);
+        const chances = spinModes.estimateWinChances(config.spinMode, memberWeights);
+        if (!chances) {
+            await interaction.reply({ content: 'ℹ️ The wheel is set to team drafts, which have no winner.', ephemeral: true });
+            return;
+        }
+        let content = formatOdds(`Odds of becoming ${config.winnerTitle}`, onWheelUsers, memberWeights, chances);
+        if (!config.weightedSpins) content += '\nℹ️ Weighted spins are off, so everyone has equal odds.';
+        await interaction.reply({ content, ephemeral: true });
+        return;
+    }
+
+    const denied = permissions.permissionDenial(interaction.member, 'configure', guildConfig.getGuildConfig(guildId));
+    if (denied) {
+        await interaction.reply({ content: denied, ephemeral: true });
+        return;
+    }
+
+    const user = interaction.options.getUser('member');
+    if (sub === 'set') {
+        const weight = interaction.options.getNumber('weight');
+        try {
+            await guildConfig.setMemberWeight(guildId, user.id, weight);
+        } catch (err) {
+            await interaction.reply({ content: `❌ ${err.message}`, ephemeral: true });
+            return;
+        }
+        await interaction.reply({ content: `✅ ${user} now has a weight of ${weight}.`, ephemeral: true });
+        return;
+    }
+
+    if (sub === 'reset') {
+        await guildConfig.setMemberWeight(guildId, user.id, null);
+        await interaction.reply({ content: `✅ Removed the manual weight for ${user}.`, ephemeral: true });
+    }
+}
+
+/**
+ * /verify: replay a fair spin from its seeds and compare with what happened
+ */
+async function handleVerifyCommand(interaction) {
+    const clientSeed = interaction.options.getString('client-seed');
+    const revealedSeed = interaction.options.getString('server-seed');
+
+    const runs = await history.readRuns(interaction.guildId);
+    const fairRuns = runs.filter(run => run.fairness);
+    const run = clientSeed
+        ? fairRuns.find(r => r.fairness.clientSeed === clientSeed)
+        : fairRuns[fairRuns.length - 1];
+    if (!run) {
+        await interaction.reply({ content: '❌ No recorded fair spin matches that client seed.', ephemeral: true });
+        return;
+    }
+
+    // Verify against the seed the user pasted if given, not just our own record
+    const serverSeed = revealedSeed ? revealedSeed.trim() : run.fairness.serverSeed;
+    const lines = [`🔍 **Verifying spin from ${run.finishedAt.slice(0, 10)}** (client seed \`${run.fairness.clientSeed}\`)`];
+
+    const hashOk = fairness.hashSeed(serverSeed) === run.fairness.serverSeedHash;
+    lines.push(hashOk
+        ? '✅ Server seed matches the hash posted before the spin'
+        : '❌ Server seed does NOT match the hash posted before the spin');
+
+    const replay = replayRun(run, serverSeed);
+    const nameOf = id => {
+        const member = [...run.participants, ...(run.offWheel ? run.offWheel.candidates : [])].find(m => m.id === id);
+        return member ? member.name : id;
+    };
+
+    if (run.offWheel) {
+        const ok = replay.returnedId === run.offWheel.returned.id;
+        lines.push(`${ok ? '✅' : '❌'} Brought back: ${nameOf(replay.returnedId)}`);
+    }
+    const voidIds = (run.voidLandings || []).map(landing => landing.id);
+    const spinsOk = replay.landedIds.length === run.rounds.length &&
+        replay.landedIds.every((id, i) => id === run.rounds[i].id) &&
+        replay.voidIds.length === voidIds.length && replay.voidIds.every((id, i) => id === voidIds[i]);
+    const order = { 'last-standing': 'Elimination order', 'team-draft': 'Draft order' }[run.mode || spinModes.DEFAULT_SPIN_MODE] || 'Spins';
+    lines.push(`${spinsOk ? '✅' : '❌'} ${order}: ${replay.landedIds.map(nameOf).join(', ')}`);
+    if (replay.voidIds.length > 0) {
+        lines.push(`👋 Spun again after landing on members who had left: ${replay.voidIds.map(nameOf).join(', ')}`);
+    }
+    let resultOk;
+    if (run.teams) {
+        resultOk = JSON.stringify(replay.teams) === JSON.stringify(run.teams.map(team => team.map(member => member.id)));
+        lines.push(`${resultOk ? '✅' : '❌'} Teams: ${replay.teams.map(team => team.map(nameOf).join(', ')).join(' | ')}`);
+    } else {
+        resultOk = replay.winnerId === run.winner.id;
+        lines.push(`${resultOk ? '✅' : '❌'} Winner: ${nameOf(replay.winnerId)}`);
+    }
+
+    const allOk = hashOk && spinsOk && resultOk && (!run.offWheel || replay.returnedId === run.offWheel.returned.id);
+    lines.push(allOk ? '**The spin replays exactly. It was fair.**' : '**The replay does not match the recorded spin.**');
+    await interaction.reply(lines.join('\n'));
+}
+
+/**
+ * Format the effective guild configuration for /config view
+ */
+function formatConfig(guild, config, overrides) {
+    const lines = Object.entries(guildConfig.CONFIG_KEYS).map(([key, def]) => {
+        let value = config[key];
+        if (key === 'phrases') value = `${value.length} phrases`;
+        else if (def.type === 'weights') value = `${Object.keys(value).length} members`;
+        else if (def.type === 'theme') value = `${Object.keys(value).length} customisations`;
+        else if (def.type === 'permissions') value = `${Object.keys(value).length} limited actions (see /permissions view)`;
+        else if (def.type === 'channels') value = value.length > 0 ? value.map(id => `<#${id}>`).join(', ') : 'any channel';
+        else if (def.type === 'role') value = roleLabel(guild, value);
+        else if (def.type === 'channel') value = value ? `<#${value}>` : 'off';
+        else if (value === null) value = 'PREFIX_COMMANDS default';
+        const source = key in overrides ? '' : ' *(default)*';
+        return `\`${key}\` — ${value}${source}\n  ${def.description}`;
+    });
+    return `⚙️ **Wheel configuration**\n${lines.join('\n')}`;
+}
+
+/**
+ * /config subcommands (configure permission): view, set, reset and phrase management
+ */
+async function handleConfigCommand(interaction) {
+    const denied = permissions.permissionDenial(interaction.member, 'configure', guildConfig.getGuildConfig(interaction.guildId));
+    if (denied) {
+        await interaction.reply({ content: denied, ephemeral: true });
+        return;
+    }
+
+    const guildId = interaction.guildId;
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'view') {
+        const content = formatConfig(interaction.guild, guildConfig.getGuildConfig(guildId), guildConfig.getOverrides(guildId));
+        await interaction.reply({ content, ephemeral: true });
+        return;
+    }
+
+    if (sub === 'set') {
+        const key = interaction.options.getString('key');
+        if (!settableKeys.includes(key)) {
+            const reason = guildConfig.CONFIG_KEYS[key] ? 'has its own command' : 'is not a setting';
+            await interaction.reply({ content: `❌ \`${key}\` ${reason}.`, ephemeral: true });
+            return;
+        }
+        let value;
+        try {
+            value = guildConfig.parseConfigValue(key, interaction.options.getString('value'));
+        } catch (err) {
+            await interaction.reply({ content: `❌ ${err.message}`, ephemeral: true });
+            return;
+        }
+        await guildConfig.setConfigValue(guildId, key, value);
+        const missingRole = guildConfig.CONFIG_KEYS[key].type === 'role' && !getRole(interaction.guild, value);
+        const content = missingRole
+            ? `⚠️ \`${key}\` set to ${value}, but no role with that name or id exists yet.`
+            : `✅ \`${key}\` set to ${value}`;
+        await interaction.reply({ content, ephemeral: true });
+        return;
+    }
+
+    if (sub === 'reset') {
+        const key = interaction.options.getString('key');
+        if (!guildConfig.CONFIG_KEYS[key]) {
+            await interaction.reply({ content: `❌ \`${key}\` is not a setting.`, ephemeral: true });
+            return;
+        }
+        await guildConfig.resetConfigValue(guildId, key);
+        await interaction.reply({ content: `✅ \`${key}\` reset to its default`, ephemeral: true });
+        return;
+    }
+
+    if (sub === 'phrases') {
+        const { phrases } = guildConfig.getGuildConfig(guildId);
+        const list = phrases.map((phrase, i) => `${i + 1}. ${phrase}`).join('\n');
+        // Keep within Discord's 2000 character message limit
+        const content = list.length > 1900 ? `${list.slice(0, 1900)}\n…` : list;
+        await interaction.reply({ content: content || 'No phrases configured.', ephemeral: true });
+        return;
+    }
+
+    if (sub === 'phrase-add') {
+        const phrase = interaction.options.getString('text').trim();
+        const config = await guildConfig.addPhrase(guildId, phrase);
+        await interaction.reply({ content: `✅ Added phrase #${config.phrases.length}`, ephemeral: true });
+        return;
+    }
+
+    if (sub === 'phrase-remove') {
+        const removed = await guildConfig.removePhrase(guildId, interaction.options.getInteger('number'));
+        const content = removed ? `✅ Removed: ${removed}` : '❌ No phrase with that number.';
+        await interaction.reply({ content, ephemeral: true });
+    }
+}
+
+/**
+ * Format who may do what for /permissions view
+ */
+function formatPermissions(guild, config) {
+    const lines = Object.entries(permissions.ACTIONS).map(([action, def]) =>
+        `\`${action}\` — ${permissions.describeAllowed(guild, action, config)} can ${def.label}`);
+    const channels = config.spinChannels.length > 0
+        ? config.spinChannels.map(id => `<#${id}>`).join(', ')
+        : 'any channel';
+    const cooldown = config.spinCooldownHours > 0
+        ? `${config.spinCooldownHours} hours between real spins (\`/config set spinCooldownHours\`)`
+        : 'none (`/config set spinCooldownHours`)';
+    return `🔑 **Wheel permissions**\n${lines.join('\n')}\n` +
+        `Spin channels: ${channels}\nCooldown: ${cooldown}\n` +
+        '*Server admins can always do everything.*';
+}
+
+/**
+ * /permissions subcommands (admin only): view, allow, revoke, reset and the spin channels
+ */
+async function handlePermissionsCommand(interaction) {
+    if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+        await interaction.reply({ content: '❌ Only server admins can change who may use the wheel.', ephemeral: true });
+        return;
+    }
+
+    const guildId = interaction.guildId;
+    const sub = interaction.options.getSubcommand();
+    const action = interaction.options.getString('action');
+    const role = interaction.options.getRole('role');
+    const channel = interaction.options.getChannel('channel');
+    let content;
+
+    if (sub === 'view') {
+        content = formatPermissions(interaction.guild, guildConfig.getGuildConfig(guildId));
+    } else if (sub === 'allow' || sub === 'revoke') {
+        const config = await guildConfig.setActionRole(guildId, action, role.id, sub === 'allow');
+        content = `✅ Now ${permissions.describeAllowed(interaction.guild, action, config)} can ${permissions.ACTIONS[action].label}.`;
+    } else if (sub === 'reset') {
+        const config = await guildConfig.resetActionRoles(guildId, action);
+        content = `✅ \`${action}\` is back to its default: ${permissions.describeAllowed(interaction.guild, action, config)}.`;
+    } else if (sub === 'channel-add' || sub === 'channel-remove') {
+        const config = await guildConfig.setSpinChannel(guildId, channel.id, sub === 'channel-add');
+        content = config.spinChannels.length > 0
+            ? `✅ Spins can be held in ${config.spinChannels.map(id => `<#${id}>`).join(', ')}.`
+            : '✅ Spins can be held in any channel.';
+    }
+    await interaction.reply({ content, ephemeral: true });
+}
+
+// Names drawn on /theme preview when nobody is On the wheel yet
+const PREVIEW_NAMES = ["Alice", "Bob", "Charlie", "Diana", "Eve", "Frank", "Grace", "Henry"];
+
+// Read the /theme customize options that were given into theme overrides.
+// Throws an Error with a user-facing message on invalid input.
+function parseThemeOptions(options) {
+    const changes = {};
+    const color = name => themes.toHex(themes.parseHexColor(options.getString(name)));
+    const image = name => {
+        const raw = options.getString(name);
+        return raw.trim().toLowerCase() === 'none' ? null : themes.parseImageUrl(raw);
+    };
+    const given = name => options.getString(name) !== null;
+
+    if (given('palette')) changes.palette = themes.parsePalette(options.getString('palette'));
+    if (given('background')) changes.background = color('background');
+    if (given('background-image')) changes.backgroundImage = image('background-image');
+    if (given('font')) changes.font = options.getString('font');
+    if (given('label-color')) changes.labelColor = color('label-color');
+    if (options.getBoolean('avatars') !== null) changes.avatars = options.getBoolean('avatars');
+
+    const pointer = {};
+    if (given('pointer')) pointer.style = options.getString('pointer');
+    if (given('pointer-color')) pointer.color = color('pointer-color');
+    if (Object.keys(pointer).length > 0) changes.pointer = pointer;
+
+    const hub = {};
+    if (given('hub-color')) hub.color = color('hub-color');
+    if (given('hub-image')) hub.image = image('hub-image');
+    if (Object.keys(hub).length > 0) changes.hub = hub;
+
+    return changes;
+}
+
+/**
+ * /theme subcommands (configure permission): list, set, customize, reset and preview
+ */
+async function handleThemeCommand(interaction) {
+    const denied = permissions.permissionDenial(interaction.member, 'configure', guildConfig.getGuildConfig(interaction.guildId));
+    if (denied) {
+        await interaction.reply({ content: denied, ephemeral: true });
+        return;
+    }
+
+    const guildId = interaction.guildId;
+    const sub = interaction.options.getSubcommand();
+    const config = guildConfig.getGuildConfig(guildId);
+
+    if (sub === 'list') {
+        const lines = Object.entries(themes.THEMES).map(([name, theme]) =>
+            `${name === config.theme ? '▶️' : '▫️'} **${name}** — ${theme.description}`
+        );
+        await interaction.reply({ content: `🎨 **Wheel themes**\n${lines.join('\n')}`, ephemeral: true });
+        return;
+    }
+
+    if (sub === 'set') {
+        const name = interaction.options.getString('name');
+        await guildConfig.setConfigValue(guildId, 'theme', name);
+        const note = Object.keys(config.themeOverrides).length > 0 ? ' Your customisations still apply on top (`/theme reset` to drop them).' : '';
+        await interaction.reply({ content: `✅ Theme set to **${name}**.${note}`, ephemeral: true });
+        return;
+    }
+
+    if (sub === 'customize') {
+        let changes;
+        try {
+            changes = parseThemeOptions(interaction.options);
+        } catch (err) {
+            await interaction.reply({ content: `❌ ${err.message}`, ephemeral: true });
+            return;
+        }
+        if (Object.keys(changes).length === 0) {
+            await interaction.reply({ content: 'ℹ️ Nothing to change — pick at least one option.', ephemeral: true });
+            return;
+        }
+        const current = config.themeOverrides;
+        const overrides = {
+            ...current,
+            ...changes,
+            pointer: { ...(current.pointer || {}), ...(changes.pointer || {}) },
+            hub: { ...(current.hub || {}), ...(changes.hub || {}) },
+        };
+        const updated = await guildConfig.setConfigValue(guildId, 'themeOverrides', overrides);
+        const theme = themes.resolveTheme(updated.theme, updated.themeOverrides);
+        await interaction.reply({ content: `✅ Theme updated.\n${themes.describeTheme(theme)}`, ephemeral: true });
+        return;
+    }
+
+    if (sub === 'reset') {
+        await guildConfig.resetConfigValue(guildId, 'themeOverrides');
+        await interaction.reply({ content: `✅ Customisations dropped; using **${config.theme}** as built.`, ephemeral: true });
+        return;
+    }
+
+    if (sub === 'preview') {
+        // Loading avatars and images can take longer than the reply window
+        await interaction.deferReply({ ephemeral: true });
+        const name = interaction.options.getString('name');
+        const previewConfig = name ? { ...config, theme: name, themeOverrides: {} } : config;
+
+        const onWheel = (await getUsersWithRoleCached(interaction.guild, config.onRole)).slice(0, 12);
+        const names = onWheel.length >= 2 ? onWheel.map(user => user.displayName) : PREVIEW_NAMES;
+        const avatars = onWheel.length >= 2 ? onWheel.map(avatarUrl) : [];
+
+        const theme = wheelTheme(previewConfig);
+        const png = await renderPool.renderWheel({ renderer: config.renderer, names, theme, avatars });
+        await interaction.editReply({
+            content: `🎨 **${theme.name}**${name ? '' : ' (this server)'}\n${themes.describeTheme(theme)}`,
+            files: [new AttachmentBuilder(png, { name: 'theme-preview.png' })],
+        });
+    }
+}
+
+/**
+ * Resume / Roll back buttons posted for interrupted sessions.
+ * Needs the cancel permission (the spin's initiator may always use them).
+ */
+async function handleSessionButton(interaction) {
+    const [action, sessionId] = interaction.customId.split(':');
+    const session = sessions.getSession(sessionId);
+    if (!session || session.status !== 'interrupted') {
+        await interaction.reply({ content: 'This spin has already been resolved.', ephemeral: true });
+        return;
+    }
+    const denied = permissions.permissionDenial(
+        interaction.member, 'cancel', guildConfig.getGuildConfig(interaction.guildId), { initiatorId: session.initiatorId }
+    );
+    if (denied) {
+        await interaction.reply({ content: denied, ephemeral: true });
+        return;
+    }
+    if (activeSpins.has(interaction.guildId)) {
+        await interaction.reply({ content: '⏳ A spin is already running in this server.', ephemeral: true });
+        return;
+    }
+
+    const channel = interaction.channel;
+    const ctx = {
+        guild: interaction.guild,
+        channel,
+        initiator: interaction.user,
+        animate: session.options.animate,
+        presentation: session.options.presentation,
+        renderer: session.options.renderer,
+        config: guildConfig.getGuildConfig(interaction.guildId),
+        session,
+    };
+    // Claimed before anything is awaited, as in runSpin
+    activeSpins.set(interaction.guildId, ctx);
+    try {
+        await interaction.update({ components: [] });
+
+        if (action === 'session_rollback') {
+            await abortSession(interaction.guild, channel, session, interaction.user);
+            return;
+        }
+
+        await sessions.setStatus(session, 'running', `Resumed by ${interaction.user.tag}`);
+        await channel.send(`▶️ Resuming the spin from step '${session.step}'...`);
+        await driveSession(ctx);
+    } finally {
+        activeSpins.delete(interaction.guildId);
+    }
+}
+
+/**
+ * /spin-abort: stop the running (or interrupted) spin and undo its role changes
+ */
+async function handleSpinAbortCommand(interaction) {
+    const config = guildConfig.getGuildConfig(interaction.guildId);
+    const active = activeSpins.get(interaction.guildId);
+    if (active && active.activeLobby) {
+        // Like the lobby's own Abort button, for admins only
+        if (!permissions.isAdmin(interaction.member)) {
+            await interaction.reply({ content: '❌ Only a server admin can call off an open lobby.', ephemeral: true });
+            return;
+        }
+        await active.activeLobby.abort(interaction.user);
+        await interaction.reply({ content: '🛑 Lobby closed; the spin is off.', ephemeral: true });
+        return;
+    }
+    if (active && !active.session) {
+        await interaction.reply({ content: '⏳ The spin is still starting; try again in a moment.', ephemeral: true });
+        return;
+    }
+    const session = active ? active.session : sessions.getUnfinishedSession(interaction.guildId);
+    if (!session) {
+        await interaction.reply({ content: 'No spin is running in this server.', ephemeral: true });
+        return;
+    }
+    const denied = permissions.permissionDenial(interaction.member, 'cancel', config, { initiatorId: session.initiatorId });
+    if (denied) {
+        await interaction.reply({ content: denied, ephemeral: true });
+        return;
+    }
+
+    if (active) {
+        // The running loop notices this between steps and rolls back itself
+        active.abortRequested = true;
+        active.abortedBy = interaction.user;
+        await interaction.reply({ content: '🛑 Aborting after the current step; role changes will be rolled back.', ephemeral: true });
+        return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    await abortSession(interaction.guild, interaction.channel, session, interaction.user);
+    await interaction.editReply('✅ Spin aborted.');
+}
+
+client.on('interactionCreate', async (interaction) => {
+    if (interaction.isButton() && interaction.customId.startsWith('session_')) {
+        try {
+            await handleSessionButton(interaction);
+        } catch (error) {
+            console.error(`Error handling session button: ${error.message}`);
+        }
+        return;
+    }
+    if (interaction.isAutocomplete()) {
+        if (interaction.commandName === 'config') {
+            const choices = configKeyChoices(interaction.options.getSubcommand(), interaction.options.getFocused());
+            await interaction.respond(choices).catch(error => console.error(`Error answering autocomplete: ${error.message}`));
+        }
+        return;
+    }
+    // Other buttons are handled by their own collectors
+    if (!interaction.isChatInputCommand()) return;
+    if (!interaction.inGuild()) {
+        await interaction.reply({ content: "This command can only be used in a server!", ephemeral: true });
+        return;
+    }
+
+    try {
+        switch (interaction.commandName) {
+            case 'spin':
+            case 'spin-test': {
+                const channel = interaction.options.getChannel('channel') || interaction.channel;
+                const animate = interaction.options.getBoolean('animation') ?? true;
+                const config = guildConfig.getGuildConfig(interaction.guildId);
+                const dryRun = interaction.options.getBoolean('dry-run') ?? false;
+                const denied = await spinDenial(interaction.member, channel, config, {
+                    real: interaction.commandName === 'spin' && !dryRun,
+                });
+                if (denied) {
+                    await interaction.reply({ content: denied, ephemeral: true });
+                    return;
+                }
+                // The animation pipeline takes far longer than the 3s reply window
+                await interaction.deferReply();
+                await interaction.editReply(`🎡 Spinning in ${channel}...`);
+
+                const ctx = {
+                    guild: interaction.guild,
+                    channel,
+                    initiator: interaction.user,
+                    animate,
+                    presentation: interaction.options.getString('presentation'),
+                    renderer: interaction.options.getString('renderer'),
+                    mode: interaction.options.getString('mode'),
+                    teams: interaction.options.getInteger('teams'),
+                    config,
+                };
+                const summary = interaction.commandName === 'spin'
+                    ? await runSpin({
+                        ...ctx,
+                        member: interaction.member,
+                        dryRun,
+                        lobby: interaction.options.getBoolean('lobby'),
+                    })
+                    : await runTestSpin(ctx);
+                await interaction.editReply(summary);
+                return;
+            }
+            case 'history': {
+                const limit = interaction.options.getInteger('count') ?? 5;
+                const runs = await history.getRecentRuns(interaction.guildId, limit);
+                await interaction.reply(formatHistory(runs));
+                return;
+            }
+            case 'stats': {
+                const member = interaction.options.getMember('member') || interaction.member;
+                const stats = await history.getMemberStats(interaction.guildId, member.id);
+                await interaction.reply(formatMemberStats(member, stats, guildConfig.getGuildConfig(interaction.guildId)));
+                return;
+            }
+            case 'config':
+                await handleConfigCommand(interaction);
+                return;
+            case 'theme':
+                await handleThemeCommand(interaction);
+                return;
+            case 'wheel':
+                await handleWheelCommand(interaction);
+                return;
+            case 'schedule':
+                await handleScheduleCommand(interaction);
+                return;
+            case 'weights':
+                await handleWeightsCommand(interaction);
+                return;
+            case 'verify':
+                await handleVerifyCommand(interaction);
+                return;
+            case 'spin-abort':
+                await handleSpinAbortCommand(interaction);
+                return;
+            case 'spin-undo':
+                await handleSpinUndoCommand(interaction);
+                return;
+            case 'spin-report':
+                await handleSpinReportCommand(interaction);
+                return;
+            case 'spin-check':
+                await handleSpinCheckCommand(interaction);
+                return;
+            case 'permissions':
+                await handlePermissionsCommand(interaction);
+                return;
+        }
+    } catch (error) {
+        console.error(`Error handling /${interaction.commandName}: ${error.message}`);
+        const content = `❌ Something went wrong: ${error.message}`;
+        try {
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply(content);
+            } else {
+                await interaction.reply({ content, ephemeral: true });
+            }
+        } catch (e) {
+            // ignore reply errors
+        }
+    }
+});
+
+// Member lifecycle (see lifecycle.js). Joins and leaves also drop the member
+// fetch cache, so the next roster is fetched fresh instead of after the TTL.
+client.on('guildMemberAdd', async (member) => {
+    memberCache.delete(member.guild.id);
+    try {
+        const config = guildConfig.getGuildConfig(member.guild.id);
+        await lifecycle.enrollMember(member, config, getRole(member.guild, config.onRole));
+    } catch (error) {
+        console.error(`Error enrolling ${member.id} in guild ${member.guild.id}: ${error.message}`);
+    }
+});
+
+client.on('guildMemberRemove', async (member) => {
+    memberCache.delete(member.guild.id);
+    try {
+        const guildId = member.guild.id;
+        if (guildConfig.getGuildConfig(guildId).memberWeights[member.id] !== undefined) {
+            await guildConfig.setMemberWeight(guildId, member.id, null);
+        }
+        if (!member.user.bot) await history.recordDeparture(guildId, member.id);
+        const session = sessions.getUnfinishedSession(guildId);
+        if (session && lifecycle.dropFromSession(session, member.id)) {
+            await sessions.logStep(session, `${member.displayName || member.id} left the server and was taken off the wheel`);
+        }
+    } catch (error) {
+        console.error(`Error cleaning up after ${member.id} left guild ${member.guild.id}: ${error.message}`);
+    }
+});
+
+client.on('guildMemberUpdate', async (oldMember, newMember) => {
+    try {
+        const config = guildConfig.getGuildConfig(newMember.guild.id);
+        const onRole = getRole(newMember.guild, config.onRole);
+        const offRole = getRole(newMember.guild, config.offRole);
+        // Newcomers are enrolled once they pass the rules screen
+        if (oldMember.pending && !newMember.pending) await lifecycle.enrollMember(newMember, config, onRole);
+        // A running spin adds a role before removing the other, so conflicts
+        // are left alone until it is done
+        if (activeSpins.has(newMember.guild.id)) return;
+        if (!oldMember.partial && oldMember.roles.cache.equals(newMember.roles.cache)) return;
+        const conflicts = lifecycle.findRoleConflicts([newMember], onRole, offRole);
+        await lifecycle.repairRoleConflicts(conflicts, config, onRole, offRole);
+    } catch (error) {
+        console.error(`Error checking the roles of ${newMember.id} in guild ${newMember.guild.id}: ${error.message}`);
+    }
+});
 
 // Error handling
 client.on('error', error => {
@@ -792,6 +2500,24 @@ process.on('unhandledRejection', error => {
     console.error('Unhandled promise rejection:', error);
 });
 
+// Shut the render workers down (and any browser they run) before exiting
+let shuttingDown = false;
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`Received ${signal}, shutting down...`);
+    scheduler.stopScheduler();
+    try {
+        await renderPool.close();
+    } catch (err) {
+        console.error(`Failed to close the render pool: ${err.message}`);
+    }
+    await client.destroy();
+    process.exit(0);
+}
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 // Start the bot
 const token = process.env.DISCORD_TOKEN;
 if (!token) {
@@ -0,0 +1,32 @@
+const { loadWheelImages, createWheelImage, renderSpin: renderCanvasSpin } = require('./wheel');
+
+/**
+ * node-canvas renderer: draws every frame with wheel.js. Theme images and
+ * avatars arrive as URLs and are loaded here.
+ */
+
+async function styleFor(theme, avatars = []) {
+    return { theme, images: await loadWheelImages(theme, avatars) };
+}
+
+/**
+ * Render a spin animation; see renderSpin in wheel.js for the result
+ */
+async function renderSpin({ names, winnerIndex, segmentWeights = null, theme, avatars = [], options = {} }) {
+    return renderCanvasSpin(names, winnerIndex, segmentWeights, await styleFor(theme, avatars), options);
+}
+
+/**
+ * Render a still wheel as a PNG Buffer
+ */
+async function renderWheel({ names, winnerIndex = null, size = 600, segmentWeights = null, theme, avatars = [] }) {
+    return createWheelImage(names, winnerIndex, size, 0, segmentWeights, await styleFor(theme, avatars)).toBuffer('image/png');
+}
+
+async function close() {}
+
+module.exports = {
+    renderSpin,
+    renderWheel,
+    close,
+};
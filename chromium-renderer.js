@@ -0,0 +1,306 @@
+const { PNG } = require('pngjs');
+const { POINTER_ANGLE, segmentAngles, segmentColor, planSpin, spinTimeline } = require('./wheel');
+const { encodeSpin } = require('./encoders');
+const { LABEL_INNER, LABEL_OUTER, NUMBER_RADIUS, fontString, graphemes, layoutLabels, layoutLegend } = require('./labels');
+const { resolveTheme } = require('./themes');
+
+/**
+ * Headless Chromium renderer. The wheel is laid out as an HTML page (a CSS
+ * conic-gradient disc with the labels, avatars and hub on top of it), turned
+ * with a CSS transform for each frame of the spin and screenshotted. Frames
+ * follow the same motion plan and timeline as the canvas renderer, so a spin
+ * lands exactly where the canvas one would.
+ *
+ * Puppeteer finds its own Chromium; set PUPPETEER_EXECUTABLE_PATH to use
+ * another. One browser is started on first use and shared by every render.
+ */
+
+// After a failed launch, spins skip Chromium for this long before trying again
+const RELAUNCH_DELAY_MS = 10 * 60 * 1000;
+// Longest wait for a page and its images to load
+const LOAD_TIMEOUT_MS = 15_000;
+
+let browserPromise = null;
+let launchFailedAt = 0;
+
+async function getBrowser() {
+    if (Date.now() - launchFailedAt < RELAUNCH_DELAY_MS) {
+        throw new Error('Chromium failed to launch recently');
+    }
+    if (!browserPromise) {
+        browserPromise = (async () => {
+            const puppeteer = require('puppeteer');
+            const browser = await puppeteer.launch({
+                headless: true,
+                // Containers often have neither a sandbox nor a large /dev/shm
+                args: ['--no-sandbox', '--disable-dev-shm-usage'],
+            });
+            browser.on('disconnected', () => { browserPromise = null; });
+            return browser;
+        })();
+        browserPromise.catch(() => {
+            launchFailedAt = Date.now();
+            browserPromise = null;
+        });
+    }
+    return browserPromise;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+const rgb = color => `rgb(${color[0]}, ${color[1]}, ${color[2]})`;
+const px = value => `${Math.round(value * 100) / 100}px`;
+
+/**
+ * Text measurer for labels.js backed by the page's own font metrics. Every
+ * character the labels can contain is measured once; widths of whole strings
+ * are summed from those (close enough to lay out, ignoring kerning).
+ */
+async function pageMeasurer(page, names, family) {
+    const parts = [...new Set([...names.flatMap(graphemes), ...graphemes('…0123456789. ')])];
+    const widths = await page.evaluate((texts, font) => {
+        const ctx = document.createElement('canvas').getContext('2d');
+        ctx.font = font;
+        return texts.map(text => ctx.measureText(text).width);
+    }, parts, fontString(100, family));
+    const table = new Map(parts.map((part, i) => [part, widths[i]]));
+    return (text, fontSize) => graphemes(text).reduce((sum, part) => sum + (table.get(part) || 0), 0) * fontSize / 100;
+}
+
+// conic-gradient for the slices; CSS starts at the top, like segmentAngles
+function sliceGradient(segments, palette, litIndex) {
+    const deg = angle => `${((angle + Math.PI / 2) * 180) / Math.PI}deg`;
+    const stops = segments.map((segment, i) =>
+        `${rgb(segmentColor(i, i === litIndex, palette))} ${deg(segment.start)} ${deg(segment.end)}`);
+    return `conic-gradient(${stops.join(', ')})`;
+}
+
+// Pointer outline as SVG, matching drawPointer in wheel.js
+function pointerSvg(centerX, centerY, radius, theme) {
+    const { style, color } = theme.pointer;
+    const at = (dist, side = 0) => [
+        centerX + dist * Math.cos(POINTER_ANGLE) + side * Math.cos(POINTER_ANGLE + Math.PI / 2),
+        centerY + dist * Math.sin(POINTER_ANGLE) + side * Math.sin(POINTER_ANGLE + Math.PI / 2),
+    ];
+    const tipDist = radius - 10;
+    const baseDist = radius + 18;
+    let points;
+    if (style === 'arrow') {
+        const headDist = radius + 8;
+        points = [at(tipDist), at(headDist, 16), at(headDist, 6), at(radius + 40, 6), at(radius + 40, -6), at(headDist, -6), at(headDist, -16)];
+    } else {
+        points = [at(tipDist), at(baseDist, 24), at(baseDist, -24)];
+    }
+    const paint = `fill="${escapeHtml(color)}" stroke="${escapeHtml(theme.strokeColor)}" stroke-width="2"`;
+    let svg = `<polygon points="${points.map(point => point.join(',')).join(' ')}" ${paint}/>`;
+    if (style === 'pin') {
+        const [x, y] = at(baseDist);
+        svg += `<circle cx="${x}" cy="${y}" r="12" ${paint}/>`;
+    }
+    return svg;
+}
+
+/**
+ * The wheel page. window.setFrame(rotation, lit) turns the wheel and lights
+ * `winnerIndex`'s slice or not, flipping labels on the left half of the
+ * screen so they never read upside down.
+ */
+function wheelHtml({ names, winnerIndex, segmentWeights, theme, avatars, size, measure }) {
+    const centerX = size / 2;
+    const centerY = size / 2;
+    const radius = size / 2 - 20;
+
+    const segments = names.length > 0 ? segmentAngles(names.length, segmentWeights) : [];
+    const layout = layoutLabels(names, segments, radius, measure);
+    const legend = layout.legend.length > 0 ? layoutLegend(layout.legend.length, size) : null;
+    const width = size + (legend ? legend.width : 0);
+
+    const parts = [];
+    if (names.length === 0) {
+        parts.push(`<div class="empty" style="font: ${escapeHtml(fontString(30, theme.font, false))}">No names</div>`);
+    } else {
+        const wheel = [];
+        wheel.push('<div class="disc"></div>');
+        if (names.length > 1) {
+            const lineWidth = names.length > 40 ? 1 : 2;
+            for (const segment of segments) {
+                wheel.push(`<div class="divider" style="height: ${lineWidth}px; margin-top: ${-lineWidth / 2}px; transform: rotate(${segment.start}rad)"></div>`);
+            }
+        }
+        segments.forEach((segment, i) => {
+            const midAngle = (segment.start + segment.end) / 2;
+            const avatar = avatars[i];
+            if (avatar) {
+                const avatarRadius = radius * 0.33;
+                const avatarSize = Math.min(radius * 0.08, (segment.end - segment.start) * avatarRadius * 0.4);
+                if (avatarSize >= 6) {
+                    const left = radius + avatarRadius * Math.cos(midAngle) - avatarSize;
+                    const top = radius + avatarRadius * Math.sin(midAngle) - avatarSize;
+                    wheel.push(`<img class="avatar" src="${escapeHtml(avatar)}" style="left: ${px(left)}; top: ${px(top)}; width: ${px(avatarSize * 2)}; height: ${px(avatarSize * 2)}">`);
+                }
+            }
+
+            const label = layout.labels[i];
+            if (!label.text) return;
+            const font = escapeHtml(fontString(label.fontSize, theme.font));
+            const band = label.numbered
+                ? `class="number" style="left: ${px(radius * NUMBER_RADIUS - label.fontSize * 2)}; width: ${px(label.fontSize * 4)}; font: ${font}"`
+                : `style="left: ${px(radius * LABEL_INNER)}; width: ${px(radius * (LABEL_OUTER - LABEL_INNER))}; font: ${font}"`;
+            wheel.push(`<div class="label" data-mid="${midAngle}" style="transform: rotate(${midAngle}rad)"><span ${band}>${escapeHtml(label.text)}</span></div>`);
+        });
+        wheel.push(`<div class="hub">${theme.hub.image ? `<img src="${escapeHtml(theme.hub.image)}">` : ''}</div>`);
+        parts.push(`<div id="wheel">${wheel.join('')}</div>`);
+        parts.push(`<svg class="pointer" width="${width}" height="${size}">${pointerSvg(centerX, centerY, radius, theme)}</svg>`);
+    }
+
+    if (legend) {
+        // Clear of the pointer, which reaches past the wheel's right edge
+        const left = size + 24;
+        const swatch = legend.fontSize * 0.8;
+        layout.legend.forEach((index, n) => {
+            const x = left + Math.floor(n / legend.rows) * legend.columnWidth;
+            const y = 20 + (n % legend.rows) * legend.rowHeight;
+            const colors = `--color: ${rgb(segmentColor(index, false, theme.palette))}; --lit: ${rgb(segmentColor(index, true, theme.palette))}`;
+            parts.push(
+                `<div class="entry${index === winnerIndex ? ' winner' : ''}" style="left: ${px(x)}; top: ${px(y)}; width: ${px(legend.columnWidth - 6)}; height: ${px(legend.rowHeight)}; ${colors}">` +
+                `<i style="width: ${px(swatch)}; height: ${px(swatch)}"></i>` +
+                `<b style="font: ${escapeHtml(fontString(legend.fontSize, theme.font, false))}">${escapeHtml(`${index + 1}. ${names[index]}`)}</b></div>`
+            );
+        });
+    }
+
+    const gradients = segments.length > 0 ? {
+        plain: sliceGradient(segments, theme.palette, null),
+        lit: sliceGradient(segments, theme.palette, winnerIndex),
+    } : {};
+
+    return {
+        width,
+        height: size,
+        html: `<!DOCTYPE html><html><head><meta charset="utf-8"><style>
+* { box-sizing: border-box; margin: 0; padding: 0; }
+body { width: ${width}px; height: ${size}px; overflow: hidden; position: relative; background: ${escapeHtml(theme.background)}; }
+.background { position: absolute; inset: 0; width: 100%; height: 100%; object-fit: cover; }
+.empty { position: absolute; left: 0; width: ${size}px; top: ${centerY - 20}px; text-align: center; color: ${escapeHtml(theme.labelColor)}; }
+#wheel { position: absolute; left: ${centerX - radius}px; top: ${centerY - radius}px; width: ${radius * 2}px; height: ${radius * 2}px; }
+.disc { position: absolute; inset: 0; border-radius: 50%; box-shadow: 0 0 0 1px ${escapeHtml(theme.strokeColor)}; }
+.divider { position: absolute; left: ${radius}px; top: ${radius}px; width: ${radius}px; background: ${escapeHtml(theme.strokeColor)}; transform-origin: 0 50%; }
+.avatar { position: absolute; border-radius: 50%; object-fit: cover; }
+.label { position: absolute; left: ${radius}px; top: ${radius}px; width: 0; height: 0; }
+.label span { position: absolute; top: 0; transform: translateY(-50%); text-align: right; white-space: nowrap; overflow: hidden; line-height: 1.2; color: ${escapeHtml(theme.labelColor)}; }
+.label.flipped span { transform: translateY(-50%) rotate(180deg); text-align: left; }
+.label span.number, .label.flipped span.number { text-align: center; }
+.hub { position: absolute; left: ${radius - 30}px; top: ${radius - 30}px; width: 60px; height: 60px; border-radius: 50%; overflow: hidden; background: ${escapeHtml(theme.hub.color)}; border: 3px solid ${escapeHtml(theme.strokeColor)}; }
+.hub img { width: 100%; height: 100%; object-fit: cover; }
+.pointer { position: absolute; left: 0; top: 0; }
+.entry { position: absolute; display: flex; align-items: center; gap: 6px; color: ${escapeHtml(theme.labelColor)}; }
+.entry i { flex: none; background: var(--color); border: 1px solid ${escapeHtml(theme.strokeColor)}; }
+.entry b { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+.lit .entry.winner i { background: var(--lit); }
+.lit .entry.winner b { font-weight: bold !important; font-size: 110% !important; }
+</style></head><body>
+${theme.backgroundImage ? `<img class="background" src="${escapeHtml(theme.backgroundImage)}">` : ''}
+${parts.join('\n')}
+<script>
+const gradients = ${JSON.stringify(gradients).replace(/</g, '\\u003c')};
+window.setFrame = (rotation, lit) => {
+    document.body.classList.toggle('lit', lit);
+    const wheel = document.getElementById('wheel');
+    if (!wheel) return;
+    wheel.style.transform = 'rotate(' + rotation + 'rad)';
+    wheel.querySelector('.disc').style.background = lit ? gradients.lit : gradients.plain;
+    for (const label of document.querySelectorAll('.label')) {
+        label.classList.toggle('flipped', Math.cos(Number(label.dataset.mid) + rotation) < 0);
+    }
+};
+</script></body></html>`,
+    };
+}
+
+/**
+ * Load the wheel page at `size` into `page`. Resolves to its { width, height }.
+ */
+async function loadWheel(page, { names, winnerIndex, segmentWeights, theme, avatars }, size) {
+    const measure = await pageMeasurer(page, names, theme.font);
+    const { width, height, html } = wheelHtml({
+        names,
+        winnerIndex,
+        segmentWeights,
+        theme,
+        avatars: theme.avatars ? avatars : [],
+        size,
+        measure,
+    });
+    await page.setViewport({ width, height, deviceScaleFactor: 1 });
+    await page.setContent(html, { waitUntil: 'load', timeout: LOAD_TIMEOUT_MS });
+    return { width, height };
+}
+
+// Canvas-like view of a PNG screenshot, which is all the encoders need
+function screenshotFrame(png, width, height, delay) {
+    const canvas = {
+        width,
+        height,
+        toBuffer: () => png,
+        getContext: () => ({ getImageData: () => ({ data: PNG.sync.read(png).data }) }),
+    };
+    return { canvas, delay };
+}
+
+async function screenshot(page, rotation, lit) {
+    await page.evaluate((r, l) => window.setFrame(r, l), rotation, lit);
+    return Buffer.from(await page.screenshot({ type: 'png' }));
+}
+
+async function withPage(fn) {
+    const browser = await getBrowser();
+    const page = await browser.newPage();
+    try {
+        return await fn(page);
+    } finally {
+        await page.close().catch(() => {});
+    }
+}
+
+/**
+ * Render a spin animation; same job and result as the canvas renderer
+ */
+async function renderSpin({ names, winnerIndex, segmentWeights = null, theme = resolveTheme(), avatars = [], options = {} }) {
+    if (!names || names.length === 0) return null;
+    const plan = options.plan || planSpin(names.length, winnerIndex, segmentWeights, options.motion);
+    const job = { names, winnerIndex, segmentWeights, theme, avatars };
+
+    return withPage(page => encodeSpin(async (preset) => {
+        const { width, height } = await loadWheel(page, job, preset.size);
+        const frames = [];
+        for (const { rotation, delay, highlight } of spinTimeline(names.length, winnerIndex, segmentWeights, preset, plan)) {
+            frames.push(screenshotFrame(await screenshot(page, rotation, highlight), width, height, delay));
+        }
+        return frames;
+    }, options));
+}
+
+/**
+ * Render a still wheel as a PNG Buffer
+ */
+async function renderWheel({ names, winnerIndex = null, size = 600, segmentWeights = null, theme = resolveTheme(), avatars = [] }) {
+    return withPage(async (page) => {
+        await loadWheel(page, { names: names || [], winnerIndex, segmentWeights, theme, avatars }, size);
+        return screenshot(page, 0, winnerIndex !== null);
+    });
+}
+
+async function close() {
+    if (!browserPromise) return;
+    const browser = await browserPromise.catch(() => null);
+    browserPromise = null;
+    if (browser) await browser.close().catch(() => {});
+}
+
+module.exports = {
+    renderSpin,
+    renderWheel,
+    close,
+};
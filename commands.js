@@ -0,0 +1,522 @@
+const { SlashCommandBuilder, ChannelType, PermissionFlagsBits } = require('discord.js');
+const { CONFIG_KEYS, MIN_MEMBER_WEIGHT, MAX_MEMBER_WEIGHT } = require('./guild-config');
+const { THEMES, FONTS, POINTER_STYLES } = require('./themes');
+const { WHEEL_MODES } = require('./saved-wheels');
+const { ACTIONS } = require('./permissions');
+
+// Keys for /config set (phrases, weights, theme tweaks and permissions have their own commands);
+// /config reset takes any key. Both are autocompleted: there are more than Discord's 25 fixed choices.
+const settableKeys = Object.keys(CONFIG_KEYS).filter(key =>
+    !['phrases', 'weights', 'theme', 'permissions', 'channels'].includes(CONFIG_KEYS[key].type));
+const toChoice = key => ({ name: key, value: key });
+
+// Application (slash) command definitions
+const commands = [
+    new SlashCommandBuilder()
+        .setName('spin')
+        .setDescription('Spin the wheel: bring one member back and pick the winner of the week')
+        .setDMPermission(false)
+        .addBooleanOption(option => option
+            .setName('dry-run')
+            .setDescription('Spin the real members without changing any roles or history'))
+        .addBooleanOption(option => option
+            .setName('lobby')
+            .setDescription('Open a join/leave lobby before spinning (default: server setting)'))
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('Channel to run the spin in (defaults to this one)')
+            .addChannelTypes(ChannelType.GuildText))
+        .addBooleanOption(option => option
+            .setName('animation')
+            .setDescription('Show the spinning wheel animation (default: on)'))
+        .addStringOption(option => option
+            .setName('presentation')
+            .setDescription('Post a message per update or keep one live-updating embed (default: server setting)')
+            .addChoices(...CONFIG_KEYS.presentation.choices.map(toChoice)))
+        .addStringOption(option => option
+            .setName('renderer')
+            .setDescription('What draws the wheel (default: server setting)')
+            .addChoices(...CONFIG_KEYS.renderer.choices.map(toChoice)))
+        .addStringOption(option => option
+            .setName('mode')
+            .setDescription('How the winner is decided (default: server setting)')
+            .addChoices(...CONFIG_KEYS.spinMode.choices.map(toChoice)))
+        .addIntegerOption(option => option
+            .setName('teams')
+            .setDescription('Teams for a team draft (default: server setting)')
+            .setMinValue(CONFIG_KEYS.draftTeams.min)
+            .setMaxValue(CONFIG_KEYS.draftTeams.max)),
+
+    new SlashCommandBuilder()
+        .setName('spin-test')
+        .setDescription('Run the whole wheel flow with fake names')
+        .setDMPermission(false)
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('Channel to run the test in (defaults to this one)')
+            .addChannelTypes(ChannelType.GuildText))
+        .addBooleanOption(option => option
+            .setName('animation')
+            .setDescription('Show the spinning wheel animation (default: on)'))
+        .addStringOption(option => option
+            .setName('presentation')
+            .setDescription('Post a message per update or keep one live-updating embed (default: server setting)')
+            .addChoices(...CONFIG_KEYS.presentation.choices.map(toChoice)))
+        .addStringOption(option => option
+            .setName('renderer')
+            .setDescription('What draws the wheel (default: server setting)')
+            .addChoices(...CONFIG_KEYS.renderer.choices.map(toChoice)))
+        .addStringOption(option => option
+            .setName('mode')
+            .setDescription('How the winner is decided (default: server setting)')
+            .addChoices(...CONFIG_KEYS.spinMode.choices.map(toChoice)))
+        .addIntegerOption(option => option
+            .setName('teams')
+            .setDescription('Teams for a team draft (default: server setting)')
+            .setMinValue(CONFIG_KEYS.draftTeams.min)
+            .setMaxValue(CONFIG_KEYS.draftTeams.max)),
+
+    new SlashCommandBuilder()
+        .setName('wheel')
+        .setDescription('Spin quick or saved wheels over anything; no roles are changed')
+        .setDMPermission(false)
+        .addSubcommand(sub => sub
+            .setName('spin')
+            .setDescription('Spin a saved wheel, typed entries, a role\'s members or a voice channel\'s members')
+            .addStringOption(option => option
+                .setName('saved')
+                .setDescription('Saved wheel to spin (see /wheel list)'))
+            .addStringOption(option => option
+                .setName('entries')
+                .setDescription('Comma-separated entries, =N for a weight, e.g. "Pizza=2, Sushi, Tacos"')
+                .setMaxLength(4000))
+            .addRoleOption(option => option
+                .setName('role')
+                .setDescription('Add the members of this role'))
+            .addChannelOption(option => option
+                .setName('voice')
+                .setDescription('Add the members in this voice channel')
+                .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice))
+            .addStringOption(option => option
+                .setName('mode')
+                .setDescription('Pick one entry, or knock entries off until one is left (default: the wheel\'s, else single)')
+                .addChoices(...WHEEL_MODES.map(toChoice)))
+            .addStringOption(option => option
+                .setName('title')
+                .setDescription('What the wheel is for, e.g. "Raid night host"')
+                .setMaxLength(100))
+            .addBooleanOption(option => option
+                .setName('animation')
+                .setDescription('Show the spinning wheel animation (default: on)')))
+        .addSubcommand(sub => sub
+            .setName('create')
+            .setDescription('Save a wheel to spin again later')
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('Wheel name, e.g. raid-boss')
+                .setRequired(true)
+                .setMaxLength(32))
+            .addStringOption(option => option
+                .setName('entries')
+                .setDescription('Comma-separated entries, =N for a weight, e.g. "Pizza=2, Sushi, Tacos"')
+                .setMaxLength(4000))
+            .addRoleOption(option => option
+                .setName('role')
+                .setDescription('Also spin whoever has this role at spin time'))
+            .addStringOption(option => option
+                .setName('mode')
+                .setDescription('Default mode (default: single)')
+                .addChoices(...WHEEL_MODES.map(toChoice)))
+            .addStringOption(option => option
+                .setName('theme')
+                .setDescription('Theme for this wheel (default: the server\'s)')
+                .addChoices(...Object.keys(THEMES).map(toChoice))))
+        .addSubcommand(sub => sub
+            .setName('add-entry')
+            .setDescription('Add entries to a saved wheel (owner or admin)')
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('Saved wheel')
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('entries')
+                .setDescription('Comma-separated entries, =N for a weight; an existing entry gets the new weight')
+                .setRequired(true)
+                .setMaxLength(4000)))
+        .addSubcommand(sub => sub
+            .setName('remove-entry')
+            .setDescription('Remove an entry from a saved wheel (owner or admin)')
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('Saved wheel')
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('entry')
+                .setDescription('Entry to remove')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('list')
+            .setDescription('List the saved wheels, or the entries of one')
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('Saved wheel to show in full')))
+        .addSubcommand(sub => sub
+            .setName('delete')
+            .setDescription('Delete a saved wheel (owner or admin)')
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('Saved wheel')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('clone')
+            .setDescription('Copy a saved wheel under a new name that you own')
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('Saved wheel to copy')
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('new-name')
+                .setDescription('Name of the copy')
+                .setRequired(true)
+                .setMaxLength(32)))
+        .addSubcommand(sub => sub
+            .setName('export')
+            .setDescription('Download a saved wheel as JSON')
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('Saved wheel')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('import')
+            .setDescription('Save a wheel from a JSON file made with /wheel export')
+            .addAttachmentOption(option => option
+                .setName('file')
+                .setDescription('The exported .json file')
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('Save it under this name instead')
+                .setMaxLength(32))),
+
+    new SlashCommandBuilder()
+        .setName('spin-abort')
+        .setDescription('Stop the running spin and undo the role changes it made')
+        .setDMPermission(false),
+
+    new SlashCommandBuilder()
+        .setName('spin-undo')
+        .setDescription("Restore everyone's roles to how they were before the last spin")
+        .setDMPermission(false),
+
+    new SlashCommandBuilder()
+        .setName('spin-report')
+        .setDescription('Download a report of the latest spin: who spun, the results, role changes and failures')
+        .setDMPermission(false)
+        .addStringOption(option => option
+            .setName('format')
+            .setDescription('File format (default: both)')
+            .addChoices({ name: 'json', value: 'json' }, { name: 'csv', value: 'csv' })),
+
+    new SlashCommandBuilder()
+        .setName('spin-check')
+        .setDescription('Check everything a spin needs without changing anything: roles, permissions, rendering')
+        .setDMPermission(false)
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('Channel the spin would run in (defaults to this one)')
+            .addChannelTypes(ChannelType.GuildText)),
+
+    new SlashCommandBuilder()
+        .setName('history')
+        .setDescription('Show past wheel winners')
+        .setDMPermission(false)
+        .addIntegerOption(option => option
+            .setName('count')
+            .setDescription('How many past spins to show (default: 5)')
+            .setMinValue(1)
+            .setMaxValue(25)),
+
+    new SlashCommandBuilder()
+        .setName('stats')
+        .setDescription('Show wheel statistics for a member')
+        .setDMPermission(false)
+        .addUserOption(option => option
+            .setName('member')
+            .setDescription('Member to show (defaults to you)')),
+
+    new SlashCommandBuilder()
+        .setName('config')
+        .setDescription('View or change the wheel configuration for this server')
+        .setDMPermission(false)
+        .addSubcommand(sub => sub
+            .setName('view')
+            .setDescription('Show the current configuration'))
+        .addSubcommand(sub => sub
+            .setName('set')
+            .setDescription('Change a setting')
+            .addStringOption(option => option
+                .setName('key')
+                .setDescription('Setting to change')
+                .setRequired(true)
+                .setAutocomplete(true))
+            .addStringOption(option => option
+                .setName('value')
+                .setDescription('New value (roles accept a name, id or mention; channels a mention or id)')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('reset')
+            .setDescription('Restore a setting to its default')
+            .addStringOption(option => option
+                .setName('key')
+                .setDescription('Setting to reset')
+                .setRequired(true)
+                .setAutocomplete(true)))
+        .addSubcommand(sub => sub
+            .setName('phrases')
+            .setDescription('List the winner phrases'))
+        .addSubcommand(sub => sub
+            .setName('phrase-add')
+            .setDescription('Add a winner phrase')
+            .addStringOption(option => option
+                .setName('text')
+                .setDescription('Phrase to add')
+                .setRequired(true)
+                .setMaxLength(300)))
+        .addSubcommand(sub => sub
+            .setName('phrase-remove')
+            .setDescription('Remove a winner phrase')
+            .addIntegerOption(option => option
+                .setName('number')
+                .setDescription('Phrase number from /config phrases')
+                .setRequired(true)
+                .setMinValue(1))),
+
+    new SlashCommandBuilder()
+        .setName('permissions')
+        .setDescription('Choose who may run, test, cancel, configure and undo spins, and where')
+        .setDMPermission(false)
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .addSubcommand(sub => sub
+            .setName('view')
+            .setDescription('Show who may do what, the spin channels and the cooldown'))
+        .addSubcommand(sub => sub
+            .setName('allow')
+            .setDescription('Let a role do something (limits it to the allowed roles and admins)')
+            .addStringOption(option => option
+                .setName('action')
+                .setDescription('What the role may do')
+                .setRequired(true)
+                .addChoices(...Object.keys(ACTIONS).map(toChoice)))
+            .addRoleOption(option => option
+                .setName('role')
+                .setDescription('Role to allow')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('revoke')
+            .setDescription('Stop allowing a role to do something')
+            .addStringOption(option => option
+                .setName('action')
+                .setDescription('What the role may no longer do')
+                .setRequired(true)
+                .addChoices(...Object.keys(ACTIONS).map(toChoice)))
+            .addRoleOption(option => option
+                .setName('role')
+                .setDescription('Role to revoke')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('reset')
+            .setDescription('Drop all roles for an action so its default applies again')
+            .addStringOption(option => option
+                .setName('action')
+                .setDescription('Action to reset')
+                .setRequired(true)
+                .addChoices(...Object.keys(ACTIONS).map(toChoice))))
+        .addSubcommand(sub => sub
+            .setName('channel-add')
+            .setDescription('Allow spins in a channel (once any are added, only those)')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Channel to allow')
+                .setRequired(true)
+                .addChannelTypes(ChannelType.GuildText)))
+        .addSubcommand(sub => sub
+            .setName('channel-remove')
+            .setDescription('Stop allowing spins in a channel')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Channel to remove')
+                .setRequired(true)
+                .addChannelTypes(ChannelType.GuildText))),
+
+    new SlashCommandBuilder()
+        .setName('schedule')
+        .setDescription('Manage the scheduled spin')
+        .setDMPermission(false)
+        .addSubcommand(sub => sub
+            .setName('set')
+            .setDescription('Schedule the spin with a cron expression')
+            .addStringOption(option => option
+                .setName('cron')
+                .setDescription('minute hour day-of-month month day-of-week, e.g. "0 18 * * sun"')
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('timezone')
+                .setDescription('IANA time zone, e.g. Europe/London (default: UTC)'))
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Channel to spin in (defaults to this one)')
+                .addChannelTypes(ChannelType.GuildText))
+            .addIntegerOption(option => option
+                .setName('reminder')
+                .setDescription('Minutes before the spin to post a reminder, 0 for none (default: 15)')
+                .setMinValue(0)
+                .setMaxValue(1440)))
+        .addSubcommand(sub => sub
+            .setName('list')
+            .setDescription('Show the schedule and upcoming spins'))
+        .addSubcommand(sub => sub
+            .setName('pause')
+            .setDescription('Pause scheduled spins'))
+        .addSubcommand(sub => sub
+            .setName('resume')
+            .setDescription('Resume scheduled spins'))
+        .addSubcommand(sub => sub
+            .setName('skip')
+            .setDescription('Skip the next scheduled spin'))
+        .addSubcommand(sub => sub
+            .setName('remove')
+            .setDescription('Delete the schedule')),
+
+    new SlashCommandBuilder()
+        .setName('theme')
+        .setDescription('Choose, customise and preview the look of the wheel')
+        .setDMPermission(false)
+        .addSubcommand(sub => sub
+            .setName('list')
+            .setDescription('List the built-in themes'))
+        .addSubcommand(sub => sub
+            .setName('set')
+            .setDescription('Switch to a built-in theme (keeps your customisations)')
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('Theme to use')
+                .setRequired(true)
+                .addChoices(...Object.keys(THEMES).map(toChoice))))
+        .addSubcommand(sub => sub
+            .setName('customize')
+            .setDescription('Override parts of the theme (colours as #rrggbb, images as URLs or "none")')
+            .addStringOption(option => option
+                .setName('palette')
+                .setDescription('Slice colours, e.g. #ff0000,#00ff00,#0000ff'))
+            .addStringOption(option => option
+                .setName('background')
+                .setDescription('Background colour'))
+            .addStringOption(option => option
+                .setName('background-image')
+                .setDescription('Background image URL'))
+            .addStringOption(option => option
+                .setName('font')
+                .setDescription('Label font')
+                .addChoices(...FONTS.map(font => ({ name: font, value: font }))))
+            .addStringOption(option => option
+                .setName('label-color')
+                .setDescription('Label text colour'))
+            .addStringOption(option => option
+                .setName('pointer')
+                .setDescription('Pointer style')
+                .addChoices(...POINTER_STYLES.map(toChoice)))
+            .addStringOption(option => option
+                .setName('pointer-color')
+                .setDescription('Pointer colour'))
+            .addStringOption(option => option
+                .setName('hub-color')
+                .setDescription('Centre hub colour'))
+            .addStringOption(option => option
+                .setName('hub-image')
+                .setDescription('Centre hub image URL'))
+            .addBooleanOption(option => option
+                .setName('avatars')
+                .setDescription("Draw each member's avatar inside their slice")))
+        .addSubcommand(sub => sub
+            .setName('reset')
+            .setDescription('Drop all customisations and use the theme as built'))
+        .addSubcommand(sub => sub
+            .setName('preview')
+            .setDescription('Render the wheel as a still image without spinning')
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription("Built-in theme to preview (defaults to this server's theme)")
+                .addChoices(...Object.keys(THEMES).map(toChoice)))),
+
+    new SlashCommandBuilder()
+        .setName('weights')
+        .setDescription('Weighted wheel odds and manual member weights')
+        .setDMPermission(false)
+        .addSubcommand(sub => sub
+            .setName('odds')
+            .setDescription('Show the current odds for the members On the wheel'))
+        .addSubcommand(sub => sub
+            .setName('set')
+            .setDescription('Set a manual weight multiplier for a member (admin only)')
+            .addUserOption(option => option
+                .setName('member')
+                .setDescription('Member to weight')
+                .setRequired(true))
+            .addNumberOption(option => option
+                .setName('weight')
+                .setDescription('Multiplier, below 1 lowers their odds of winning, above 1 raises them')
+                .setRequired(true)
+                .setMinValue(MIN_MEMBER_WEIGHT)
+                .setMaxValue(MAX_MEMBER_WEIGHT)))
+        .addSubcommand(sub => sub
+            .setName('reset')
+            .setDescription("Remove a member's manual weight (admin only)")
+            .addUserOption(option => option
+                .setName('member')
+                .setDescription('Member to reset')
+                .setRequired(true))),
+
+    new SlashCommandBuilder()
+        .setName('verify')
+        .setDescription('Replay a fair spin from its seeds and check the results')
+        .setDMPermission(false)
+        .addStringOption(option => option
+            .setName('client-seed')
+            .setDescription('Client seed posted with the spin (defaults to the latest fair spin)'))
+        .addStringOption(option => option
+            .setName('server-seed')
+            .setDescription('Revealed server seed to check (defaults to the recorded one)')),
+];
+
+/**
+ * Autocomplete choices for the `key` of /config set or reset: the settings
+ * whose names contain what has been typed so far
+ */
+function configKeyChoices(subcommand, typed) {
+    const keys = subcommand === 'set' ? settableKeys : Object.keys(CONFIG_KEYS);
+    const wanted = typed.trim().toLowerCase();
+    return keys.filter(key => key.toLowerCase().includes(wanted)).slice(0, 25).map(toChoice);
+}
+
+/**
+ * Register the slash commands with Discord.
+ * Set COMMAND_GUILD_ID to register them on a single guild, which takes effect
+ * immediately (global commands can take a while to propagate).
+ */
+async function registerCommands(client) {
+    const data = commands.map(command => command.toJSON());
+    const guildId = process.env.COMMAND_GUILD_ID;
+    if (guildId) {
+        await client.application.commands.set(data, guildId);
+    } else {
+        await client.application.commands.set(data);
+    }
+    console.log(`Registered ${data.length} slash commands${guildId ? ` on guild ${guildId}` : ''}`);
+}
+
+module.exports = {
+    commands,
+    settableKeys,
+    configKeyChoices,
+    registerCommands,
+};
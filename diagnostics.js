@@ -0,0 +1,145 @@
+const { EmbedBuilder, PermissionFlagsBits, escapeMarkdown } = require('discord.js');
+const { QUALITY_PRESETS } = require('./encoders');
+const { spinTimeline } = require('./wheel');
+const spinModes = require('./spin-modes');
+
+/**
+ * /spin-check: everything a real spin needs, checked up front without
+ * changing anything. The bot gathers the facts (members, roles, a sample
+ * render); this module turns them into estimates and the report embed.
+ *
+ * Findings come in three levels:
+ *   problems - a real spin would fail or stop half-way
+ *   warnings - it would run, but not quite as configured
+ *   notes    - worth knowing (the return spin will be skipped, ...)
+ */
+
+// Channel permissions a spin needs, and what each is for
+const CHANNEL_PERMISSIONS = [
+    [PermissionFlagsBits.ViewChannel, 'View Channel', 'see the channel'],
+    [PermissionFlagsBits.SendMessages, 'Send Messages', 'post the spin'],
+    [PermissionFlagsBits.AttachFiles, 'Attach Files', 'upload the wheel and its animation'],
+    [PermissionFlagsBits.EmbedLinks, 'Embed Links', 'show embeds (live presentation, rosters)'],
+];
+
+// Pause after each spin before the next message (see the bot's rounds step)
+const ROUND_PAUSE_MS = 500;
+// Members listed per role before the list is summarised
+const LIST_LIMIT = 20;
+
+/**
+ * What the bot is missing in `channel` to hold a spin there, as
+ * "Attach Files (upload the wheel and its animation)" lines
+ */
+function missingChannelPermissions(channel, me) {
+    const granted = channel.permissionsFor(me);
+    return CHANNEL_PERMISSIONS
+        .filter(([flag]) => !granted || !granted.has(flag))
+        .map(([, name, why]) => `${name} (${why})`);
+}
+
+/**
+ * How long a spin animation plays for `count` slices at a quality preset (ms)
+ */
+function animationMs(count, quality) {
+    const preset = QUALITY_PRESETS[quality] || QUALITY_PRESETS.medium;
+    let total = 0;
+    for (const { delay } of spinTimeline(Math.max(2, count), 0, null, preset)) total += delay;
+    return total;
+}
+
+/**
+ * Estimate a real spin: how many spins it takes and roughly how long.
+ * counts: { on, off } members On and Off the wheel
+ * options: { animate, wheelMs } - wheelMs is how long one still wheel took to
+ *   render, used to guess the animation's render time
+ * Returns { returnSpin, spins, durationMs }.
+ */
+function estimateRun(config, { on, off }, { animate = true, wheelMs = 0 } = {}) {
+    const returnSpin = off >= config.offWheelThreshold;
+    // The member brought back joins the wheel
+    const onWheel = on + (returnSpin ? 1 : 0);
+    const spins = (returnSpin ? 1 : 0) + (onWheel >= 2 ? spinModes.expectedSpins(config.spinMode, onWheel) : 0);
+
+    const preset = QUALITY_PRESETS[config.animationQuality] || QUALITY_PRESETS.medium;
+    // Frames are bigger than the 600px still and every one is rendered
+    const renderMs = wheelMs * preset.frames * (preset.size / 600) ** 2;
+    const perSpin = animate
+        ? animationMs(onWheel, config.animationQuality) + renderMs + config.cancelTimeoutMs + ROUND_PAUSE_MS
+        : ROUND_PAUSE_MS;
+    const lobbyMs = config.lobby ? config.lobbySeconds * 1000 : 0;
+    return { returnSpin, spins, durationMs: Math.round(lobbyMs + spins * perSpin) };
+}
+
+/**
+ * "2 min 05 s", "40 s"
+ */
+function formatDuration(ms) {
+    const seconds = Math.max(1, Math.round(ms / 1000));
+    if (seconds < 60) return `${seconds} s`;
+    return `${Math.floor(seconds / 60)} min ${String(seconds % 60).padStart(2, '0')} s`;
+}
+
+// Member names for a field, the tail summarised past LIST_LIMIT
+function memberList(members) {
+    if (members.length === 0) return 'Nobody';
+    const names = members.slice(0, LIST_LIMIT).map(member => escapeMarkdown(member.displayName));
+    if (members.length > LIST_LIMIT) names.push(`…and ${members.length - LIST_LIMIT} more`);
+    return names.join(', ');
+}
+
+// Findings as bullet lines, cut to fit an embed field
+function findingsValue(lines) {
+    let value = '';
+    for (const [i, line] of lines.entries()) {
+        const next = `${value}• ${line}\n`;
+        if (next.length > 1000) return `${value}…and ${lines.length - i} more`;
+        value = next;
+    }
+    return value;
+}
+
+/**
+ * The /spin-check report embed.
+ * check: { channel, roles: [{ label, role, members }], problems, warnings,
+ *          notes, estimate, mode, wheelMs, image } - image is the sample
+ *          wheel's attachment name, or null if it failed to render
+ */
+function buildCheckEmbed(check) {
+    const ready = check.problems.length === 0;
+    const embed = new EmbedBuilder()
+        .setColor(ready ? (check.warnings.length > 0 ? 0xFEE75C : 0x57F287) : 0xED4245)
+        .setTitle(ready ? '✅ Ready to spin' : `❌ ${check.problems.length} problem${check.problems.length === 1 ? '' : 's'} would stop a spin`)
+        .setDescription(`Checked for a spin in ${check.channel}. Nothing was changed.`);
+
+    for (const { label, role, members } of check.roles) {
+        embed.addFields({
+            name: `${label}: ${role ? escapeMarkdown(role.name) : 'missing'} (${members.length})`,
+            value: memberList(members),
+        });
+    }
+
+    if (check.problems.length > 0) embed.addFields({ name: '❌ Problems', value: findingsValue(check.problems) });
+    if (check.warnings.length > 0) embed.addFields({ name: '⚠️ Warnings', value: findingsValue(check.warnings) });
+    if (check.notes.length > 0) embed.addFields({ name: 'ℹ️ Notes', value: findingsValue(check.notes) });
+
+    const { estimate } = check;
+    embed.addFields({
+        name: 'Estimate',
+        value: `${spinModes.SPIN_MODES[check.mode].label}: ${estimate.spins} spin${estimate.spins === 1 ? '' : 's'}` +
+            `${estimate.returnSpin ? ' (including the return spin)' : ''}, about ${formatDuration(estimate.durationMs)}`,
+    });
+    if (check.image) {
+        embed.setImage(`attachment://${check.image}`)
+            .setFooter({ text: `Sample wheel rendered in ${Math.round(check.wheelMs)} ms` });
+    }
+    return embed;
+}
+
+module.exports = {
+    missingChannelPermissions,
+    animationMs,
+    estimateRun,
+    formatDuration,
+    buildCheckEmbed,
+};
@@ -0,0 +1,303 @@
+const GIFEncoder = require('gifencoder');
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Animation encoders. Each takes an iterable of frames ({ canvas, delay } with
+ * the delay in ms) and resolves to the encoded file as a Buffer. Frames are
+ * consumed one at a time so a long animation never sits in memory as canvases.
+ * The first frame sets the dimensions (a wheel with a legend is wider than tall).
+ * A frame's canvas only needs width, height, getContext('2d').getImageData()
+ * and toBuffer('image/png'), so renderers other than node-canvas can supply one.
+ *
+ *   gif  - gifencoder, always available
+ *   apng - animated PNG assembled from the canvas' own PNG output, always available
+ *   webp, mp4 - piped through ffmpeg, only when an ffmpeg binary can be found
+ */
+
+const FORMATS = {
+    gif: { extension: 'gif', embeddable: true, needsFfmpeg: false },
+    apng: { extension: 'png', embeddable: true, needsFfmpeg: false },
+    webp: { extension: 'webp', embeddable: true, needsFfmpeg: true },
+    // Embeds can't show video, so an mp4 is always posted as its own attachment
+    mp4: { extension: 'mp4', embeddable: false, needsFfmpeg: true },
+};
+
+/**
+ * Animation quality presets, lowest first. `frames` spin frames at
+ * `fastDelay` ms each, the last `slowDownFrames` of them slowing down to
+ * ~260ms; gifQuality is gifencoder's (higher = more compression).
+ */
+const QUALITY_PRESETS = {
+    low: { size: 400, frames: 30, slowDownFrames: 12, fastDelay: 40, gifQuality: 20 },
+    medium: { size: 600, frames: 40, slowDownFrames: 15, fastDelay: 30, gifQuality: 15 },
+    high: { size: 700, frames: 60, slowDownFrames: 20, fastDelay: 20, gifQuality: 10 },
+    ultra: { size: 800, frames: 90, slowDownFrames: 30, fastDelay: 15, gifQuality: 5 },
+};
+
+async function encodeGif(frames, { gifQuality = 15 }) {
+    let encoder = null;
+    const buffers = [];
+    let ended = null;
+
+    for (const { canvas, delay } of frames) {
+        if (!encoder) {
+            encoder = new GIFEncoder(canvas.width, canvas.height);
+            const stream = encoder.createReadStream();
+            stream.on('data', (chunk) => buffers.push(chunk));
+            ended = new Promise((resolve) => stream.on('end', resolve));
+            encoder.start();
+            encoder.setRepeat(0);
+            encoder.setQuality(gifQuality); // higher = more compression, smaller file
+        }
+        encoder.setDelay(delay);
+        encoder.addFrame(canvas.getContext('2d'));
+    }
+    if (!encoder) return null;
+
+    encoder.finish();
+    await ended;
+    return Buffer.concat(buffers);
+}
+
+// CRC-32 as used by PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// Split a PNG file into its chunks (after the 8-byte signature)
+function readPngChunks(png) {
+    const chunks = [];
+    let offset = 8;
+    while (offset < png.length) {
+        const length = png.readUInt32BE(offset);
+        const type = png.toString('ascii', offset + 4, offset + 8);
+        chunks.push({ type, data: png.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+    }
+    return chunks;
+}
+
+/**
+ * Animated PNG: every frame is a full-size PNG whose image data is re-wrapped
+ * in fcTL/fdAT chunks (see the APNG spec). Full colour, so no GIF banding.
+ */
+async function encodeApng(frames) {
+    const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    const encoded = [];
+    for (const { canvas, delay } of frames) {
+        encoded.push({ chunks: readPngChunks(canvas.toBuffer('image/png')), delay, width: canvas.width, height: canvas.height });
+    }
+    if (encoded.length === 0) return null;
+
+    const output = [PNG_SIGNATURE, pngChunk('IHDR', encoded[0].chunks.find(chunk => chunk.type === 'IHDR').data)];
+    const actl = Buffer.alloc(8);
+    actl.writeUInt32BE(encoded.length, 0);
+    actl.writeUInt32BE(0, 4); // loop forever
+    output.push(pngChunk('acTL', actl));
+
+    let sequence = 0;
+    encoded.forEach((frame, index) => {
+        const fctl = Buffer.alloc(26);
+        fctl.writeUInt32BE(sequence++, 0);
+        fctl.writeUInt32BE(frame.width, 4);
+        fctl.writeUInt32BE(frame.height, 8);
+        fctl.writeUInt32BE(0, 12); // x offset
+        fctl.writeUInt32BE(0, 16); // y offset
+        fctl.writeUInt16BE(Math.round(frame.delay), 20); // delay numerator
+        fctl.writeUInt16BE(1000, 22); // delay denominator (ms)
+        fctl.writeUInt8(0, 24); // dispose: none
+        fctl.writeUInt8(0, 25); // blend: source
+        output.push(pngChunk('fcTL', fctl));
+
+        for (const chunk of frame.chunks.filter(c => c.type === 'IDAT')) {
+            if (index === 0) {
+                output.push(pngChunk('IDAT', chunk.data));
+            } else {
+                const seq = Buffer.alloc(4);
+                seq.writeUInt32BE(sequence++);
+                output.push(pngChunk('fdAT', Buffer.concat([seq, chunk.data])));
+            }
+        }
+    });
+    output.push(pngChunk('IEND', Buffer.alloc(0)));
+    return Buffer.concat(output);
+}
+
+// Path of a working ffmpeg, or null. Looked up once per process.
+let ffmpegPath;
+
+/**
+ * Find ffmpeg: FFMPEG_PATH, then the optional `ffmpeg-static` package, then
+ * `ffmpeg` on the PATH
+ */
+function findFfmpeg() {
+    if (ffmpegPath !== undefined) return ffmpegPath;
+    const candidates = [process.env.FFMPEG_PATH];
+    try {
+        candidates.push(require('ffmpeg-static'));
+    } catch (e) {
+        // not installed
+    }
+    candidates.push('ffmpeg');
+
+    ffmpegPath = candidates.find(candidate => {
+        if (!candidate) return false;
+        const probe = spawnSync(candidate, ['-version'], { stdio: 'ignore', timeout: 5000 });
+        return probe.status === 0;
+    }) || null;
+    return ffmpegPath;
+}
+
+function isFormatAvailable(format) {
+    const def = FORMATS[format];
+    return Boolean(def) && (!def.needsFfmpeg || findFfmpeg() !== null);
+}
+
+// ffmpeg output options per format
+const FFMPEG_OUTPUT = {
+    webp: ['-c:v', 'libwebp', '-lossless', '0', '-q:v', '75', '-loop', '0', '-an'],
+    mp4: ['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-preset', 'veryfast', '-crf', '23', '-movflags', '+faststart', '-an'],
+};
+
+/**
+ * Pipe raw RGBA frames into ffmpeg. ffmpeg wants a constant frame rate, so
+ * the shortest delay sets the rate and longer frames are repeated.
+ */
+async function encodeWithFfmpeg(frames, format, { fastDelay }) {
+    const ffmpeg = findFfmpeg();
+    if (!ffmpeg) throw new Error('ffmpeg is not available');
+
+    const iterator = frames[Symbol.iterator]();
+    const first = iterator.next();
+    if (first.done) return null;
+    const { width, height } = first.value.canvas;
+
+    const outFile = path.join(os.tmpdir(), `spinny-${process.pid}-${Date.now()}.${FORMATS[format].extension}`);
+    const child = spawn(ffmpeg, [
+        '-y', '-loglevel', 'error',
+        '-f', 'rawvideo', '-pix_fmt', 'rgba', '-s', `${width}x${height}`, '-framerate', String(1000 / fastDelay),
+        '-i', 'pipe:0',
+        ...FFMPEG_OUTPUT[format],
+        outFile,
+    ], { stdio: ['pipe', 'ignore', 'pipe'] });
+
+    let stderr = '';
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    const exited = new Promise((resolve, reject) => {
+        child.on('error', reject);
+        child.on('close', code => (code === 0 ? resolve() : reject(new Error(`ffmpeg exited with ${code}: ${stderr.trim()}`))));
+    });
+    // Surface a dead ffmpeg as its exit error rather than EPIPE
+    child.stdin.on('error', () => {});
+    // Observed below; this only stops an early throw leaving it unhandled
+    exited.catch(() => {});
+
+    try {
+        for (let next = first; !next.done; next = iterator.next()) {
+            const { canvas, delay } = next.value;
+            const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+            const raw = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+            const repeats = Math.max(1, Math.round(delay / fastDelay));
+            for (let i = 0; i < repeats; i++) {
+                if (!child.stdin.write(raw)) {
+                    await Promise.race([new Promise(resolve => child.stdin.once('drain', resolve)), exited]);
+                }
+            }
+        }
+        child.stdin.end();
+        await exited;
+        return await fs.promises.readFile(outFile);
+    } catch (err) {
+        if (child.exitCode === null) child.kill();
+        throw err;
+    } finally {
+        fs.promises.unlink(outFile).catch(() => {});
+    }
+}
+
+/**
+ * Encode frames in `format` (see FORMATS). `options` carries the quality
+ * preset's gifQuality and fastDelay.
+ */
+async function encodeAnimation(format, frames, options) {
+    switch (format) {
+        case 'gif':
+            return encodeGif(frames, options);
+        case 'apng':
+            return encodeApng(frames);
+        case 'webp':
+        case 'mp4':
+            return encodeWithFfmpeg(frames, format, options);
+        default:
+            throw new Error(`Unknown animation format: ${format}`);
+    }
+}
+
+/**
+ * Encode a spin animation that fits in `maxBytes`.
+ * Tries `format` at `quality`, then each lower quality; if the format can't
+ * be produced here (no ffmpeg) or nothing fits, the same again as a GIF.
+ * `framesFor(preset)` returns (or resolves to) the frames at a quality preset.
+ * Resolves to { buffer, format, quality, fileName, embeddable }, or null if
+ * even the smallest GIF is too large.
+ */
+async function encodeSpin(framesFor, { format = 'gif', quality = 'medium', maxBytes = Infinity } = {}) {
+    const formats = format === 'gif' ? ['gif'] : [format, 'gif'];
+    const levels = Object.keys(QUALITY_PRESETS);
+    const start = Math.max(0, levels.indexOf(quality));
+
+    for (const fmt of formats) {
+        if (!isFormatAvailable(fmt)) continue;
+        for (const level of levels.slice(0, start + 1).reverse()) {
+            const preset = QUALITY_PRESETS[level];
+            // A renderer failing to draw is the caller's problem, not the encoder's
+            const frames = await framesFor(preset);
+            let buffer;
+            try {
+                buffer = await encodeAnimation(fmt, frames, preset);
+            } catch (err) {
+                console.error(`Could not encode ${fmt} spin animation: ${err.message}`);
+                break;
+            }
+            if (buffer && buffer.length <= maxBytes) {
+                return {
+                    buffer,
+                    format: fmt,
+                    quality: level,
+                    fileName: `wheel_spin.${FORMATS[fmt].extension}`,
+                    embeddable: FORMATS[fmt].embeddable,
+                };
+            }
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    FORMATS,
+    QUALITY_PRESETS,
+    findFfmpeg,
+    isFormatAvailable,
+    encodeAnimation,
+    encodeSpin,
+};
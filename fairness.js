@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+/**
+ * Commit-reveal fairness.
+ *
+ * Before a fair spin the bot posts sha256(serverSeed); the public client seed
+ * is the id Discord assigns to that message, so it is only fixed after the
+ * server has committed to its seed. Every random
+ * draw of the run comes from HMAC-SHA256(serverSeed, `${clientSeed}:${label}:${n}`),
+ * where `label` names the step (e.g. `round-3`) and `n` counts draws within it.
+ * Once the run is over the server seed is revealed and anyone can replay it.
+ */
+
+function createServerSeed() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function hashSeed(serverSeed) {
+    return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+/**
+ * Deterministic replacement for Math.random for one labelled step of a run.
+ * Each call returns the next float in [0, 1).
+ */
+function createRandom(serverSeed, clientSeed, label) {
+    let counter = 0;
+    return () => {
+        const digest = crypto.createHmac('sha256', serverSeed)
+            .update(`${clientSeed}:${label}:${counter++}`)
+            .digest();
+        // 48 bits of the digest is plenty of resolution for picking a slice
+        return digest.readUIntBE(0, 6) / 2 ** 48;
+    };
+}
+
+/**
+ * Start a fair run: a fresh server seed and its public commitment. The
+ * client seed is filled in once the commitment has been posted.
+ */
+function createCommitment() {
+    const serverSeed = createServerSeed();
+    return { serverSeed, serverSeedHash: hashSeed(serverSeed), clientSeed: null };
+}
+
+module.exports = {
+    createServerSeed,
+    hashSeed,
+    createRandom,
+    createCommitment,
+};
@@ -0,0 +1,300 @@
+const { dataPath, readJsonSync, writeJson } = require('./storage');
+const { THEMES, DEFAULT_THEME } = require('./themes');
+const { FORMATS, QUALITY_PRESETS } = require('./encoders');
+const { EASINGS } = require('./motion');
+const { RENDERERS, DEFAULT_RENDERER } = require('./renderers');
+const { ACTIONS } = require('./permissions');
+const { SPIN_MODES, DEFAULT_SPIN_MODE } = require('./spin-modes');
+const { CONFLICT_REPAIRS } = require('./lifecycle');
+
+const CONFIG_FILE = dataPath('guild-config.json');
+
+// Phrases posted when the final winner's roles have been updated
+const DEFAULT_PHRASES = [
+    "Don't waste the cosmic favour, pig.",
+    "You better not fuck us!",
+    "May your RNG be kind and your drops be clean, piggy.",
+    "May your pitch drop be legendary and your mesos never vanish.",
+    "Poggers! May your boss drops crit every time.",
+    "Oink oink — may your rolls be blessed.",
+    "May your star force be gold, and your comms not be mold.",
+    "Don't gimp the party, oinker.",
+    "May your cubes hit god-tier potential.",
+    "May your drop table pity you this week.",
+    "Keep chugging pots and critting bosses, pig.",
+    "May your mesos stack and your lag be small.",
+    "May your epic drop be non-shitter and very pog.",
+    "You got the piggy touch — don't blow it, legend.",
+    "May your stars align and your flame not fizzle.",
+    "May gachas be merciful and your RNG not betray you.",
+    "Oink if you score a pitch drop before breakfast.",
+    "May your runs be clean and your drop not mean.",
+    "May your drop rates be blessed by the RNG gods.",
+    "Feed the pig right — it returns you epic loot.",
+    "May your cubes bless you with Godly lines, piggy.",
+    "Less mold, more pog — good drops incoming.",
+    "May your scrolling be safe and your flames peak.",
+    "Gamblers never quit, and quitters never win.",
+    "Pigs — may your star force upgrades never fail.",
+    "You lucky oinker.",
+    "This week: big pig energy, bigger drops, no shitter RNG.",
+    "Luck is a pig — fatten it with patience, don't let it hog your reason.",
+    "Gamble like a pig: snuffle for opportunity, celebrate the tasty drops.",
+    "RNG is just the universe's mood swing; feed it treats and it might smile.",
+    "A pitch drop is a prayer answered by statistics and a little pork luck.",
+    "Mesos come and go; the true fortune is not losing your hog soul to rage.",
+    "Feed the pig of chance with runs and potions; it returns in blessed drops.",
+    "Star force is faith measured in scrolls — upgrade your courage, not your anger.",
+    "The gambler's zen: accept the shitter drops, cherish the pog ones.",
+    "Pigs don't worry about misses — they root for the next big crit.",
+    "Cubes are tiny boxes of destiny; open them with reverence and snacks.",
+    "Luck prefers the persistent pig over the panicked hoarder.",
+    "A true pig knows: RNG is theater — play your part and enjoy the applause.",
+    "Blessed is the pig who grinds in silence and gets pitch drops loudly.",
+    "You can't bribe probability, but you can cultivate rituals that feel lucky.",
+    "May your mesos flow like a river and your inventories never choke.",
+    "The wise pig treats every failure as practice for the next pog moment.",
+    "In the casino of life, pigs wager hope and harvest stories.",
+    "Don't curse the RNG; teach it to love you with sacrifice and memes.",
+    "A lucky pig is humble — it knows tomorrow the table will tilt again.",
+    "Pog is a state of mind; drops are merely the currency of validation.",
+    "Oink at fate, then grind harder — sometimes noise is the ritual it respects.",
+    "Gambling teaches patience; pigs learn to wait between snacks and jackpots.",
+    "Fortune is flattered by persistence and occasionally bribed with effort.",
+    "The pig who chases every drop ends up hungry; the patient pig eats well.",
+    "If life deals you shitter RNG, season it with humor and call it a weird flex."
+];
+
+/**
+ * Settings a guild can override with /config.
+ * Role settings hold either a role name (matched case-insensitively) or a role id.
+ */
+const CONFIG_KEYS = {
+    onRole: { type: 'role', default: 'On the wheel', description: "Role of members on the wheel" },
+    offRole: { type: 'role', default: 'Off the wheel', description: "Role of members off the wheel" },
+    winnerRole: { type: 'role', default: 'Pig of the week', description: "Role given to the final winner" },
+    winnerTitle: { type: 'string', default: 'Pig of the week', description: "Title announced for the final winner" },
+    offWheelThreshold: { type: 'integer', default: 6, min: 1, description: "Members Off the wheel needed to spin one back" },
+    minOnWheel: { type: 'integer', default: 2, min: 2, description: "Minimum members On the wheel to spin" },
+    autoEnroll: { type: 'boolean', default: false, description: "Give members who join the server the On the wheel role" },
+    roleConflicts: { type: 'choice', choices: CONFLICT_REPAIRS, default: 'keep-off', description: "Members holding both On and Off the wheel: drop On (keep-off), drop Off (keep-on) or leave them be (ignore)" },
+    spinMode: { type: 'choice', choices: Object.keys(SPIN_MODES), default: DEFAULT_SPIN_MODE, description: "How the On the wheel step is decided: last one standing, first pick wins, best of three hits, or a team draft (no roles change)" },
+    draftTeams: { type: 'integer', default: 2, min: 2, max: 10, description: "Teams a team draft deals members into" },
+    lobby: { type: 'boolean', default: false, description: "Open a join/leave lobby before each spin and lock the roster from it" },
+    lobbySeconds: { type: 'integer', default: 60, min: 10, max: 900, description: "How long the lobby stays open (s)" },
+    spinCooldownHours: { type: 'integer', default: 0, min: 0, max: 2160, description: "Hours after a real spin before the next one may start (0: no cooldown; admins and schedules skip it)" },
+    cancelTimeoutMs: { type: 'integer', default: 7000, min: 0, max: 60000, description: "Cancel button window after each spin (ms)" },
+    auditChannel: { type: 'channel', default: null, description: "Mod-log channel that gets an audit embed and JSON/CSV report for every real spin (reset to turn off)" },
+    // null means "follow the PREFIX_COMMANDS environment setting"
+    prefixCommands: { type: 'boolean', default: null, description: "Allow the legacy ! commands" },
+    phrases: { type: 'phrases', default: DEFAULT_PHRASES, description: "Phrases posted for the final winner" },
+    weightedSpins: { type: 'boolean', default: false, description: "Weight the wheel by recent wins and manual weights" },
+    recentWinPenalty: { type: 'number', default: 0.25, min: 0.05, max: 1, description: "Weight of a member who won the last spin" },
+    penaltyRecoveryRuns: { type: 'integer', default: 4, min: 0, max: 52, description: "Spins until a past winner's weight is back to 1" },
+    provablyFair: { type: 'boolean', default: false, description: "Commit to a seed before spinning and reveal it after (/verify)" },
+    presentation: { type: 'choice', choices: ['messages', 'live'], default: 'messages', description: "How spins show up: a message per update, or one live-updating embed" },
+    theme: { type: 'choice', choices: Object.keys(THEMES), default: DEFAULT_THEME, description: "Wheel theme (preview with /theme preview)" },
+    animationFormat: { type: 'choice', choices: Object.keys(FORMATS), default: 'gif', description: "Spin animation format (webp and mp4 need ffmpeg, otherwise gif is used)" },
+    animationQuality: { type: 'choice', choices: Object.keys(QUALITY_PRESETS), default: 'medium', description: "Spin animation size and smoothness (lowered automatically to fit the upload limit)" },
+    spinEasing: { type: 'choice', choices: [...Object.keys(EASINGS), 'random'], default: 'random', description: "How the wheel slows down (random picks a curve per spin)" },
+    nearMissChance: { type: 'number', default: 0.35, min: 0, max: 1, description: "Chance the wheel ticks past the winner's slice and rolls back" },
+    renderer: { type: 'choice', choices: Object.keys(RENDERERS), default: DEFAULT_RENDERER, description: "What draws the wheel: node-canvas, or an HTML/CSS wheel in headless Chromium (canvas is used if Chromium can't start)" },
+    // Fields overriding the theme, managed with /theme customize
+    themeOverrides: { type: 'theme', default: {}, description: "Custom theme settings on top of the theme" },
+    // memberId -> manual multiplier, managed with /weights
+    memberWeights: { type: 'weights', default: {}, description: "Manual member weight multipliers" },
+    // action -> role ids allowed to do it (see permissions.js), managed with /permissions
+    permissions: { type: 'permissions', default: {}, description: "Roles allowed to run, test, cancel, configure and undo spins" },
+    // Channel ids spins may be held in (empty: any), managed with /permissions
+    spinChannels: { type: 'channels', default: [], description: "Channels spins may be held in" },
+};
+
+// Range accepted for manual member weights
+const MIN_MEMBER_WEIGHT = 0.1;
+const MAX_MEMBER_WEIGHT = 10;
+
+// guildId -> overrides, loaded lazily from disk
+let store = null;
+
+function loadStore() {
+    if (!store) store = readJsonSync(CONFIG_FILE, {});
+    return store;
+}
+
+/**
+ * Effective configuration for a guild (defaults merged with its overrides)
+ */
+function getGuildConfig(guildId) {
+    const overrides = (guildId && loadStore()[guildId]) || {};
+    const config = {};
+    for (const [key, def] of Object.entries(CONFIG_KEYS)) {
+        config[key] = key in overrides ? overrides[key] : def.default;
+    }
+    return config;
+}
+
+/**
+ * Keys the guild has overridden
+ */
+function getOverrides(guildId) {
+    return { ...(loadStore()[guildId] || {}) };
+}
+
+/**
+ * Parse and validate a raw string value for a config key.
+ * Throws an Error with a user-facing message if the value is invalid.
+ */
+function parseConfigValue(key, raw) {
+    const def = CONFIG_KEYS[key];
+    if (!def) throw new Error(`Unknown setting \`${key}\``);
+    const value = String(raw).trim();
+
+    switch (def.type) {
+        case 'role': {
+            // Accept a role mention and store the bare id
+            const mention = value.match(/^<@&(\d+)>$/);
+            if (mention) return mention[1];
+            if (!value) throw new Error('Role name must not be empty');
+            return value;
+        }
+        case 'channel': {
+            // Accept a channel mention or a bare id
+            const id = (value.match(/^<#(\d+)>$/) || value.match(/^(\d+)$/) || [])[1];
+            if (!id) throw new Error(`\`${key}\` must be a channel mention or id`);
+            return id;
+        }
+        case 'integer': {
+            const n = Number(value);
+            if (!Number.isInteger(n)) throw new Error(`\`${key}\` must be a whole number`);
+            if (def.min !== undefined && n < def.min) throw new Error(`\`${key}\` must be at least ${def.min}`);
+            if (def.max !== undefined && n > def.max) throw new Error(`\`${key}\` must be at most ${def.max}`);
+            return n;
+        }
+        case 'number': {
+            const n = Number(value);
+            if (!value || !Number.isFinite(n)) throw new Error(`\`${key}\` must be a number`);
+            if (def.min !== undefined && n < def.min) throw new Error(`\`${key}\` must be at least ${def.min}`);
+            if (def.max !== undefined && n > def.max) throw new Error(`\`${key}\` must be at most ${def.max}`);
+            return n;
+        }
+        case 'boolean': {
+            const lower = value.toLowerCase();
+            if (['true', 'on', 'yes', '1'].includes(lower)) return true;
+            if (['false', 'off', 'no', '0'].includes(lower)) return false;
+            throw new Error(`\`${key}\` must be on or off`);
+        }
+        case 'string':
+            if (!value) throw new Error(`\`${key}\` must not be empty`);
+            return value;
+        case 'choice': {
+            const choice = def.choices.find(option => option === value.toLowerCase());
+            if (!choice) throw new Error(`\`${key}\` must be one of: ${def.choices.join(', ')}`);
+            return choice;
+        }
+        default:
+            throw new Error(`\`${key}\` can't be set directly`);
+    }
+}
+
+/**
+ * Set a single override for a guild and persist it
+ */
+async function setConfigValue(guildId, key, value) {
+    const data = loadStore();
+    data[guildId] = { ...(data[guildId] || {}), [key]: value };
+    await writeJson(CONFIG_FILE, data);
+    return getGuildConfig(guildId);
+}
+
+/**
+ * Drop a guild's override so the default applies again
+ */
+async function resetConfigValue(guildId, key) {
+    const data = loadStore();
+    if (data[guildId] && key in data[guildId]) {
+        delete data[guildId][key];
+        await writeJson(CONFIG_FILE, data);
+    }
+    return getGuildConfig(guildId);
+}
+
+async function addPhrase(guildId, phrase) {
+    const phrases = [...getGuildConfig(guildId).phrases, phrase];
+    return setConfigValue(guildId, 'phrases', phrases);
+}
+
+/**
+ * Remove the phrase at a 1-based position. Returns the removed phrase or null.
+ */
+async function removePhrase(guildId, position) {
+    const phrases = [...getGuildConfig(guildId).phrases];
+    if (position < 1 || position > phrases.length) return null;
+    const [removed] = phrases.splice(position - 1, 1);
+    await setConfigValue(guildId, 'phrases', phrases);
+    return removed;
+}
+
+/**
+ * Set (or with `null`, clear) a member's manual weight multiplier
+ */
+async function setMemberWeight(guildId, memberId, weight) {
+    const memberWeights = { ...getGuildConfig(guildId).memberWeights };
+    if (weight === null) {
+        delete memberWeights[memberId];
+    } else {
+        if (!(weight >= MIN_MEMBER_WEIGHT && weight <= MAX_MEMBER_WEIGHT)) {
+            throw new Error(`Weight must be between ${MIN_MEMBER_WEIGHT} and ${MAX_MEMBER_WEIGHT}`);
+        }
+        memberWeights[memberId] = weight;
+    }
+    return setConfigValue(guildId, 'memberWeights', memberWeights);
+}
+
+/**
+ * Allow (`allowed` true) or stop allowing a role to do a permission action
+ */
+async function setActionRole(guildId, action, roleId, allowed) {
+    if (!ACTIONS[action]) throw new Error(`Unknown action \`${action}\``);
+    const permissions = { ...getGuildConfig(guildId).permissions };
+    const roleIds = (permissions[action] || []).filter(id => id !== roleId);
+    if (allowed) roleIds.push(roleId);
+    if (roleIds.length > 0) permissions[action] = roleIds;
+    else delete permissions[action];
+    return setConfigValue(guildId, 'permissions', permissions);
+}
+
+/**
+ * Drop every role set for an action so its default applies again
+ */
+async function resetActionRoles(guildId, action) {
+    const permissions = { ...getGuildConfig(guildId).permissions };
+    delete permissions[action];
+    return setConfigValue(guildId, 'permissions', permissions);
+}
+
+/**
+ * Add (`allowed` true) or remove a channel from the spin channel allow-list
+ */
+async function setSpinChannel(guildId, channelId, allowed) {
+    const spinChannels = getGuildConfig(guildId).spinChannels.filter(id => id !== channelId);
+    if (allowed) spinChannels.push(channelId);
+    return setConfigValue(guildId, 'spinChannels', spinChannels);
+}
+
+module.exports = {
+    CONFIG_KEYS,
+    MIN_MEMBER_WEIGHT,
+    MAX_MEMBER_WEIGHT,
+    DEFAULT_PHRASES,
+    getGuildConfig,
+    getOverrides,
+    parseConfigValue,
+    setConfigValue,
+    resetConfigValue,
+    addPhrase,
+    removePhrase,
+    setMemberWeight,
+    setActionRole,
+    resetActionRoles,
+    setSpinChannel,
+};
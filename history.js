@@ -0,0 +1,235 @@
+const fs = require('fs');
+const { DATA_DIR, dataPath, queueFileOperation, tempPath, readJsonSync, writeJson } = require('./storage');
+
+// Spin history is kept as JSON lines (one completed run per line) so appends
+// are cheap and a partially written file never corrupts earlier runs.
+const HISTORY_FILE = dataPath('spin-history.jsonl');
+// guildId -> { memberId -> when they left the server }. Runs from before a
+// member left stop counting for them (stats, weights); the runs themselves
+// stay in the history file so /verify can still replay them.
+const DEPARTURES_FILE = dataPath('member-departures.json');
+
+/**
+ * Append a finished run to the history file.
+ * `run` shape:
+ *   { guildId, initiatorId, startedAt, finishedAt,
+ *     offWheel: { candidates: [{ id, name }], returned: { id, name } } | null,
+ *     participants: [{ id, name }],
+ *     mode,                                    (see spin-modes.js; missing: last-standing)
+ *     rounds: [{ round, id, name, remaining }], (where each spin landed)
+ *     winner: { id, name } | null,
+ *     teams: [[{ id, name }]],                  (team drafts only)
+ *     dropped, voidLandings }                   (members who left mid-run, see replay.js)
+ */
+async function recordRun(run) {
+    // Queued with rewrites (filterRuns) so an append is never lost to a rename
+    await queueFileOperation(HISTORY_FILE, async () => {
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        await fs.promises.appendFile(HISTORY_FILE, JSON.stringify(run) + '\n', 'utf8');
+    });
+}
+
+/**
+ * Read every recorded run for a guild, oldest first.
+ * Lines that fail to parse are skipped.
+ */
+async function readRuns(guildId) {
+    let raw;
+    try {
+        raw = await fs.promises.readFile(HISTORY_FILE, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+
+    const runs = [];
+    for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const run = JSON.parse(line);
+            if (run.guildId === guildId) runs.push(run);
+        } catch (e) {
+            // ignore malformed lines
+        }
+    }
+    return runs;
+}
+
+let departures = null;
+
+function loadDepartures() {
+    if (!departures) departures = readJsonSync(DEPARTURES_FILE, {});
+    return departures;
+}
+
+/**
+ * Note that a member left a guild. If they come back, only runs from after
+ * their return count for them.
+ */
+async function recordDeparture(guildId, memberId, at = new Date().toISOString()) {
+    const data = loadDepartures();
+    if (!Object.hasOwn(data, guildId)) data[guildId] = {};
+    data[guildId][memberId] = at;
+    await writeJson(DEPARTURES_FILE, data);
+}
+
+/**
+ * `runs` with every member who left since each run taken out of it: off the
+ * participants, candidates and spins, and no longer its returned member or
+ * winner. `left` is { memberId -> when they left }.
+ */
+function withoutDeparted(runs, left) {
+    if (Object.keys(left).length === 0) return runs;
+
+    return runs.map(run => {
+        const counts = member => !(member && Object.hasOwn(left, member.id) && run.startedAt < left[member.id]);
+        const participants = run.participants || [];
+        const kept = participants.map(counts);
+        const counted = {
+            ...run,
+            participants: participants.filter((_, i) => kept[i]),
+            rounds: (run.rounds || []).filter(counts),
+            winner: counts(run.winner) ? run.winner : null,
+        };
+        if (run.participantWeights) counted.participantWeights = run.participantWeights.filter((_, i) => kept[i]);
+        if (run.teams) counted.teams = run.teams.map(team => team.filter(counts));
+        if (run.offWheel) {
+            const { candidates, weights } = run.offWheel;
+            counted.offWheel = {
+                ...run.offWheel,
+                candidates: candidates.filter(counts),
+                weights: weights ? weights.filter((_, i) => counts(candidates[i])) : weights,
+                returned: counts(run.offWheel.returned) ? run.offWheel.returned : null,
+            };
+        }
+        return counted;
+    });
+}
+
+/**
+ * A guild's runs as they count for stats and weights: oldest first, members
+ * who left since taken out (see withoutDeparted)
+ */
+async function readCountedRuns(guildId) {
+    const data = loadDepartures();
+    return withoutDeparted(await readRuns(guildId), Object.hasOwn(data, guildId) ? data[guildId] : {});
+}
+
+/**
+ * Rewrite the history file keeping only the runs for which `keep(run)` is true.
+ * Lines that fail to parse are preserved as-is. Returns how many runs were dropped.
+ */
+async function filterRuns(keep) {
+    return queueFileOperation(HISTORY_FILE, () => rewriteRuns(keep));
+}
+
+// filterRuns, run from the history file's queue
+async function rewriteRuns(keep) {
+    let raw;
+    try {
+        raw = await fs.promises.readFile(HISTORY_FILE, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return 0;
+        throw err;
+    }
+
+    let dropped = 0;
+    const lines = raw.split('\n').filter(line => {
+        if (!line.trim()) return false;
+        try {
+            if (keep(JSON.parse(line))) return true;
+            dropped++;
+            return false;
+        } catch (e) {
+            return true;
+        }
+    });
+    if (dropped === 0) return 0;
+
+    // Write to a temp file and rename so a crash never truncates the history
+    const tmp = tempPath(HISTORY_FILE);
+    await fs.promises.writeFile(tmp, lines.map(line => line + '\n').join(''), 'utf8');
+    await fs.promises.rename(tmp, HISTORY_FILE);
+    return dropped;
+}
+
+/**
+ * Remove a single run (identified by guild and start time), e.g. after /spin-undo
+ */
+async function removeRun(guildId, startedAt) {
+    return filterRuns(run => !(run.guildId === guildId && run.startedAt === startedAt));
+}
+
+/**
+ * Most recent runs for a guild, newest first.
+ */
+async function getRecentRuns(guildId, limit = 5) {
+    const runs = await readRuns(guildId);
+    return runs.slice(-limit).reverse();
+}
+
+/**
+ * Aggregate statistics for one member of a guild.
+ */
+async function getMemberStats(guildId, memberId) {
+    const runs = await readCountedRuns(guildId);
+
+    const stats = {
+        runs: 0,           // runs the member took part in (on or off the wheel)
+        wins: 0,
+        returns: 0,        // times brought back from Off the wheel
+        eliminations: 0,
+        averageEliminationRound: null,
+        currentStreak: 0,  // consecutive most recent runs won
+        longestStreak: 0,
+        lastWin: null,
+    };
+
+    let roundTotal = 0;
+    let streak = 0;
+
+    for (const run of runs) {
+        const wasOnWheel = (run.participants || []).some(p => p.id === memberId);
+        const wasOffWheel = run.offWheel && run.offWheel.candidates.some(p => p.id === memberId);
+        if (wasOnWheel || wasOffWheel) stats.runs++;
+
+        if (run.offWheel && run.offWheel.returned && run.offWheel.returned.id === memberId) {
+            stats.returns++;
+        }
+
+        // Only last-one-standing rounds knock members off (older runs have no mode)
+        const knockout = !run.mode || run.mode === 'last-standing';
+        const elimination = knockout && (run.rounds || []).find(r => r.id === memberId);
+        if (elimination) {
+            stats.eliminations++;
+            roundTotal += elimination.round;
+        }
+
+        if (run.winner && run.winner.id === memberId) {
+            stats.wins++;
+            stats.lastWin = run.finishedAt;
+            streak++;
+            stats.longestStreak = Math.max(stats.longestStreak, streak);
+        } else {
+            streak = 0;
+        }
+    }
+
+    stats.currentStreak = streak;
+    if (stats.eliminations > 0) {
+        stats.averageEliminationRound = roundTotal / stats.eliminations;
+    }
+    return stats;
+}
+
+module.exports = {
+    HISTORY_FILE,
+    recordRun,
+    readRuns,
+    readCountedRuns,
+    recordDeparture,
+    withoutDeparted,
+    removeRun,
+    getRecentRuns,
+    getMemberStats,
+};
@@ -0,0 +1,136 @@
+/**
+ * Label layout for the wheel, from 2 to 100+ slices.
+ *
+ * Names are drawn radially (reading from the hub out to the rim), as large as
+ * the slice allows. A name that is still too long is cut at a whole character
+ * (emoji and accented letters included) and ends in an ellipsis. A slice too
+ * thin for a readable name shows its number instead, and numbered slices are
+ * listed in a legend beside the wheel.
+ *
+ * Measuring is left to the caller (`measure(text, fontSize)` returns a width in
+ * px), so this module has no canvas dependency.
+ */
+
+// Tried after the theme's font, so emoji and non-Latin names still get glyphs
+// when the theme font lacks them (install the Noto families on the host)
+const FONT_FALLBACKS = [
+    'Noto Sans',
+    'Noto Sans CJK SC',
+    'Noto Sans Arabic',
+    'Noto Sans Devanagari',
+    'Noto Color Emoji',
+    'Segoe UI Emoji',
+    'Apple Color Emoji',
+    'sans-serif',
+];
+
+const ELLIPSIS = '…';
+
+// Radial band the names are drawn in, as fractions of the wheel radius
+const LABEL_INNER = 0.45;
+const LABEL_OUTER = 0.93;
+// Where slice numbers sit
+const NUMBER_RADIUS = 0.85;
+
+/**
+ * CSS font string for a label, with the fallback families appended
+ */
+function fontString(fontSize, family, bold = true) {
+    const families = [family, ...FONT_FALLBACKS.filter(f => f !== family)]
+        .map(f => (/[\s-]/.test(f) && !/^["']/.test(f) ? `"${f}"` : f));
+    return `${bold ? 'bold ' : ''}${Math.round(fontSize)}px ${families.join(', ')}`;
+}
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// User-perceived characters, so emoji and combining marks are never split
+function graphemes(text) {
+    return Array.from(segmenter.segment(text), part => part.segment);
+}
+
+/**
+ * `text` cut to fit `maxWidth`, ending in an ellipsis if anything was cut.
+ * Returns '' if not even the ellipsis fits.
+ */
+function truncateToFit(text, maxWidth, measure) {
+    if (measure(text) <= maxWidth) return text;
+    const parts = graphemes(text);
+    let low = 0;
+    let high = parts.length - 1;
+    // Longest prefix that fits together with the ellipsis
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (measure(parts.slice(0, mid).join('').trimEnd() + ELLIPSIS) <= maxWidth) low = mid;
+        else high = mid - 1;
+    }
+    if (low === 0) return measure(ELLIPSIS) <= maxWidth ? ELLIPSIS : '';
+    return parts.slice(0, low).join('').trimEnd() + ELLIPSIS;
+}
+
+/**
+ * Decide what goes in each slice.
+ * segments: [{ start, end }] angles; radius: wheel radius in px;
+ * measure(text, fontSize): text width in px.
+ * Returns { labels: [{ text, fontSize, numbered }], legend: [index...] }.
+ */
+function layoutLabels(names, segments, radius, measure) {
+    const maxFont = radius * 0.075;
+    const minFont = Math.max(9, radius * 0.032);
+    const minNumberFont = 6;
+    const inner = radius * LABEL_INNER;
+    const length = radius * (LABEL_OUTER - LABEL_INNER);
+
+    const labels = names.map((name, i) => {
+        const sweep = segments[i].end - segments[i].start;
+        // Text is straight but the slice narrows toward the hub; fit its inner end
+        let fontSize = Math.min(maxFont, sweep * inner * 0.9);
+
+        if (fontSize >= minFont) {
+            const width = measure(name, fontSize);
+            if (width > length) {
+                // Shrink a little before cutting the name short
+                fontSize = Math.max(minFont, fontSize * (length / width));
+            }
+            const text = truncateToFit(name, length, t => measure(t, fontSize));
+            if (text) return { text, fontSize, numbered: false };
+        }
+
+        const numberFont = Math.min(maxFont, sweep * radius * NUMBER_RADIUS * 0.8);
+        return {
+            text: numberFont >= minNumberFont ? String(i + 1) : '',
+            fontSize: numberFont,
+            numbered: true,
+        };
+    });
+
+    const legend = labels.map((label, i) => (label.numbered ? i : -1)).filter(i => i !== -1);
+    return { labels, legend };
+}
+
+/**
+ * Size the legend for `count` entries beside a wheel `height` px tall.
+ * Returns { fontSize, rowHeight, rows, columns, columnWidth, width }.
+ */
+function layoutLegend(count, height) {
+    const usable = height - 40;
+    const fontSize = Math.max(10, Math.min(18, usable / count / 1.35));
+    const rowHeight = fontSize * 1.35;
+    const rows = Math.max(1, Math.floor(usable / rowHeight));
+    const columns = Math.ceil(count / rows);
+    const columnWidth = Math.round(fontSize * 11);
+    // Even widths keep video encoders happy
+    const width = (columns * columnWidth + 40) & ~1;
+    return { fontSize, rowHeight, rows, columns, columnWidth, width };
+}
+
+module.exports = {
+    FONT_FALLBACKS,
+    LABEL_INNER,
+    LABEL_OUTER,
+    NUMBER_RADIUS,
+    fontString,
+    graphemes,
+    truncateToFit,
+    layoutLabels,
+    layoutLegend,
+};
@@ -0,0 +1,100 @@
+const spinModes = require('./spin-modes');
+const { applyRoleChanges } = require('./role-changes');
+
+/**
+ * Member lifecycle: keeps the wheel in step with members joining, leaving
+ * and having their roles edited by hand.
+ *
+ *   joins  - with `autoEnroll` on, new members get the On the wheel role
+ *            (once through the rules screen, if the server has one)
+ *   leaves - departed members are taken out of the unfinished spin (its lobby
+ *            roster and draw), their manual weight is dropped and their past
+ *            runs stop counting for stats and weights (history.recordDeparture;
+ *            the runs stay on file for /verify)
+ *   drift  - members holding both On and Off the wheel are repaired as
+ *            `roleConflicts` says: keep-off (they already had their turn),
+ *            keep-on, or ignore (only reported by /spin-check). A spin makes
+ *            its repairs part of the session, so they are audited and undone
+ *            with it
+ *
+ * The bot wires these to guildMemberAdd / guildMemberRemove /
+ * guildMemberUpdate and drops its member fetch cache on joins and leaves.
+ */
+const CONFLICT_REPAIRS = ['keep-off', 'keep-on', 'ignore'];
+
+/**
+ * Give a new member the On the wheel role if the guild enrolls newcomers.
+ * Bots are never enrolled, and members still on the server's rules screen
+ * wait until they pass it. Resolves to the failed pairs (see role-changes.js).
+ */
+async function enrollMember(member, config, onRole) {
+    if (!config.autoEnroll || member.user.bot || member.pending || !onRole) return [];
+    return applyRoleChanges([{ member, add: [onRole], remove: [], reason: 'Joined the server (autoEnroll)' }]);
+}
+
+/**
+ * Members holding both the On and the Off the wheel role
+ */
+function findRoleConflicts(members, onRole, offRole) {
+    if (!onRole || !offRole) return [];
+    return members.filter(member => member.roles.cache.has(onRole.id) && member.roles.cache.has(offRole.id));
+}
+
+/**
+ * The role updates `roleConflicts` asks for, as [{ member, add, remove, why }]:
+ * one of the two roles dropped from each conflicted member (none for `ignore`)
+ */
+function conflictRepairs(members, config, onRole, offRole) {
+    if (config.roleConflicts === 'ignore') return [];
+    const [keep, drop] = config.roleConflicts === 'keep-on' ? [onRole, offRole] : [offRole, onRole];
+    return members.map(member => ({
+        member,
+        add: [],
+        remove: [drop],
+        why: `held both ${onRole.name} and ${offRole.name}; kept ${keep.name}`,
+    }));
+}
+
+/**
+ * Repair conflicted members outside a spin (see conflictRepairs).
+ * Resolves to the failed pairs.
+ */
+async function repairRoleConflicts(members, config, onRole, offRole) {
+    const repairs = conflictRepairs(members, config, onRole, offRole);
+    if (repairs.length === 0) return [];
+    return applyRoleChanges(repairs.map(({ why, ...change }) => ({ ...change, reason: `Role conflict: ${why}` })));
+}
+
+/**
+ * Take a departed member out of an unfinished session: its lobby roster and,
+ * once the rounds have started, its draw (a drafted member stays on their
+ * team). Drops from the draw are noted in `run.dropped` so /verify can replay
+ * them (see replay.js). Returns whether anything changed; the caller persists
+ * the session.
+ */
+function dropFromSession(session, memberId) {
+    let changed = false;
+    if (session.roster && session.roster.includes(memberId)) {
+        session.roster = session.roster.filter(id => id !== memberId);
+        changed = true;
+    }
+    const { draw } = session;
+    if (draw && !draw.done && (draw.remaining.includes(memberId) || (draw.tiebreak || []).includes(memberId))) {
+        spinModes.keepMembers(draw, draw.remaining.filter(id => id !== memberId));
+        session.run.dropped = [
+            ...(session.run.dropped || []),
+            { id: memberId, spins: draw.spins, during: Boolean(session.spinning) },
+        ];
+        changed = true;
+    }
+    return changed;
+}
+
+module.exports = {
+    CONFLICT_REPAIRS,
+    enrollMember,
+    findRoleConflicts,
+    conflictRepairs,
+    repairRoleConflicts,
+    dropFromSession,
+};
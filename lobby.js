@@ -0,0 +1,203 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType, EmbedBuilder, PermissionFlagsBits, UserSelectMenuBuilder } = require('discord.js');
+
+/**
+ * Pre-spin lobby: the candidate list is posted with buttons before any role
+ * changes, so the roster can be corrected first.
+ *   Join / Leave              - anyone opts themselves in or out
+ *   Add / Remove              - a server admin picks members
+ *   Start / Abort             - admins only too; lock the roster now, or call the spin off
+ * The lobby closes on its own when the countdown runs out; the roster is
+ * then locked and shown in place of the buttons.
+ */
+
+// How long an Add/Remove member picker stays usable
+const PICKER_TIMEOUT_MS = 60_000;
+// Embed field values are capped at 1024 characters
+const FIELD_LIMIT = 1000;
+
+function lobbyButtons() {
+    return [
+        new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId('lobby_join').setLabel('Join').setStyle(ButtonStyle.Success),
+            new ButtonBuilder().setCustomId('lobby_leave').setLabel('Leave').setStyle(ButtonStyle.Secondary)
+        ),
+        new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId('lobby_add').setLabel('Add').setStyle(ButtonStyle.Primary),
+            new ButtonBuilder().setCustomId('lobby_remove').setLabel('Remove').setStyle(ButtonStyle.Primary),
+            new ButtonBuilder().setCustomId('lobby_start').setLabel('Start').setStyle(ButtonStyle.Success),
+            new ButtonBuilder().setCustomId('lobby_abort').setLabel('Abort').setStyle(ButtonStyle.Danger)
+        ),
+    ];
+}
+
+// Numbered roster, summarising the tail if it doesn't fit in a field
+function rosterList(roster) {
+    if (roster.length === 0) return '*Nobody yet*';
+    const lines = [];
+    let length = 0;
+    for (const [i, member] of roster.entries()) {
+        const line = `${i + 1}. ${member.displayName}`;
+        if (length + line.length + 30 > FIELD_LIMIT) {
+            lines.push(`…and ${roster.length - i} more`);
+            break;
+        }
+        lines.push(line);
+        length += line.length + 1;
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Open a lobby in `channel` for `members` (the starting candidates).
+ * options: { seconds, title }
+ * Returns { result, abort(user) }. `result` resolves to
+ *   { locked: true, roster: [GuildMember], by }   (by: who pressed Start, or null on timeout)
+ *   { locked: false, by }                         (aborted)
+ * and `abort` calls the lobby off from outside (/spin-abort).
+ */
+function openLobby(channel, members, { seconds = 60, title = '🎟️ Spin lobby' } = {}) {
+    const roster = new Map(members.filter(member => !member.user.bot).map(member => [member.id, member]));
+    const closesAt = Math.floor(Date.now() / 1000) + seconds;
+    let message = null;
+    let collector = null;
+    let outcome = null;
+    let settle;
+    const result = new Promise(resolve => { settle = resolve; });
+
+    function buildEmbed() {
+        const embed = new EmbedBuilder();
+        if (!outcome) {
+            embed.setColor(0x5865F2).setTitle(title)
+                .setDescription(`Join or leave before the spin starts <t:${closesAt}:R>.`)
+                .setFooter({ text: 'Server admins can add, remove, start or abort.' });
+        } else if (outcome.locked) {
+            embed.setColor(0x57F287).setTitle('🔒 Roster locked')
+                .setDescription(outcome.by ? `Started by ${outcome.by}.` : 'The countdown ran out.');
+        } else {
+            embed.setColor(0xED4245).setTitle('🛑 Lobby aborted')
+                .setDescription(`Called off by ${outcome.by}.`);
+        }
+        embed.addFields({ name: `Roster (${roster.size})`, value: rosterList([...roster.values()]) });
+        return embed;
+    }
+
+    function payload() {
+        return { embeds: [buildEmbed()], components: outcome ? [] : lobbyButtons() };
+    }
+
+    async function finish(done) {
+        if (outcome) return;
+        outcome = done;
+        if (collector) collector.stop('finished');
+        try {
+            if (message) await message.edit(payload());
+        } catch (e) {
+            // the roster still stands if the lobby message can't be edited
+        }
+        settle(outcome.locked ? { ...outcome, roster: [...roster.values()] } : outcome);
+    }
+
+    // Add, Remove, Start and Abort hand-pick who is on the wheel, so they are
+    // for admins only (anyone may be allowed to start a spin)
+    function denial(interaction) {
+        const allowed = Boolean(interaction.memberPermissions && interaction.memberPermissions.has(PermissionFlagsBits.Administrator));
+        return allowed ? null : 'Only a server admin can do that.';
+    }
+
+    // Ephemeral member picker for Add / Remove; resolves to the selection
+    // interaction (null if nobody was picked in time)
+    async function pickMembers(interaction, placeholder) {
+        const picker = await interaction.reply({
+            components: [new ActionRowBuilder().addComponents(
+                new UserSelectMenuBuilder()
+                    .setCustomId('lobby_pick')
+                    .setPlaceholder(placeholder)
+                    .setMinValues(1)
+                    .setMaxValues(25)
+            )],
+            ephemeral: true,
+            fetchReply: true,
+        });
+        try {
+            return await picker.awaitMessageComponent({
+                componentType: ComponentType.UserSelect,
+                time: PICKER_TIMEOUT_MS,
+            });
+        } catch (e) {
+            await interaction.editReply({ content: 'No one picked.', components: [] }).catch(() => {});
+            return null;
+        }
+    }
+
+    async function handle(interaction) {
+        const action = interaction.customId;
+
+        if (action === 'lobby_join' || action === 'lobby_leave') {
+            if (action === 'lobby_join') roster.set(interaction.member.id, interaction.member);
+            else roster.delete(interaction.member.id);
+            await interaction.update(payload());
+            return;
+        }
+
+        const denied = denial(interaction);
+        if (denied) {
+            await interaction.reply({ content: denied, ephemeral: true });
+            return;
+        }
+
+        if (action === 'lobby_start' || action === 'lobby_abort') {
+            await interaction.deferUpdate();
+            await finish({ locked: action === 'lobby_start', by: interaction.user });
+            return;
+        }
+
+        const adding = action === 'lobby_add';
+        const selection = await pickMembers(interaction, adding ? 'Members to add' : 'Members to remove');
+        if (!selection) return;
+        if (outcome) {
+            await selection.update({ content: 'The lobby has already closed.', components: [] });
+            return;
+        }
+
+        const changed = [];
+        for (const id of selection.values) {
+            const member = interaction.guild.members.cache.get(id) || await interaction.guild.members.fetch(id).catch(() => null);
+            if (!member) continue;
+            if (adding && !member.user.bot && !roster.has(member.id)) {
+                roster.set(member.id, member);
+                changed.push(member.displayName);
+            } else if (!adding && roster.delete(member.id)) {
+                changed.push(member.displayName);
+            }
+        }
+        await selection.update({
+            content: changed.length > 0 ? `${adding ? 'Added' : 'Removed'}: ${changed.join(', ')}` : 'Nothing changed.',
+            components: [],
+        });
+        if (changed.length > 0) await message.edit(payload());
+    }
+
+    (async () => {
+        message = await channel.send(payload());
+        collector = message.createMessageComponentCollector({ componentType: ComponentType.Button, time: seconds * 1000 });
+        collector.on('collect', (interaction) => {
+            handle(interaction).catch(err => console.error(`Lobby button failed: ${err.message}`));
+        });
+        collector.on('end', () => finish({ locked: true, by: null }));
+        // Called off before the message went out
+        if (outcome) collector.stop('finished');
+    })().catch((err) => {
+        console.error(`Could not open the lobby: ${err.message}`);
+        // Without a lobby message there's nothing to edit; go with the candidates as they are
+        finish({ locked: true, by: null });
+    });
+
+    return {
+        result,
+        abort: user => finish({ locked: false, by: user }),
+    };
+}
+
+module.exports = {
+    openLobby,
+};
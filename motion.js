@@ -0,0 +1,79 @@
+/**
+ * Spin motion model.
+ *
+ * The outcome of a spin is decided before the animation starts; this only
+ * decides how the wheel gets there, so no two spins look alike:
+ *   - a random number of whole turns,
+ *   - a random landing point inside the winner's slice (not always its middle),
+ *   - sometimes a near miss: the wheel ticks past the slice border into the
+ *     neighbouring slice, then wobbles back and settles on the winner,
+ *   - one of several easing curves.
+ * Whatever is picked, rotationAt(…, 1) is exactly the planned landing rotation.
+ */
+
+const EASINGS = {
+    cubic: t => 1 - Math.pow(1 - t, 3),
+    quart: t => 1 - Math.pow(1 - t, 4),
+    quint: t => 1 - Math.pow(1 - t, 5),
+    expo: t => (t >= 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+    sine: t => Math.sin((t * Math.PI) / 2),
+};
+
+// Whole turns before landing
+const MIN_ROTATIONS = 3;
+const MAX_ROTATIONS = 6;
+// Landing point as a fraction of the winner's slice, clear of the borders
+const MIN_LANDING_OFFSET = 0.15;
+const MAX_LANDING_OFFSET = 0.85;
+// Share of the spin spent rolling back after a near miss
+const SETTLE_PORTION = 0.2;
+
+function randomBetween(random, min, max) {
+    return min + random() * (max - min);
+}
+
+/**
+ * Pick the random parts of a spin's motion.
+ * winnerSweep / previousSweep: angular size (radians) of the winner's slice and
+ * of the slice the pointer passes into on a near miss.
+ * options: { random, easing (a name from EASINGS or 'random'), overshootChance }
+ * Returns { rotations, landingOffset, overshoot, easing }; overshoot is in
+ * radians past the landing point, 0 for no near miss.
+ */
+function planMotion(winnerSweep, previousSweep, { random = Math.random, easing = 'cubic', overshootChance = 0.35 } = {}) {
+    const rotations = MIN_ROTATIONS + Math.floor(random() * (MAX_ROTATIONS - MIN_ROTATIONS + 1));
+    const landingOffset = randomBetween(random, MIN_LANDING_OFFSET, MAX_LANDING_OFFSET);
+
+    let overshoot = 0;
+    // A one-slice wheel has no border to tick past
+    if (previousSweep > 0 && previousSweep < 2 * Math.PI && random() < overshootChance) {
+        // Far enough to cross the border, then a little way into the next slice
+        overshoot = landingOffset * winnerSweep + previousSweep * randomBetween(random, 0.1, 0.4);
+    }
+
+    const names = Object.keys(EASINGS);
+    const easingName = EASINGS[easing] ? easing : names[Math.floor(random() * names.length)];
+    return { rotations, landingOffset, overshoot, easing: easingName };
+}
+
+/**
+ * Wheel rotation at time t (0..1) of a spin ending at `finalRotation`
+ */
+function rotationAt(finalRotation, motion, t) {
+    const ease = EASINGS[motion.easing] || EASINGS.cubic;
+    if (!motion.overshoot) return ease(t) * finalRotation;
+
+    const peak = finalRotation + motion.overshoot;
+    const mainPortion = 1 - SETTLE_PORTION;
+    if (t <= mainPortion) return ease(t / mainPortion) * peak;
+
+    // Roll back from the peak with a small damped wobble, ending exactly on target
+    const s = (t - mainPortion) / SETTLE_PORTION;
+    return finalRotation + motion.overshoot * Math.cos(s * Math.PI * 1.5) * (1 - s);
+}
+
+module.exports = {
+    EASINGS,
+    planMotion,
+    rotationAt,
+};
@@ -0,0 +1,111 @@
+const { PermissionFlagsBits } = require('discord.js');
+
+/**
+ * Who may do what with the wheel. Each action can be limited to a set of roles
+ * with /permissions; until it is, its default applies. Server admins may
+ * always do everything, anywhere, cooldown or not.
+ *   run       - start a real spin (/spin, !spin)
+ *   test      - /spin-test, !test and dry runs
+ *   cancel    - Cancel button, /spin-abort, Resume / Roll back (an open
+ *               lobby's controls are for admins only, see lobby.js)
+ *   configure - /config, /theme, /schedule and member weights
+ *   undo      - /spin-undo
+ * Spins (run and test) are also held to the guild's `spinChannels`, and real
+ * ones to `spinCooldownHours` since the last recorded spin.
+ */
+const ACTIONS = {
+    run: { label: 'start a spin', default: 'everyone' },
+    test: { label: 'run a test spin', default: 'everyone' },
+    cancel: { label: 'cancel a spin', default: 'initiator' },
+    configure: { label: 'change the wheel settings', default: 'admins' },
+    undo: { label: 'undo a spin', default: 'admins' },
+};
+
+// Who an action is open to before any roles are set for it
+const DEFAULT_LABELS = {
+    everyone: 'everyone',
+    initiator: "the spin's initiator",
+    admins: 'server admins',
+};
+
+function isAdmin(member) {
+    return Boolean(member && member.permissions && member.permissions.has(PermissionFlagsBits.Administrator));
+}
+
+function roleName(guild, roleId) {
+    const role = guild && guild.roles.cache.get(roleId);
+    return role ? role.name : 'deleted role';
+}
+
+/**
+ * Who may do `action` in a guild, in words ("server admins", "Mods or Raid leads")
+ */
+function describeAllowed(guild, action, config) {
+    const roleIds = config.permissions[action] || [];
+    const defaultLabel = DEFAULT_LABELS[ACTIONS[action].default];
+    if (roleIds.length === 0) return defaultLabel;
+    const roles = roleIds.map(id => roleName(guild, id)).join(', ');
+    // The initiator keeps their own spin no matter which roles can cancel it
+    return ACTIONS[action].default === 'initiator' ? `${defaultLabel} or ${roles}` : roles;
+}
+
+/**
+ * Check whether `member` may do `action`. Returns null when allowed,
+ * otherwise the message to show them.
+ * options: { initiatorId } - for cancel, the member who started the spin
+ */
+function permissionDenial(member, action, config, { initiatorId = null } = {}) {
+    if (!ACTIONS[action]) throw new Error(`Unknown action: ${action}`);
+    if (isAdmin(member)) return null;
+
+    const roleIds = config.permissions[action] || [];
+    const { default: fallback, label } = ACTIONS[action];
+    if (fallback === 'initiator' && member && member.id === initiatorId) return null;
+    if (roleIds.length > 0) {
+        if (member && roleIds.some(id => member.roles.cache.has(id))) return null;
+    } else if (fallback === 'everyone') {
+        return null;
+    }
+    return `❌ Only ${describeAllowed(member && member.guild, action, config)} can ${label} here.`;
+}
+
+/**
+ * Check whether a spin (run or test) may be held in `channel`. Returns null
+ * when allowed, otherwise the message to show.
+ */
+function channelDenial(member, channel, config) {
+    if (isAdmin(member) || config.spinChannels.length === 0) return null;
+    if (config.spinChannels.includes(channel.id)) return null;
+    return `❌ Spins can only be held in ${config.spinChannels.map(id => `<#${id}>`).join(', ')}.`;
+}
+
+/**
+ * Milliseconds left before another real spin may start, given when the last
+ * one started (ISO string or null). 0 once the cooldown is over or when it is off.
+ */
+function cooldownRemaining(lastSpinAt, config, now = Date.now()) {
+    if (!config.spinCooldownHours || !lastSpinAt) return 0;
+    const readyAt = Date.parse(lastSpinAt) + config.spinCooldownHours * 3600_000;
+    return Math.max(0, readyAt - now);
+}
+
+/**
+ * The message for a spin refused by the cooldown, or null if it may go ahead
+ */
+function cooldownDenial(member, lastSpinAt, config, now = Date.now()) {
+    if (isAdmin(member)) return null;
+    const remaining = cooldownRemaining(lastSpinAt, config, now);
+    if (remaining === 0) return null;
+    const readyAt = Math.ceil((now + remaining) / 1000);
+    return `⏳ The wheel is cooling down; the next spin can start <t:${readyAt}:R> (<t:${readyAt}:f>).`;
+}
+
+module.exports = {
+    ACTIONS,
+    isAdmin,
+    describeAllowed,
+    permissionDenial,
+    channelDenial,
+    cooldownRemaining,
+    cooldownDenial,
+};
@@ -0,0 +1,298 @@
+const { AttachmentBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType, EmbedBuilder } = require('discord.js');
+
+/**
+ * Presenters decide how a spin shows up in the channel. Both expose:
+ *   post(text)        - a lasting update (winner announcements, role results)
+ *   status(text)      - a transient update ("Round 3: Spinning...")
+ *   showSpin(animation, initiator, timeout, cancelDenial) - play a spin
+ *                       animation (see renderSpin in wheel.js) with a cancel
+ *                       window, resolves `true` if it was cancelled
+ *   showWheel(renderPng) - show the wheel as it stands between spins; the
+ *                       PNG is only rendered by presenters that display it
+ *   eliminated(name)  - record a member knocked off the wheel
+ *   setProgress(done, total)
+ *   finish(summary)   - the run is over (or was cancelled/aborted)
+ *
+ * The `messages` presenter posts every update as its own message and cleans
+ * the transient ones up afterwards; the `live` presenter edits one embed in place.
+ */
+
+// Only the initiator may cancel unless the caller says otherwise
+const initiatorOnly = initiator => interaction =>
+    (interaction.user.id === initiator.id ? null : 'Only the command issuer can cancel this spin.');
+
+/**
+ * Show a cancel button under the given message and wait up to `timeout` ms.
+ * `cancelDenial(interaction)` returns null if the presser may cancel, or the
+ * message to show them. Resolves `true` if the spin was cancelled, `false` otherwise.
+ */
+function waitForCancelButton(spinMessage, initiator, timeout = 7000, cancelDenial = initiatorOnly(initiator)) {
+    return new Promise(async (resolve) => {
+        if (!spinMessage) return resolve(false);
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId('spin_cancel')
+                .setLabel('Cancel')
+                .setStyle(ButtonStyle.Danger)
+        );
+
+        try {
+            await spinMessage.edit({ components: [row] });
+        } catch (e) {
+            // ignore edit errors
+        }
+
+        let resolved = false;
+        const collector = spinMessage.createMessageComponentCollector({ componentType: ComponentType.Button, time: timeout });
+
+        collector.on('collect', async (interaction) => {
+            if (interaction.customId !== 'spin_cancel') return;
+            const denial = cancelDenial(interaction);
+            if (denial) {
+                try { await interaction.reply({ content: denial, ephemeral: true }); } catch (e) {}
+                return;
+            }
+            resolved = true;
+            try { await interaction.update({ content: '🛑 Spin cancelled', components: [] }); } catch (e) {}
+            collector.stop('cancelled');
+            resolve(true);
+        });
+
+        collector.on('end', async (_collected, reason) => {
+            if (!resolved) {
+                // timeout or other end
+                try { await spinMessage.edit({ components: [] }); } catch (e) {}
+                resolve(false);
+            }
+        });
+    });
+}
+
+// Delete intermediate status messages after a short delay
+function scheduleCleanup(messagesToCleanup) {
+    setTimeout(async () => {
+        for (const msg of messagesToCleanup) {
+            try {
+                await msg.delete();
+            } catch (err) {
+                // Ignore errors (message might already be deleted)
+            }
+        }
+    }, 3000);
+}
+
+/**
+ * Post a spin animation as its own message, wait out the cancel window and
+ * delete it again. Resolves `true` if the spin was cancelled.
+ */
+async function postSpin(channel, animation, initiator, timeout, cancelDenial) {
+    const attachment = new AttachmentBuilder(animation.buffer, { name: animation.fileName });
+    const spinMsg = await channel.send({ files: [attachment] });
+    const cancelled = await waitForCancelButton(spinMsg, initiator, timeout, cancelDenial);
+    try { await spinMsg.delete(); } catch (e) { /* ignore */ }
+    return cancelled;
+}
+
+/**
+ * Classic presentation: one message per update
+ */
+function createMessagePresenter(channel) {
+    const messagesToCleanup = [];
+
+    return {
+        async post(text) {
+            await channel.send(text);
+        },
+
+        async status(text) {
+            messagesToCleanup.push(await channel.send(text));
+        },
+
+        async showSpin(animation, initiator, timeout, cancelDenial) {
+            const cancelled = await postSpin(channel, animation, initiator, timeout, cancelDenial);
+            if (cancelled) {
+                await channel.send('🛑 Spin cancelled.');
+            }
+            return cancelled;
+        },
+
+        async showWheel() {},
+        eliminated() {},
+        setProgress() {},
+
+        async finish() {
+            // Clean up intermediate messages after a short delay
+            scheduleCleanup(messagesToCleanup);
+        },
+    };
+}
+
+// Embed field values are capped at 1024 characters; keep the newest lines
+function tailLines(lines, limit = 1000) {
+    const kept = [];
+    let length = 0;
+    for (let i = lines.length - 1; i >= 0; i--) {
+        length += lines[i].length + 1;
+        if (length > limit) {
+            kept.unshift('…');
+            break;
+        }
+        kept.unshift(lines[i]);
+    }
+    return kept.join('\n');
+}
+
+function progressBar(done, total, width = 12) {
+    const filled = total > 0 ? Math.round((done / total) * width) : 0;
+    return `${'▰'.repeat(filled)}${'▱'.repeat(width - filled)} ${done}/${total}`;
+}
+
+/**
+ * Live presentation: a single embed edited in place through the whole run.
+ * Edits are serialised and coalesced, so a burst of updates costs one or two
+ * API calls rather than one each.
+ */
+function createLivePresenter(channel, { title }) {
+    let message = null;
+    const log = [];
+    const eliminatedNames = [];
+    let statusText = '';
+    let progress = null;
+    let image = null;       // { buffer, name }
+    let imageDirty = false;
+    // Only sent when changed: the Cancel button is put on the message by
+    // waitForCancelButton, and resending the old rows would take it off again
+    let components = [];
+    let componentsDirty = false;
+    let summary = null;
+
+    let rendering = null;
+    let dirty = false;
+
+    function buildEmbed() {
+        const embed = new EmbedBuilder()
+            .setTitle(summary ? `${title} — finished` : title)
+            .setColor(summary ? 0x57F287 : 0x5865F2);
+
+        const description = [];
+        if (summary) description.push(`**${summary}**`);
+        else if (statusText) description.push(statusText);
+        if (progress) description.push(progressBar(progress.done, progress.total));
+        if (description.length > 0) embed.setDescription(description.join('\n'));
+
+        if (eliminatedNames.length > 0) {
+            const lines = eliminatedNames.map((name, i) => `${i + 1}. ${name}`);
+            embed.addFields({ name: 'Knocked off', value: tailLines(lines), inline: true });
+        }
+        if (log.length > 0) {
+            embed.addFields({ name: 'Updates', value: tailLines(log), inline: true });
+        }
+        if (image) embed.setImage(`attachment://${image.name}`);
+        return embed;
+    }
+
+    async function renderOnce() {
+        const payload = { embeds: [buildEmbed()] };
+        if (componentsDirty) {
+            payload.components = components;
+            componentsDirty = false;
+        }
+        if (imageDirty && image) {
+            payload.files = [new AttachmentBuilder(image.buffer, { name: image.name })];
+            // Replace the previous attachment rather than piling them up
+            if (message) payload.attachments = [];
+            imageDirty = false;
+        }
+        if (message) {
+            await message.edit(payload);
+        } else {
+            message = await channel.send(payload);
+        }
+    }
+
+    // Render now, or once the in-flight edit finishes if one is running
+    async function render() {
+        if (rendering) {
+            dirty = true;
+            return rendering;
+        }
+        rendering = (async () => {
+            try {
+                do {
+                    dirty = false;
+                    await renderOnce();
+                } while (dirty);
+            } finally {
+                rendering = null;
+            }
+        })();
+        return rendering;
+    }
+
+    return {
+        async post(text) {
+            log.push(text);
+            await render();
+        },
+
+        async status(text) {
+            statusText = text;
+            await render();
+        },
+
+        async showSpin(animation, initiator, timeout, cancelDenial) {
+            let cancelled;
+            if (animation.embeddable) {
+                image = { buffer: animation.buffer, name: animation.fileName };
+                imageDirty = true;
+                await render();
+                cancelled = await waitForCancelButton(message, initiator, timeout, cancelDenial);
+            } else {
+                // Videos can't go in an embed; play it next to the live message
+                cancelled = await postSpin(channel, animation, initiator, timeout, cancelDenial);
+            }
+            if (cancelled) {
+                log.push('🛑 Spin cancelled.');
+                await render();
+            }
+            return cancelled;
+        },
+
+        async showWheel(renderPng) {
+            image = { buffer: await renderPng(), name: 'wheel.png' };
+            imageDirty = true;
+            await render();
+        },
+
+        eliminated(name) {
+            eliminatedNames.push(name);
+        },
+
+        setProgress(done, total) {
+            progress = { done, total };
+        },
+
+        async finish(text) {
+            summary = text || 'Done';
+            statusText = '';
+            components = [];
+            componentsDirty = true;
+            await render();
+        },
+    };
+}
+
+/**
+ * Presenter for a spin: `live` edits one embed, anything else posts messages
+ */
+function createPresenter(channel, mode, options = {}) {
+    if (mode === 'live') return createLivePresenter(channel, { title: options.title || '🎡 Wheel spin' });
+    return createMessagePresenter(channel);
+}
+
+module.exports = {
+    waitForCancelButton,
+    createPresenter,
+    createMessagePresenter,
+    createLivePresenter,
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_FILE = path.join(__dirname, 'render-worker.js');
+
+// Cached results are dropped oldest first beyond this many bytes
+const DEFAULT_CACHE_BYTES = 64 * 1024 * 1024;
+// How long close() waits for a worker to free its renderers
+const CLOSE_TIMEOUT_MS = 5000;
+
+// Buffers arrive from workers as plain Uint8Arrays
+function toBuffer(data) {
+    return Buffer.isBuffer(data) ? data : Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+}
+
+function resultBytes(result) {
+    if (!result) return 0;
+    if (ArrayBuffer.isView(result)) return result.byteLength;
+    return result.buffer ? result.buffer.byteLength : 0;
+}
+
+/**
+ * A pool of render workers (see render-worker.js) so animations never block
+ * the Discord event loop.
+ *
+ * Jobs wait in a FIFO queue and at most `size` run at once, one per worker.
+ * Results are cached by a hash of the whole job (renderer, names and their
+ * order, winner, weights, theme, avatars, format, quality and, for spins, the
+ * motion plan, so only a replay of the very same spin hits), and identical
+ * jobs in flight share one render. With `size` 0 jobs run inline on the main thread.
+ */
+function createRenderPool({ size = Math.max(1, Math.min(2, os.cpus().length - 1)), cacheBytes = DEFAULT_CACHE_BYTES } = {}) {
+    const workers = [];
+    const queue = [];
+    const pending = new Map(); // job id -> { resolve, reject }
+    const cache = new Map(); // key -> { promise, bytes }
+    let cachedBytes = 0;
+    let nextId = 1;
+    let closed = false;
+
+    function startWorker() {
+        const slot = { worker: new Worker(WORKER_FILE), job: null };
+        slot.worker.on('message', ({ id, result, error }) => {
+            const job = pending.get(id);
+            pending.delete(id);
+            slot.job = null;
+            if (job) {
+                if (error) job.reject(new Error(error));
+                else job.resolve(result);
+            }
+            drain();
+        });
+        // A crashed worker fails its job and is replaced
+        slot.worker.on('error', (err) => {
+            console.error(`Render worker failed: ${err.message}`);
+        });
+        slot.worker.on('exit', () => {
+            workers.splice(workers.indexOf(slot), 1);
+            if (slot.job && pending.has(slot.job)) {
+                pending.get(slot.job).reject(new Error('Render worker exited'));
+                pending.delete(slot.job);
+            }
+            if (!closed) drain();
+        });
+        workers.push(slot);
+        return slot;
+    }
+
+    // Hand queued jobs to idle workers, starting workers up to the limit
+    function drain() {
+        while (queue.length > 0) {
+            let slot = workers.find(w => w.job === null);
+            if (!slot && workers.length < size) slot = startWorker();
+            if (!slot) return;
+            const job = queue.shift();
+            slot.job = job.id;
+            pending.set(job.id, job);
+            slot.worker.postMessage({ id: job.id, type: job.type, payload: job.payload });
+        }
+    }
+
+    function enqueue(type, payload) {
+        if (size === 0) {
+            // Required lazily so a pool with workers never loads canvas here
+            const { runRenderJob } = require('./render-worker');
+            return runRenderJob(type, payload);
+        }
+        return new Promise((resolve, reject) => {
+            queue.push({ id: nextId++, type, payload, resolve, reject });
+            drain();
+        });
+    }
+
+    function remember(key, promise) {
+        const entry = { promise, bytes: 0 };
+        cache.set(key, entry);
+        promise.then(result => {
+            if (cache.get(key) !== entry) return;
+            entry.bytes = resultBytes(result);
+            cachedBytes += entry.bytes;
+            for (const [oldKey, old] of cache) {
+                if (cachedBytes <= cacheBytes || oldKey === key) break;
+                cache.delete(oldKey);
+                cachedBytes -= old.bytes;
+            }
+        }, () => {
+            // Failed renders are not cached
+            if (cache.get(key) === entry) cache.delete(key);
+        });
+    }
+
+    function run(type, payload) {
+        if (closed) return Promise.reject(new Error('Render pool is closed'));
+        const key = crypto.createHash('sha1').update(JSON.stringify([type, payload])).digest('hex');
+        const hit = cache.get(key);
+        if (hit) {
+            // Most recently used goes to the back
+            cache.delete(key);
+            cache.set(key, hit);
+            return hit.promise;
+        }
+        const promise = Promise.resolve(enqueue(type, payload));
+        remember(key, promise);
+        return promise;
+    }
+
+    return {
+        /**
+         * Render a spin animation with `renderer` (see renderers.js for the job
+         * and its result)
+         */
+        async renderSpin({ renderer, names, winnerIndex, segmentWeights = null, theme, avatars = [], options = {} }) {
+            const result = await run('spin', { renderer, names, winnerIndex, segmentWeights, theme, avatars, options });
+            return result ? { ...result, buffer: toBuffer(result.buffer) } : null;
+        },
+
+        /**
+         * Render a still wheel as a PNG Buffer with `renderer`
+         */
+        async renderWheel({ renderer, names, winnerIndex = null, size: imageSize = 600, segmentWeights = null, theme, avatars = [] }) {
+            return toBuffer(await run('wheel', { renderer, names, winnerIndex, size: imageSize, segmentWeights, theme, avatars }));
+        },
+
+        stats() {
+            return { workers: workers.length, busy: workers.filter(w => w.job !== null).length, queued: queue.length, cached: cache.size, cachedBytes };
+        },
+
+        async close() {
+            closed = true;
+            for (const job of queue.splice(0)) job.reject(new Error('Render pool is closed'));
+            if (size === 0) {
+                await require('./render-worker').runRenderJob('close');
+                return;
+            }
+            await Promise.all(workers.map(async (slot) => {
+                // Let the worker shut its renderers down (a browser, say), but not forever
+                const id = nextId++;
+                const done = new Promise(resolve => pending.set(id, { resolve, reject: resolve }));
+                slot.worker.postMessage({ id, type: 'close' });
+                await Promise.race([done, new Promise(resolve => setTimeout(resolve, CLOSE_TIMEOUT_MS).unref())]);
+                await slot.worker.terminate();
+            }));
+        },
+    };
+}
+
+module.exports = {
+    createRenderPool,
+};
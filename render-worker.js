@@ -0,0 +1,33 @@
+const { isMainThread, parentPort } = require('worker_threads');
+const { render, closeRenderers } = require('./renderers');
+
+/**
+ * Render jobs, run inside a render pool worker (or inline when the pool has
+ * no workers). Jobs are plain data so they can cross the thread boundary:
+ * the theme travels as data and images as URLs, loaded by the renderer.
+ * `payload.renderer` names the renderer (see renderers.js); the rest of the
+ * payload is that renderer's job.
+ *
+ *   spin  -> renderSpin's result ({ buffer, format, ... } or null)
+ *   wheel -> PNG Buffer
+ *   close -> frees the renderers (a browser, say) before the worker stops
+ */
+async function runRenderJob(type, payload) {
+    if (type === 'close') return closeRenderers();
+    return render(payload.renderer, type, payload);
+}
+
+if (!isMainThread && parentPort) {
+    parentPort.on('message', async ({ id, type, payload }) => {
+        try {
+            const result = await runRenderJob(type, payload);
+            parentPort.postMessage({ id, result });
+        } catch (err) {
+            parentPort.postMessage({ id, error: err.message });
+        }
+    });
+}
+
+module.exports = {
+    runRenderJob,
+};
@@ -0,0 +1,61 @@
+/**
+ * Wheel renderers.
+ *
+ * Every renderer takes the same plain-data jobs and produces the same results,
+ * so the rest of the bot doesn't care which one drew a wheel:
+ *   renderSpin({ names, winnerIndex, segmentWeights, theme, avatars, options })
+ *       -> { buffer, format, quality, fileName, embeddable } or null
+ *   renderWheel({ names, winnerIndex, size, segmentWeights, theme, avatars })
+ *       -> PNG Buffer
+ *   close() -> frees anything the renderer holds on to
+ * `avatars` are image URLs parallel to `names`; `options` are renderSpin's in
+ * wheel.js.
+ *
+ * A renderer's module is only loaded when it is first used, so picking one
+ * never pulls in the other's dependencies.
+ */
+
+const RENDERERS = {
+    canvas: { description: 'node-canvas, drawn frame by frame', load: () => require('./canvas-renderer') },
+    chromium: { description: 'HTML/CSS wheel screenshotted in headless Chromium', load: () => require('./chromium-renderer') },
+};
+
+const DEFAULT_RENDERER = 'canvas';
+
+const loaded = new Map();
+
+function loadRenderer(name) {
+    if (!loaded.has(name)) loaded.set(name, RENDERERS[name].load());
+    return loaded.get(name);
+}
+
+/**
+ * Run a job ('spin' or 'wheel') with the named renderer. If any other
+ * renderer than canvas fails (Chromium not starting, most often), the job is
+ * drawn with canvas instead.
+ */
+async function render(name, type, job) {
+    const method = { spin: 'renderSpin', wheel: 'renderWheel' }[type];
+    if (!method) throw new Error(`Unknown render job: ${type}`);
+
+    const rendererName = RENDERERS[name] ? name : DEFAULT_RENDERER;
+    if (rendererName !== DEFAULT_RENDERER) {
+        try {
+            return await loadRenderer(rendererName)[method](job);
+        } catch (err) {
+            console.error(`The ${rendererName} renderer failed, falling back to ${DEFAULT_RENDERER}: ${err.message}`);
+        }
+    }
+    return loadRenderer(DEFAULT_RENDERER)[method](job);
+}
+
+async function closeRenderers() {
+    await Promise.all([...loaded.values()].map(renderer => renderer.close()));
+}
+
+module.exports = {
+    RENDERERS,
+    DEFAULT_RENDERER,
+    render,
+    closeRenderers,
+};
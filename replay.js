@@ -0,0 +1,79 @@
+const fairness = require('./fairness');
+const spinModes = require('./spin-modes');
+const { spinWheel } = require('./wheel');
+
+/**
+ * Replaying recorded fair runs for /verify. A replay redraws every spin from
+ * the revealed seeds, using the same draw labels as the bot's rounds step, so
+ * an honest run comes out exactly as recorded.
+ *
+ * Members who left the server mid-run are in `run.dropped` as
+ * { id, spins, during }: `spins` is how many spins had landed when they left
+ * and `during` whether a spin was in the air (its wheel still showed them).
+ * A spin that lands on someone who has left is void and is spun again under
+ * the same label; those are in `run.voidLandings`.
+ */
+
+/**
+ * A run's participant weights by member id, as a spinModes favourOf function
+ */
+function favourFor(run) {
+    const favour = new Map(run.participantWeights
+        ? run.participants.map((participant, i) => [participant.id, run.participantWeights[i]])
+        : []);
+    return id => favour.get(id) ?? null;
+}
+
+/**
+ * Replay a recorded fair run from its seeds and member lists.
+ * Returns { returnedId, landedIds, voidIds, winnerId, teams }.
+ */
+function replayRun(run, serverSeed = run.fairness.serverSeed) {
+    const random = label => fairness.createRandom(serverSeed, run.fairness.clientSeed, label);
+    const result = { returnedId: null, landedIds: [], voidIds: [], winnerId: null, teams: null };
+
+    if (run.offWheel) {
+        const { candidates } = run.offWheel;
+        const index = spinWheel(candidates, run.offWheel.weights || null, random('return'));
+        result.returnedId = candidates[index].id;
+    }
+
+    // Runs from before spin modes were all last one standing
+    const draw = spinModes.createDraw(run.mode || spinModes.DEFAULT_SPIN_MODE, run.participants.map(p => p.id), {
+        teamCount: run.teams ? run.teams.length : undefined,
+    });
+    const favourOf = favourFor(run);
+
+    // Departures are applied in the order they were recorded, each once the
+    // draw has reached the point it happened at
+    const dropped = run.dropped || [];
+    let next = 0;
+    const due = during => next < dropped.length &&
+        dropped[next].spins === draw.spins && Boolean(dropped[next].during) === during;
+    const dropNext = () => {
+        const { id } = dropped[next++];
+        spinModes.keepMembers(draw, draw.remaining.filter(other => other !== id));
+    };
+
+    for (;;) {
+        while (due(false)) dropNext();
+        const spin = spinModes.nextSpin(draw, favourOf);
+        if (!spin) break;
+        const landedId = spin.ids[spinWheel(spin.ids, spin.segmentWeights, random(spin.label))];
+        while (due(true)) dropNext();
+        if (!draw.remaining.includes(landedId)) {
+            result.voidIds.push(landedId);
+            continue;
+        }
+        result.landedIds.push(landedId);
+        spinModes.recordLanding(draw, landedId);
+    }
+    result.winnerId = draw.winnerId;
+    result.teams = draw.teams;
+    return result;
+}
+
+module.exports = {
+    favourFor,
+    replayRun,
+};
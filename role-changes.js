@@ -0,0 +1,164 @@
+const { PermissionFlagsBits } = require('discord.js');
+
+/**
+ * Role changes for spins, one member/role pair at a time so a failure can be
+ * pinned on exactly the pair that failed.
+ *
+ *   preflightRoles(guild, config)  - can the bot manage the wheel roles at all?
+ *   applyRoleChanges(changes)      - apply [{ member, add, remove, reason }] in
+ *                                    batches, retrying rate limits and server
+ *                                    errors; resolves to every failed pair
+ *
+ * discord.js already queues requests to stay inside the route rate limits;
+ * retries here cover what still gets through (429s under a shared limit,
+ * Discord 5xx responses and dropped connections).
+ */
+
+// Members updated per batch, and the pause between batches
+const BATCH_SIZE = 5;
+const BATCH_PAUSE_MS = 1000;
+// Attempts per member/role pair, and the first retry delay (doubled each time)
+const MAX_ATTEMPTS = 4;
+const RETRY_BASE_MS = 1000;
+
+// Discord error codes worth explaining in plain words
+const ERROR_HINTS = {
+    10007: 'they left the server',
+    10011: 'the role was deleted',
+    50001: 'the bot has no access',
+    50013: "the bot's highest role is below this role, or it lacks Manage Roles",
+};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Milliseconds to wait before retrying after `error`, or null if retrying
+ * won't help (missing permissions, unknown member and the like)
+ */
+function retryDelay(error, attempt, baseMs = RETRY_BASE_MS) {
+    const backoff = baseMs * 2 ** (attempt - 1);
+    // RateLimitError from @discordjs/rest carries the wait in ms
+    if (typeof error.retryAfter === 'number') return Math.max(error.retryAfter, backoff);
+    if (error.status === 429 || error.status >= 500) return backoff;
+    if (['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET'].includes(error.code) || error.name === 'AbortError') {
+        return backoff;
+    }
+    return null;
+}
+
+// Why a pair failed, for people: the hint for known codes, else Discord's message
+function describeError(error) {
+    return ERROR_HINTS[error.code] || error.message;
+}
+
+/**
+ * Run `fn`, retrying transient failures with exponential backoff from
+ * `baseMs`. Rejects with the last error.
+ */
+async function withRetries(fn, attempts = MAX_ATTEMPTS, baseMs = RETRY_BASE_MS) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            const delay = retryDelay(error, attempt, baseMs);
+            if (delay === null || attempt >= attempts) throw error;
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Check that the bot can manage the wheel roles before a spin changes any.
+ * Returns { problems, warnings }: problems stop a real spin, warnings don't.
+ */
+function preflightRoles(guild, config, getRole) {
+    const problems = [];
+    const warnings = [];
+    const me = guild.members.me;
+
+    if (!me || !me.permissions.has(PermissionFlagsBits.ManageRoles)) {
+        problems.push("I need the 'Manage Roles' permission.");
+    }
+    const highest = me ? me.roles.highest : null;
+
+    const settings = [
+        ['onRole', 'On the wheel role', true],
+        ['offRole', 'Off the wheel role', true],
+        ['winnerRole', 'Winner role', false],
+    ];
+    for (const [key, label, required] of settings) {
+        const role = getRole(guild, config[key]);
+        if (!role) {
+            (required ? problems : warnings).push(`${label} \`${config[key]}\` does not exist (\`${key}\`).`);
+            continue;
+        }
+        if (role.id === guild.id) {
+            problems.push(`${label} is @everyone, which can't be given or taken (\`${key}\`).`);
+        } else if (role.managed) {
+            problems.push(`${label} **${role.name}** is managed by an integration and can't be assigned.`);
+        } else if (highest && highest.comparePositionTo(role) <= 0) {
+            problems.push(`${label} **${role.name}** is at or above my highest role **${highest.name}**; move my role above it.`);
+        }
+    }
+    return { problems, warnings };
+}
+
+/**
+ * Apply role changes: [{ member, add: [Role], remove: [Role], reason }].
+ * Members are updated BATCH_SIZE at a time; each member/role pair is retried
+ * on transient errors. Roles the member already has (or lacks) are skipped.
+ * Resolves to [{ change, memberId, name, roleId, roleName, action, error }]
+ * for every pair that failed; an empty list means everything applied.
+ */
+async function applyRoleChanges(changes, { batchSize = BATCH_SIZE, batchPauseMs = BATCH_PAUSE_MS } = {}) {
+    const failures = [];
+
+    async function applyOne(change) {
+        const { member, reason } = change;
+        const pairs = [
+            ...(change.add || []).filter(role => !member.roles.cache.has(role.id)).map(role => ['add', role]),
+            ...(change.remove || []).filter(role => member.roles.cache.has(role.id)).map(role => ['remove', role]),
+        ];
+        for (const [action, role] of pairs) {
+            try {
+                await withRetries(() => member.roles[action](role, reason));
+            } catch (error) {
+                console.error(`Could not ${action} ${role.name} for ${member.displayName}: ${error.message}`);
+                failures.push({
+                    change,
+                    memberId: member.id,
+                    name: member.displayName,
+                    roleId: role.id,
+                    roleName: role.name,
+                    action,
+                    error: describeError(error),
+                });
+            }
+        }
+    }
+
+    for (let i = 0; i < changes.length; i += batchSize) {
+        if (i > 0) await sleep(batchPauseMs);
+        await Promise.all(changes.slice(i, i + batchSize).map(applyOne));
+    }
+    return failures;
+}
+
+/**
+ * One line per failed pair: "Bob: couldn't remove Pig of the week (reason)"
+ */
+function formatRoleFailures(failures) {
+    return failures.map(f => `${f.name}: couldn't ${f.action} **${f.roleName}** (${f.error})`).join('\n');
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    preflightRoles,
+    applyRoleChanges,
+    withRetries,
+    retryDelay,
+    describeError,
+    formatRoleFailures,
+};
@@ -0,0 +1,235 @@
+const { dataPath, readJsonSync, writeJson } = require('./storage');
+const { THEMES } = require('./themes');
+
+const WHEELS_FILE = dataPath('saved-wheels.json');
+
+/**
+ * Saved wheel definitions for /wheel, per guild:
+ *   { name, ownerId, entries: [{ name, weight }], roleId, theme, mode, createdAt, updatedAt }
+ * A wheel spins its entries plus the members of `roleId` (either may be
+ * empty, not both). `theme` is a built-in theme name, or null for the guild's
+ * own look. Weights favour an entry: picked more often in single mode, knocked
+ * off less often in elimination mode.
+ *
+ * Entries are typed as comma-separated text, each optionally weighted with
+ * `=N`: "Pizza=2, Sushi, Tacos".
+ */
+
+// Single pick, or knock entries off until one is left
+const WHEEL_MODES = ['single', 'elimination'];
+
+const MAX_WHEELS_PER_GUILD = 50;
+const MAX_ENTRIES = 100;
+const MAX_ENTRY_LENGTH = 80;
+const MIN_ENTRY_WEIGHT = 0.1;
+const MAX_ENTRY_WEIGHT = 10;
+// Lowercase words joined by dashes, so names are easy to type: raid-boss
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// guildId -> { wheelName -> wheel }, loaded lazily from disk. Both levels are
+// plain objects, so look names up with Object.hasOwn: a wheel may be called
+// `constructor`.
+let store = null;
+
+function loadStore() {
+    if (!store) store = readJsonSync(WHEELS_FILE, {});
+    return store;
+}
+
+function guildWheels(guildId) {
+    const data = loadStore();
+    if (!Object.hasOwn(data, guildId)) data[guildId] = {};
+    return data[guildId];
+}
+
+/**
+ * Check a wheel name and return it in its stored (lowercase) form.
+ * Throws an Error with a user-facing message if it isn't usable.
+ */
+function normalizeName(raw) {
+    const name = String(raw || '').trim().toLowerCase();
+    if (!NAME_PATTERN.test(name)) {
+        throw new Error('Wheel names are 1-32 lowercase letters, digits, dashes or underscores, like `raid-boss`');
+    }
+    return name;
+}
+
+function parseWeight(raw, entryName) {
+    const weight = Number(raw);
+    if (!Number.isFinite(weight) || weight < MIN_ENTRY_WEIGHT || weight > MAX_ENTRY_WEIGHT) {
+        throw new Error(`The weight of \`${entryName}\` must be between ${MIN_ENTRY_WEIGHT} and ${MAX_ENTRY_WEIGHT}`);
+    }
+    return weight;
+}
+
+/**
+ * Parse comma-separated entries ("Pizza=2, Sushi") into [{ name, weight }].
+ * Blank items and exact repeats are dropped.
+ * Throws an Error with a user-facing message on a bad entry.
+ */
+function parseEntries(raw) {
+    const entries = [];
+    for (const item of String(raw || '').split(',')) {
+        const match = item.match(/^(.*?)(?:=\s*([^=]*))?$/);
+        const name = match[1].trim();
+        if (!name) continue;
+        if (name.length > MAX_ENTRY_LENGTH) throw new Error(`Entries can be at most ${MAX_ENTRY_LENGTH} characters long`);
+        const weight = match[2] !== undefined ? parseWeight(match[2].trim(), name) : 1;
+        if (!entries.some(entry => entry.name === name)) entries.push({ name, weight });
+    }
+    return entries;
+}
+
+/**
+ * Check a wheel definition (from a command or an imported file) and return a
+ * clean copy with only the known fields.
+ * Throws an Error with a user-facing message if it is invalid.
+ */
+function validateDefinition(definition) {
+    if (!definition || typeof definition !== 'object') throw new Error('A wheel definition must be a JSON object');
+    const name = normalizeName(definition.name);
+
+    if (definition.entries !== undefined && !Array.isArray(definition.entries)) throw new Error('`entries` must be a list');
+    const entries = [];
+    for (const entry of definition.entries || []) {
+        const entryName = typeof entry === 'string' ? entry.trim() : String((entry && entry.name) || '').trim();
+        if (!entryName) throw new Error('Every entry needs a name');
+        if (entryName.length > MAX_ENTRY_LENGTH) throw new Error(`Entries can be at most ${MAX_ENTRY_LENGTH} characters long`);
+        const weight = typeof entry === 'object' && entry.weight !== undefined ? parseWeight(entry.weight, entryName) : 1;
+        if (!entries.some(existing => existing.name === entryName)) entries.push({ name: entryName, weight });
+    }
+    if (entries.length > MAX_ENTRIES) throw new Error(`A wheel can have at most ${MAX_ENTRIES} entries`);
+
+    const roleId = definition.roleId ? String(definition.roleId) : null;
+    if (roleId && !/^\d+$/.test(roleId)) throw new Error('`roleId` must be a role id');
+    if (entries.length === 0 && !roleId) throw new Error('A wheel needs entries, a role, or both');
+
+    const mode = definition.mode || WHEEL_MODES[0];
+    if (!WHEEL_MODES.includes(mode)) throw new Error(`\`mode\` must be one of: ${WHEEL_MODES.join(', ')}`);
+    const theme = definition.theme || null;
+    if (theme && !Object.hasOwn(THEMES, theme)) throw new Error(`\`theme\` must be one of: ${Object.keys(THEMES).join(', ')}`);
+
+    return { name, entries, roleId, theme, mode };
+}
+
+/**
+ * A guild's saved wheels, by name
+ */
+function listWheels(guildId) {
+    return Object.values(guildWheels(guildId)).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getWheel(guildId, name) {
+    const wheels = guildWheels(guildId);
+    const key = String(name || '').trim().toLowerCase();
+    return Object.hasOwn(wheels, key) ? wheels[key] : null;
+}
+
+// The named wheel, or an Error with a user-facing message
+function requireWheel(guildId, name) {
+    const wheel = getWheel(guildId, name);
+    if (!wheel) throw new Error(`There is no saved wheel called \`${name}\``);
+    return wheel;
+}
+
+async function save() {
+    await writeJson(WHEELS_FILE, loadStore());
+}
+
+/**
+ * Save a new wheel owned by `ownerId`. `definition` is checked with
+ * validateDefinition. Resolves to the stored wheel.
+ */
+async function createWheel(guildId, definition, ownerId) {
+    const clean = validateDefinition(definition);
+    const wheels = guildWheels(guildId);
+    if (Object.hasOwn(wheels, clean.name)) throw new Error(`A wheel called \`${clean.name}\` already exists`);
+    if (Object.keys(wheels).length >= MAX_WHEELS_PER_GUILD) {
+        throw new Error(`A server can save at most ${MAX_WHEELS_PER_GUILD} wheels; delete one first`);
+    }
+    const now = new Date().toISOString();
+    wheels[clean.name] = { ...clean, ownerId, createdAt: now, updatedAt: now };
+    await save();
+    return wheels[clean.name];
+}
+
+/**
+ * Add entries to a wheel; an entry it already has gets the new weight.
+ * Resolves to the updated wheel.
+ */
+async function addEntries(guildId, name, entries) {
+    const wheel = requireWheel(guildId, name);
+    const added = entries.filter(entry => !wheel.entries.some(e => e.name === entry.name));
+    if (wheel.entries.length + added.length > MAX_ENTRIES) {
+        throw new Error(`A wheel can have at most ${MAX_ENTRIES} entries`);
+    }
+    for (const entry of entries) {
+        const existing = wheel.entries.find(e => e.name === entry.name);
+        if (existing) existing.weight = entry.weight;
+        else wheel.entries.push({ ...entry });
+    }
+    wheel.updatedAt = new Date().toISOString();
+    await save();
+    return wheel;
+}
+
+/**
+ * Remove an entry (matched case-insensitively). Resolves to the updated
+ * wheel, or throws if the entry isn't there or it was the wheel's last source.
+ */
+async function removeEntry(guildId, name, entryName) {
+    const wheel = requireWheel(guildId, name);
+    const wanted = String(entryName).trim().toLowerCase();
+    const index = wheel.entries.findIndex(entry => entry.name.toLowerCase() === wanted);
+    if (index === -1) throw new Error(`\`${wheel.name}\` has no entry \`${entryName}\``);
+    if (wheel.entries.length === 1 && !wheel.roleId) throw new Error('That is the last entry; delete the wheel instead');
+    wheel.entries.splice(index, 1);
+    wheel.updatedAt = new Date().toISOString();
+    await save();
+    return wheel;
+}
+
+async function deleteWheel(guildId, name) {
+    const wheel = requireWheel(guildId, name);
+    delete guildWheels(guildId)[wheel.name];
+    await save();
+    return wheel;
+}
+
+/**
+ * Copy a wheel under a new name, owned by whoever cloned it
+ */
+async function cloneWheel(guildId, name, newName, ownerId) {
+    const wheel = requireWheel(guildId, name);
+    return createWheel(guildId, { ...exportWheel(wheel), name: newName }, ownerId);
+}
+
+/**
+ * A wheel as plain JSON for sharing; ownership and timestamps stay behind
+ */
+function exportWheel(wheel) {
+    return {
+        name: wheel.name,
+        entries: wheel.entries.map(entry => ({ ...entry })),
+        roleId: wheel.roleId,
+        theme: wheel.theme,
+        mode: wheel.mode,
+    };
+}
+
+module.exports = {
+    WHEEL_MODES,
+    MAX_ENTRIES,
+    MAX_ENTRY_LENGTH,
+    normalizeName,
+    parseEntries,
+    validateDefinition,
+    listWheels,
+    getWheel,
+    createWheel,
+    addEntries,
+    removeEntry,
+    deleteWheel,
+    cloneWheel,
+    exportWheel,
+};
@@ -0,0 +1,349 @@
+const { dataPath, readJsonSync, writeJson } = require('./storage');
+
+const SCHEDULE_FILE = dataPath('schedules.json');
+
+// How far ahead nextOccurrence() searches before giving up
+const MAX_SEARCH_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A due run counts as "missed" (bot was offline) when it is noticed this late
+const MISSED_GRACE_MS = 5 * 60 * 1000;
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+function parseCronValue(value, field) {
+    const lower = value.toLowerCase();
+    if (field.names && field.names.includes(lower)) {
+        return field.names.indexOf(lower) + field.offset;
+    }
+    const n = Number(value);
+    if (!/^\d+$/.test(value) || n < field.min || n > field.max) {
+        throw new Error(`Invalid ${field.name} value "${value}" in cron expression`);
+    }
+    return n;
+}
+
+function parseCronField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${stepText}" in cron expression`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const [a, b] = range.split('-');
+            start = parseCronValue(a, field);
+            end = parseCronValue(b, field);
+        } else {
+            start = parseCronValue(range, field);
+            end = stepText === undefined ? start : field.max;
+        }
+        if (start > end) throw new Error(`Invalid range "${range}" in cron expression`);
+
+        for (let v = start; v <= end; v += step) values.add(v);
+    }
+    return values;
+}
+
+/**
+ * Parse a standard 5-field cron expression: minute hour day-of-month month day-of-week.
+ * Supports `*`, lists, ranges, steps and three-letter month/day names.
+ * Throws an Error describing the problem if the expression is invalid.
+ */
+function parseCron(expr) {
+    const parts = String(expr).trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+    const [minute, hour, dom, month, dow] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+    // 7 is an alias for Sunday
+    if (dow.has(7)) dow.add(0);
+    return {
+        minute, hour, dom, month, dow,
+        // Standard cron: when both day fields are restricted, either may match
+        domRestricted: parts[2] !== '*',
+        dowRestricted: parts[4] !== '*',
+    };
+}
+
+/**
+ * Throws a RangeError if `timeZone` isn't a valid IANA zone name
+ */
+function validateTimeZone(timeZone) {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+}
+
+const formatters = new Map(); // timeZone -> Intl.DateTimeFormat
+
+// Wall-clock fields of `date` in `timeZone`
+function zonedParts(date, timeZone) {
+    let formatter = formatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short',
+        });
+        formatters.set(timeZone, formatter);
+    }
+    const parts = {};
+    for (const { type, value } of formatter.formatToParts(date)) parts[type] = value;
+    return {
+        year: Number(parts.year),
+        minute: Number(parts.minute),
+        hour: Number(parts.hour),
+        day: Number(parts.day),
+        month: Number(parts.month),
+        weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+    };
+}
+
+function dayMatches(cron, p) {
+    const domOk = cron.dom.has(p.day);
+    const dowOk = cron.dow.has(p.weekday);
+    if (cron.domRestricted && cron.dowRestricted) return domOk || dowOk;
+    return domOk && dowOk;
+}
+
+// Offset of `timeZone` from UTC at instant `t` (ms, whole minutes)
+function zoneOffset(t, timeZone) {
+    const p = zonedParts(new Date(t), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(t / 60_000) * 60_000;
+}
+
+/**
+ * The instant a wall-clock time happens in `timeZone`. A time that happens
+ * twice when the clocks go back counts once, at its first occurrence; a time
+ * skipped when they go forward moves forward by the gap (02:30 becomes
+ * 03:30), so the run still happens that day.
+ */
+function zonedInstant(year, month, day, hour, minute, timeZone) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    // The offsets either side of any transition that day
+    const before = wall - zoneOffset(wall - DAY_MS, timeZone);
+    const after = wall - zoneOffset(wall + DAY_MS, timeZone);
+    const valid = [before, after].filter(t => t + zoneOffset(t, timeZone) === wall);
+    return valid.length > 0 ? Math.min(...valid) : before;
+}
+
+/**
+ * First time strictly after `after` matching the cron expression in `timeZone`,
+ * or null if there is none within a year.
+ */
+function nextOccurrence(expr, timeZone, after = new Date()) {
+    const cron = typeof expr === 'string' ? parseCron(expr) : expr;
+    const hours = [...cron.hour].sort((a, b) => a - b);
+    const minutes = [...cron.minute].sort((a, b) => a - b);
+    const start = zonedParts(after, timeZone);
+
+    // Walk the zone's calendar days, starting with the one `after` falls on
+    for (let i = 0; i <= MAX_SEARCH_DAYS; i++) {
+        const date = new Date(Date.UTC(start.year, start.month - 1, start.day + i));
+        const p = { day: date.getUTCDate(), month: date.getUTCMonth() + 1, weekday: date.getUTCDay() };
+        if (!cron.month.has(p.month) || !dayMatches(cron, p)) continue;
+        for (const hour of hours) {
+            // Skip whole hours that are already past
+            if (zonedInstant(date.getUTCFullYear(), p.month, p.day, hour, 59, timeZone) <= after.getTime()) continue;
+            for (const minute of minutes) {
+                const t = zonedInstant(date.getUTCFullYear(), p.month, p.day, hour, minute, timeZone);
+                if (t > after.getTime()) return new Date(t);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * The next `count` run times of a schedule, starting with its pending run
+ */
+function upcomingRuns(schedule, count = 3) {
+    if (!schedule.nextRunAt) return [];
+    const cron = parseCron(schedule.cron);
+    const runs = [new Date(schedule.nextRunAt)];
+    while (runs.length < count) {
+        const next = nextOccurrence(cron, schedule.timezone, runs[runs.length - 1]);
+        if (!next) break;
+        runs.push(next);
+    }
+    return runs;
+}
+
+// guildId -> schedule, loaded lazily from disk
+let store = null;
+
+function loadStore() {
+    if (!store) store = readJsonSync(SCHEDULE_FILE, {});
+    return store;
+}
+
+async function saveStore() {
+    await writeJson(SCHEDULE_FILE, loadStore());
+}
+
+/**
+ * Schedule shape:
+ *   { cron, timezone, channelId, reminderMinutes, paused,
+ *     nextRunAt, lastRunAt, reminderSentFor }
+ */
+function getSchedule(guildId) {
+    return loadStore()[guildId] || null;
+}
+
+/**
+ * Create or replace a guild's schedule. Throws on an invalid cron or timezone.
+ */
+async function setSchedule(guildId, { cron, timezone, channelId, reminderMinutes = 15 }) {
+    validateTimeZone(timezone);
+    const next = nextOccurrence(cron, timezone);
+    if (!next) throw new Error('That cron expression never runs within the next year');
+
+    const previous = getSchedule(guildId);
+    loadStore()[guildId] = {
+        cron,
+        timezone,
+        channelId,
+        reminderMinutes,
+        paused: false,
+        nextRunAt: next.toISOString(),
+        lastRunAt: previous ? previous.lastRunAt : null,
+        reminderSentFor: null,
+    };
+    await saveStore();
+    return getSchedule(guildId);
+}
+
+async function removeSchedule(guildId) {
+    const existed = Boolean(getSchedule(guildId));
+    delete loadStore()[guildId];
+    await saveStore();
+    return existed;
+}
+
+/**
+ * Pause or resume a schedule. Resuming picks the next run after now, so runs
+ * that fell inside the pause are not treated as missed.
+ */
+async function setPaused(guildId, paused) {
+    const schedule = getSchedule(guildId);
+    if (!schedule) return null;
+    schedule.paused = paused;
+    if (!paused) {
+        const next = nextOccurrence(schedule.cron, schedule.timezone);
+        schedule.nextRunAt = next ? next.toISOString() : null;
+    }
+    await saveStore();
+    return schedule;
+}
+
+/**
+ * Skip the pending run. Returns the skipped run time, or null if nothing was pending.
+ */
+async function skipNext(guildId) {
+    const schedule = getSchedule(guildId);
+    if (!schedule || !schedule.nextRunAt) return null;
+    const skipped = new Date(schedule.nextRunAt);
+    const next = nextOccurrence(schedule.cron, schedule.timezone, skipped);
+    schedule.nextRunAt = next ? next.toISOString() : null;
+    await saveStore();
+    return skipped;
+}
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Check every schedule once: send due reminders and fire due runs.
+ * A run is marked done (and the next one computed) before its handler is
+ * called, so a crash during the spin never makes it fire twice. Runs are
+ * started, not awaited: a spin takes minutes and must not hold up other
+ * guilds (the bot keeps one spin per guild at a time).
+ */
+async function tick(handlers) {
+    if (ticking) return;
+    ticking = true;
+    try {
+        const now = Date.now();
+        for (const [guildId, schedule] of Object.entries(loadStore())) {
+            if (schedule.paused || !schedule.nextRunAt) continue;
+            const runAt = Date.parse(schedule.nextRunAt);
+
+            if (now >= runAt) {
+                const next = nextOccurrence(schedule.cron, schedule.timezone, new Date(now));
+                schedule.lastRunAt = new Date(now).toISOString();
+                schedule.nextRunAt = next ? next.toISOString() : null;
+                await saveStore();
+
+                const missed = now - runAt > MISSED_GRACE_MS;
+                Promise.resolve()
+                    .then(() => handlers.onDue(guildId, schedule, { scheduledFor: new Date(runAt), missed }))
+                    .catch(err => console.error(`Scheduled spin for guild ${guildId} failed: ${err.message}`));
+                continue;
+            }
+
+            const reminderAt = runAt - schedule.reminderMinutes * 60_000;
+            if (schedule.reminderMinutes > 0 && now >= reminderAt && schedule.reminderSentFor !== schedule.nextRunAt) {
+                schedule.reminderSentFor = schedule.nextRunAt;
+                await saveStore();
+                try {
+                    await handlers.onReminder(guildId, schedule, { scheduledFor: new Date(runAt) });
+                } catch (err) {
+                    console.error(`Scheduled spin reminder for guild ${guildId} failed: ${err.message}`);
+                }
+            }
+        }
+    } finally {
+        ticking = false;
+    }
+}
+
+/**
+ * Start polling the schedules. The first check runs immediately, which is
+ * what picks up runs missed while the bot was offline.
+ * handlers: { onReminder(guildId, schedule, info), onDue(guildId, schedule, info) }
+ */
+function startScheduler(handlers, intervalMs = 30_000) {
+    if (timer) return;
+    const run = () => tick(handlers).catch(err => console.error(`Scheduler error: ${err.message}`));
+    timer = setInterval(run, intervalMs);
+    run();
+}
+
+function stopScheduler() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    parseCron,
+    nextOccurrence,
+    validateTimeZone,
+    upcomingRuns,
+    getSchedule,
+    setSchedule,
+    removeSchedule,
+    setPaused,
+    skipNext,
+    tick,
+    startScheduler,
+    stopScheduler,
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { dataPath, readJsonSync, writeJson } = require('./storage');
+
+const SESSIONS_FILE = dataPath('spin-sessions.json');
+
+// Finished sessions kept per guild (older ones are pruned on save)
+const KEEP_FINISHED_PER_GUILD = 20;
+
+/**
+ * A spin session is the persisted state machine behind one real spin.
+ *
+ * status: running     - a process is driving it right now
+ *         interrupted - the process died or a step threw; waiting to be resumed or rolled back
+ *         completed | cancelled | aborted (rolled back) | undone (reverted with /spin-undo)
+ * step:   return -> roster -> rounds -> final
+ *
+ * `run` is the spin history record under construction, `roleChanges` every
+ * role mutation made so far (so it can be reverted) and `log` a
+ * human-readable step log. `spinning` is set while a rounds spin is in the
+ * air, so members leaving then are noted as such (see replay.js).
+ */
+const FINISHED_STATUSES = ['completed', 'cancelled', 'aborted', 'undone'];
+
+// sessionId -> session, loaded lazily from disk
+let store = null;
+
+function loadStore() {
+    if (!store) store = readJsonSync(SESSIONS_FILE, {});
+    return store;
+}
+
+// Drop the oldest finished sessions beyond the per-guild limit
+function prune() {
+    const byGuild = new Map();
+    for (const session of Object.values(loadStore())) {
+        if (!FINISHED_STATUSES.includes(session.status)) continue;
+        if (!byGuild.has(session.guildId)) byGuild.set(session.guildId, []);
+        byGuild.get(session.guildId).push(session);
+    }
+    for (const finished of byGuild.values()) {
+        finished.sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+        for (const session of finished.slice(0, -KEEP_FINISHED_PER_GUILD)) {
+            delete store[session.id];
+        }
+    }
+}
+
+async function saveSession(session) {
+    session.updatedAt = new Date().toISOString();
+    loadStore()[session.id] = session;
+    prune();
+    await writeJson(SESSIONS_FILE, store);
+}
+
+/**
+ * Create and persist a new running session
+ */
+async function createSession({ guildId, channelId, initiatorId, options, fairness, roster, run }) {
+    const now = new Date().toISOString();
+    const session = {
+        id: crypto.randomBytes(6).toString('hex'),
+        guildId,
+        channelId,
+        initiatorId,
+        status: 'running',
+        step: 'return',
+        options,
+        fairness: fairness || null,
+        // Member ids locked in the pre-spin lobby; null spins whoever is On the wheel
+        roster: roster || null,
+        run,
+        // Spin mode state (see spin-modes.js), filled in when the rounds step starts
+        draw: null,
+        roleChanges: [],
+        log: [],
+        createdAt: now,
+        updatedAt: now,
+    };
+    session.log.push({ at: now, message: 'Session started' });
+    await saveSession(session);
+    return session;
+}
+
+function getSession(id) {
+    return loadStore()[id] || null;
+}
+
+/**
+ * The guild's unfinished (running or interrupted) session, if any
+ */
+function getUnfinishedSession(guildId) {
+    return Object.values(loadStore()).find(session =>
+        session.guildId === guildId && !FINISHED_STATUSES.includes(session.status)
+    ) || null;
+}
+
+/**
+ * Most recently started finished session for a guild
+ */
+function getLastFinishedSession(guildId) {
+    const finished = Object.values(loadStore())
+        .filter(session => session.guildId === guildId && FINISHED_STATUSES.includes(session.status))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    return finished[finished.length - 1] || null;
+}
+
+/**
+ * Most recently started session /spin-undo can revert: completed, not a dry
+ * run, and with role changes recorded
+ */
+function getLastUndoableSession(guildId) {
+    const undoable = Object.values(loadStore())
+        .filter(session => session.guildId === guildId && session.status === 'completed' &&
+            !session.options.dryRun && session.roleChanges.length > 0)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    return undoable[undoable.length - 1] || null;
+}
+
+/**
+ * Sessions left `running` by a previous process. Call once at startup,
+ * before any new spin starts; they are marked interrupted.
+ */
+async function recoverInterrupted() {
+    const interrupted = Object.values(loadStore()).filter(session => session.status === 'running');
+    for (const session of interrupted) {
+        session.status = 'interrupted';
+        session.log.push({ at: new Date().toISOString(), message: 'Bot restarted while the spin was running' });
+        await saveSession(session);
+    }
+    return interrupted;
+}
+
+/**
+ * Append an entry to the step log and persist
+ */
+async function logStep(session, message) {
+    session.log.push({ at: new Date().toISOString(), message });
+    await saveSession(session);
+}
+
+/**
+ * Move to the next step and persist
+ */
+async function advance(session, step, message) {
+    session.step = step;
+    await logStep(session, message || `Entered step ${step}`);
+}
+
+async function setStatus(session, status, message) {
+    session.status = status;
+    await logStep(session, message || `Session ${status}`);
+}
+
+module.exports = {
+    FINISHED_STATUSES,
+    createSession,
+    saveSession,
+    getSession,
+    getUnfinishedSession,
+    getLastFinishedSession,
+    getLastUndoableSession,
+    recoverInterrupted,
+    logStep,
+    advance,
+    setStatus,
+};
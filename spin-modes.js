@@ -0,0 +1,202 @@
+const weights = require('./weights');
+
+/**
+ * How the On-the-wheel step of a real spin is decided.
+ *
+ *   last-standing - knock one member off per spin until one is left (N-1 spins)
+ *   first-pick    - one spin; whoever it lands on wins
+ *   best-of-three - first member landed on twice wins; if three spins land on
+ *                   three different members, a last spin between them decides
+ *   team-draft    - spin members off the wheel one at a time, dealing them
+ *                   round-robin into K teams; nobody wins and no roles change
+ *
+ * A draw is the mode's state, kept as plain data so it can be persisted with
+ * the spin session:
+ *   { mode, remaining: [id], spins, hits: { id: n }, tiebreak: [id] | null,
+ *     teams: [[id]] | null, winnerId, done }
+ * The bot asks nextSpin() what to put on the wheel, spins it and reports where
+ * it landed with recordLanding(), until `done`.
+ */
+const SPIN_MODES = {
+    'last-standing': { label: 'Last one standing', hasWinner: true },
+    'first-pick': { label: 'First pick wins', hasWinner: true },
+    'best-of-three': { label: 'Best of three hits', hasWinner: true },
+    'team-draft': { label: 'Team draft', hasWinner: false },
+};
+
+const DEFAULT_SPIN_MODE = 'last-standing';
+
+// Hits needed to win best-of-three, and spins before it goes to a tiebreak
+const BEST_OF_HITS = 2;
+const BEST_OF_SPINS = 3;
+
+/**
+ * Start a draw for `ids` (the members On the wheel).
+ * options: { teamCount } - teams for team-draft, capped at the member count
+ */
+function createDraw(mode, ids, { teamCount = 2 } = {}) {
+    if (!SPIN_MODES[mode]) throw new Error(`Unknown spin mode: ${mode}`);
+    const draw = {
+        mode,
+        remaining: [...ids],
+        spins: 0,
+        hits: {},
+        tiebreak: null,
+        teams: mode === 'team-draft' ? Array.from({ length: Math.min(teamCount, ids.length) }, () => []) : null,
+        winnerId: null,
+        done: false,
+    };
+    settle(draw);
+    return draw;
+}
+
+// Draftees so far, in pick order across the teams
+function draftedCount(draw) {
+    return draw.teams.reduce((sum, team) => sum + team.length, 0);
+}
+
+// Finish the draw if nothing is left to spin for
+function settle(draw) {
+    if (draw.done) return;
+    if (draw.mode === 'team-draft') {
+        // The last member joins the next team without a spin
+        if (draw.remaining.length === 1) {
+            draw.teams[draftedCount(draw) % draw.teams.length].push(draw.remaining.pop());
+        }
+        draw.done = draw.remaining.length === 0;
+        return;
+    }
+    const pool = draw.tiebreak || draw.remaining;
+    if (pool.length === 1) {
+        draw.winnerId = pool[0];
+        draw.done = true;
+    } else if (pool.length === 0) {
+        draw.done = true;
+    }
+}
+
+/**
+ * The next spin: { ids, segmentWeights, label }, or null once the draw is done.
+ * `favourOf(id)` is the member's weight (see weights.js), or null for an
+ * unweighted spin. `label` names the spin's random draw for fair spins.
+ */
+function nextSpin(draw, favourOf = () => null) {
+    if (draw.done) return null;
+    const ids = draw.tiebreak || draw.remaining;
+    let segmentWeights = null;
+    if (draw.mode !== 'team-draft' && ids.some(id => favourOf(id) !== null)) {
+        const favour = ids.map(id => favourOf(id) ?? 1);
+        // Eliminations land on the least favoured; every other mode on the most
+        segmentWeights = draw.mode === 'last-standing' ? weights.eliminationWeights(favour) : favour;
+    }
+    return { ids, segmentWeights, label: `round-${draw.spins + 1}` };
+}
+
+/**
+ * Record that the current spin landed on `id` and advance the draw.
+ * Returns what happened:
+ *   { kind: 'eliminated', id, remaining }
+ *   { kind: 'picked', id }                       (the winner)
+ *   { kind: 'hit', id, hits, tie }               (best-of-three; tie: ids going to a last spin, or null)
+ *   { kind: 'drafted', id, team, last }          (last: { id, team } dealt without a spin, or null)
+ */
+function recordLanding(draw, id) {
+    draw.spins++;
+    switch (draw.mode) {
+        case 'last-standing':
+            draw.remaining = draw.remaining.filter(other => other !== id);
+            settle(draw);
+            return { kind: 'eliminated', id, remaining: draw.remaining.length };
+
+        case 'first-pick':
+            draw.winnerId = id;
+            draw.done = true;
+            return { kind: 'picked', id };
+
+        case 'best-of-three': {
+            if (draw.tiebreak) {
+                draw.winnerId = id;
+                draw.done = true;
+                return { kind: 'picked', id };
+            }
+            draw.hits[id] = (draw.hits[id] || 0) + 1;
+            if (draw.hits[id] >= BEST_OF_HITS) {
+                draw.winnerId = id;
+                draw.done = true;
+            } else if (draw.spins >= BEST_OF_SPINS) {
+                const most = Math.max(...Object.values(draw.hits));
+                draw.tiebreak = draw.remaining.filter(other => draw.hits[other] === most);
+                settle(draw);
+            }
+            return { kind: 'hit', id, hits: draw.hits[id], tie: draw.done ? null : draw.tiebreak };
+        }
+
+        case 'team-draft': {
+            const team = draftedCount(draw) % draw.teams.length;
+            draw.teams[team].push(id);
+            draw.remaining = draw.remaining.filter(other => other !== id);
+            const lastId = draw.remaining.length === 1 ? draw.remaining[0] : null;
+            settle(draw);
+            const last = lastId ? { id: lastId, team: draw.teams.findIndex(members => members.includes(lastId)) } : null;
+            return { kind: 'drafted', id, team, last };
+        }
+
+        default:
+            throw new Error(`Unknown spin mode: ${draw.mode}`);
+    }
+}
+
+/**
+ * Drop members who are no longer around (they left the server mid-spin).
+ * Drafted members stay on their team.
+ */
+function keepMembers(draw, ids) {
+    const present = new Set(ids);
+    draw.remaining = draw.remaining.filter(id => present.has(id));
+    if (draw.tiebreak) draw.tiebreak = draw.tiebreak.filter(id => present.has(id));
+    settle(draw);
+}
+
+/**
+ * How many spins the draw should take in total, for progress bars
+ */
+function expectedSpins(mode, count) {
+    if (mode === 'first-pick') return 1;
+    if (mode === 'best-of-three') return BEST_OF_SPINS;
+    return count - 1;
+}
+
+/**
+ * Estimate each member's chance of winning a draw in `mode` given their
+ * weights, by playing the draw out many times. Null for team-draft, which has
+ * no winner.
+ */
+function estimateWinChances(mode, memberWeights, simulations = 5000) {
+    if (!SPIN_MODES[mode].hasWinner) return null;
+    if (mode === 'first-pick') return weights.toProbabilities(memberWeights);
+    if (mode === 'last-standing') return weights.estimateWinChances(memberWeights, simulations);
+
+    const ids = memberWeights.map((_, i) => i);
+    const wins = new Array(memberWeights.length).fill(0);
+    for (let s = 0; s < simulations; s++) {
+        const draw = createDraw(mode, ids);
+        let spin;
+        while ((spin = nextSpin(draw, id => memberWeights[id]))) {
+            recordLanding(draw, spin.ids[weights.pickIndex(spin.segmentWeights)]);
+        }
+        wins[draw.winnerId]++;
+    }
+    return wins.map(count => count / simulations);
+}
+
+module.exports = {
+    SPIN_MODES,
+    DEFAULT_SPIN_MODE,
+    BEST_OF_HITS,
+    createDraw,
+    nextSpin,
+    recordLanding,
+    keepMembers,
+    expectedSpins,
+    estimateWinChances,
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+
+// All persistent bot state lives under one directory (overridable for deployments)
+const DATA_DIR = process.env.SPINNY_DATA_DIR || path.join(__dirname, 'data');
+
+/**
+ * Absolute path of a file inside the data directory
+ */
+function dataPath(fileName) {
+    return path.join(DATA_DIR, fileName);
+}
+
+/**
+ * Synchronously read a JSON file, returning `fallback` if it doesn't exist yet.
+ */
+function readJsonSync(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return fallback;
+        throw err;
+    }
+}
+
+// file -> promise of the last queued operation on it
+const fileQueues = new Map();
+let tempCounter = 0;
+
+/**
+ * Run `task` once every operation queued earlier on `file` has settled, so
+ * writes to one file never overlap and land in the order they were made.
+ * Resolves to what `task` resolves to.
+ */
+function queueFileOperation(file, task) {
+    const previous = fileQueues.get(file) || Promise.resolve();
+    const result = previous.then(task, task);
+    const settled = result.catch(() => {});
+    fileQueues.set(file, settled);
+    // Forget the queue once it drains, so idle files don't pile up
+    settled.then(() => {
+        if (fileQueues.get(file) === settled) fileQueues.delete(file);
+    });
+    return result;
+}
+
+/**
+ * A temp file next to `file`, unique to this write
+ */
+function tempPath(file) {
+    return `${file}.${process.pid}.${++tempCounter}.tmp`;
+}
+
+/**
+ * Write a JSON file atomically (write to a temp file, then rename over the target)
+ * so a crash mid-write never leaves a truncated file behind. Writes to the same
+ * file are queued; the data is serialized right away, so each write saves the
+ * state as it was when called.
+ */
+async function writeJson(file, data) {
+    const json = JSON.stringify(data, null, 2);
+    return queueFileOperation(file, async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const tmp = tempPath(file);
+        await fs.promises.writeFile(tmp, json, 'utf8');
+        await fs.promises.rename(tmp, file);
+    });
+}
+
+module.exports = {
+    DATA_DIR,
+    dataPath,
+    readJsonSync,
+    writeJson,
+    queueFileOperation,
+    tempPath,
+};
@@ -1,112 +1,38 @@
-const { createCanvas } = require('canvas');
+const assert = require('assert');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
-// Colors for the wheel (same as bot.js)
-const WHEEL_COLORS = [
-    [255, 100, 100],  // Red
-    [100, 255, 100],  // Green
-    [100, 100, 255],  // Blue
-    [255, 255, 100],  // Yellow
-    [255, 100, 255],  // Magenta
-    [100, 255, 255],  // Cyan
-    [255, 200, 100],  // Orange
-    [200, 100, 255],  // Purple
-];
-
-/**
- * Create a visual representation of the wheel with names
- */
-function createWheelImage(names, winnerIndex = null, size = 800) {
-    const canvas = createCanvas(size, size);
-    const ctx = canvas.getContext('2d');
-
-    const centerX = size / 2;
-    const centerY = size / 2;
-    const radius = size / 2 - 20;
-
-    ctx.fillStyle = 'white';
-    ctx.fillRect(0, 0, size, size);
-
-    if (!names || names.length === 0) {
-        ctx.fillStyle = 'black';
-        ctx.font = '30px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText('No names', centerX, centerY);
-        return canvas;
-    }
-
-    const numSegments = names.length;
-    const anglePerSegment = (2 * Math.PI) / numSegments;
-
-    for (let i = 0; i < names.length; i++) {
-        const startAngle = i * anglePerSegment - Math.PI / 2;
-        const endAngle = (i + 1) * anglePerSegment - Math.PI / 2;
-
-        let color = WHEEL_COLORS[i % WHEEL_COLORS.length];
-        if (winnerIndex !== null && i === winnerIndex) {
-            color = color.map(c => Math.min(255, c + 50));
-        }
-
-        ctx.beginPath();
-        ctx.moveTo(centerX, centerY);
-        ctx.arc(centerX, centerY, radius, startAngle, endAngle);
-        ctx.closePath();
-        ctx.fillStyle = `rgb(${color[0]}, ${color[1]}, ${color[2]})`;
-        ctx.fill();
-        ctx.strokeStyle = 'black';
-        ctx.lineWidth = 2;
-        ctx.stroke();
-
-        const midAngle = (startAngle + endAngle) / 2;
-        const textRadius = radius * 0.7;
-        const textX = centerX + textRadius * Math.cos(midAngle);
-        const textY = centerY + textRadius * Math.sin(midAngle);
-
-        const displayName = names[i].length > 15 ? names[i].substring(0, 15) + '...' : names[i];
-
-        ctx.save();
-        ctx.translate(textX, textY);
-        ctx.rotate(midAngle + Math.PI / 2);
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillStyle = 'black';
-        ctx.font = 'bold 20px Arial';
-        ctx.fillText(displayName, 0, 0);
-        ctx.restore();
-    }
-
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, 30, 0, 2 * Math.PI);
-    ctx.fillStyle = 'white';
-    ctx.fill();
-    ctx.strokeStyle = 'black';
-    ctx.lineWidth = 3;
-    ctx.stroke();
-
-    ctx.beginPath();
-    ctx.moveTo(centerX, 20);
-    ctx.lineTo(centerX - 30, 50);
-    ctx.lineTo(centerX + 30, 50);
-    ctx.closePath();
-    ctx.fillStyle = 'red';
-    ctx.fill();
-    ctx.strokeStyle = 'black';
-    ctx.lineWidth = 2;
-    ctx.stroke();
-
-    return canvas;
-}
-
-/**
- * Simulate the wheel spinning process
- */
-function spinWheel(names) {
-    if (!names || names.length === 0) {
-        return null;
-    }
-    return Math.floor(Math.random() * names.length);
-}
+// Modules that persist state write to a throwaway data directory
+process.env.SPINNY_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'spinny-test-'));
+
+const {
+    POINTER_ANGLE,
+    segmentColor,
+    landingRotation,
+    planSpin,
+    segmentAtPointer,
+    createWheelImage,
+    createSpinningAnimation,
+    renderSpin,
+    spinWheel,
+    shuffleArray,
+    orderedForWinner,
+} = require('./wheel');
+const { createRandom } = require('./fairness');
+const { THEMES, resolveTheme } = require('./themes');
+const { isFormatAvailable } = require('./encoders');
+const { EASINGS, rotationAt } = require('./motion');
+const { graphemes, truncateToFit } = require('./labels');
+const spinModes = require('./spin-modes');
+const scheduler = require('./scheduler');
+const savedWheels = require('./saved-wheels');
+const permissions = require('./permissions');
+const audit = require('./audit');
+const lifecycle = require('./lifecycle');
+const history = require('./history');
+const { replayRun } = require('./replay');
+const roleChanges = require('./role-changes');
 
 // Test data
 const testNamesOnWheel = [
@@ -131,78 +57,722 @@ const testNamesOffWheel = [
     "Paul"
 ];
 
+const smallGroup = ["Alice", "Bob", "Charlie"];
+
 // Create output directory
 const outputDir = path.join(__dirname, 'test_output');
 if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir);
 }
 
-console.log('🎡 Testing wheel spinner with fake data...\n');
-
-// Test 1: Wheel with "On the wheel" users
-console.log('Test 1: Creating wheel with "On the wheel" users...');
-const onWheelCanvas = createWheelImage(testNamesOnWheel);
-const onWheelBuffer = onWheelCanvas.toBuffer('image/png');
-fs.writeFileSync(path.join(outputDir, 'on_wheel.png'), onWheelBuffer);
-console.log('✅ Saved: test_output/on_wheel.png\n');
-
-// Test 2: Wheel with winner highlighted
-console.log('Test 2: Creating wheel with winner highlighted...');
-const winnerIndex = spinWheel(testNamesOnWheel);
-console.log(`Winner: ${testNamesOnWheel[winnerIndex]}`);
-const winnerCanvas = createWheelImage(testNamesOnWheel, winnerIndex);
-const winnerBuffer = winnerCanvas.toBuffer('image/png');
-fs.writeFileSync(path.join(outputDir, 'wheel_with_winner.png'), winnerBuffer);
-console.log('✅ Saved: test_output/wheel_with_winner.png\n');
-
-// Test 3: Simulate the full spinning process
-console.log('Test 3: Simulating full spinning process...');
-let remainingNames = [...testNamesOnWheel];
-let round = 1;
-
-while (remainingNames.length > 1) {
-    const winnerIdx = spinWheel(remainingNames);
-    const winner = remainingNames[winnerIdx];
-    
-    console.log(`Round ${round}: ${winner} is removed`);
-    
-    // Save wheel image for this round
-    const roundCanvas = createWheelImage(remainingNames, winnerIdx);
-    const roundBuffer = roundCanvas.toBuffer('image/png');
-    fs.writeFileSync(path.join(outputDir, `round_${round}.png`), roundBuffer);
-    
-    // Remove winner
-    remainingNames.splice(winnerIdx, 1);
-    round++;
+function save(fileName, buffer) {
+    fs.writeFileSync(path.join(outputDir, fileName), buffer);
+    console.log(`✅ Saved: test_output/${fileName}\n`);
 }
 
-console.log(`\n🏆 Final Winner: ${remainingNames[0]}`);
-const finalCanvas = createWheelImage([remainingNames[0]], 0);
-const finalBuffer = finalCanvas.toBuffer('image/png');
-fs.writeFileSync(path.join(outputDir, 'final_winner.png'), finalBuffer);
-console.log('✅ Saved: test_output/final_winner.png\n');
+// Deterministic stand-in for Math.random so failures can be reproduced
+const seededRandom = label => createRandom('test-wheel', 'seed', label);
 
-// Test 4: "Off the wheel" users (if 6+)
-if (testNamesOffWheel.length >= 6) {
-    console.log('Test 4: Creating wheel for "Off the wheel" users (6+ required)...');
-    const offWheelWinnerIdx = spinWheel(testNamesOffWheel);
-    console.log(`Winner to bring back: ${testNamesOffWheel[offWheelWinnerIdx]}`);
-    const offWheelCanvas = createWheelImage(testNamesOffWheel, offWheelWinnerIdx);
-    const offWheelBuffer = offWheelCanvas.toBuffer('image/png');
-    fs.writeFileSync(path.join(outputDir, 'off_wheel_spin.png'), offWheelBuffer);
-    console.log('✅ Saved: test_output/off_wheel_spin.png\n');
+/**
+ * Colour of the pixel under the pointer between the hub and the labels
+ * (which start at 45% of the radius). The wheel is always `height` across;
+ * a legend only ever widens the canvas.
+ */
+function colorUnderPointer(canvas) {
+    const size = canvas.height;
+    const radius = size / 2 - 20;
+    const x = Math.round(size / 2 + radius * 0.3 * Math.cos(POINTER_ANGLE));
+    const y = Math.round(size / 2 + radius * 0.3 * Math.sin(POINTER_ANGLE));
+    const [r, g, b] = canvas.getContext('2d').getImageData(x, y, 1, 1).data;
+    return [r, g, b];
 }
 
-// Test 5: Small wheel (2-3 people)
-console.log('Test 5: Testing with small group (3 people)...');
-const smallGroup = ["Alice", "Bob", "Charlie"];
-const smallCanvas = createWheelImage(smallGroup);
-const smallBuffer = smallCanvas.toBuffer('image/png');
-fs.writeFileSync(path.join(outputDir, 'small_wheel.png'), smallBuffer);
-console.log('✅ Saved: test_output/small_wheel.png\n');
+/**
+ * Render the wheel where the spin animation ends and check the pointer sits
+ * on the winner's (highlighted) slice
+ */
+function assertLandsOn(names, winnerIndex, segmentWeights = null, style = {}) {
+    const rotation = landingRotation(names.length, winnerIndex, segmentWeights);
+    assert.strictEqual(segmentAtPointer(names.length, rotation, segmentWeights), winnerIndex);
+
+    const canvas = createWheelImage(names, winnerIndex, 600, rotation, segmentWeights, style);
+    assert.deepStrictEqual(
+        colorUnderPointer(canvas),
+        segmentColor(winnerIndex, true, style.theme ? style.theme.palette : undefined),
+        `pointer should land on ${names[winnerIndex]} (slice ${winnerIndex} of ${names.length})`
+    );
+    return canvas;
+}
+
+async function main() {
+    console.log('🎡 Testing wheel spinner with fake data...\n');
 
-console.log('✨ All tests complete! Check the test_output/ folder for generated images.');
+    // Test 1: Wheel with "On the wheel" users
+    console.log('Test 1: Creating wheel with "On the wheel" users...');
+    save('on_wheel.png', createWheelImage(testNamesOnWheel).toBuffer('image/png'));
+
+    // Test 2: Wheel with winner highlighted, stopped under the pointer
+    console.log('Test 2: Landing the pointer on every slice...');
+    for (let i = 0; i < testNamesOnWheel.length; i++) {
+        assertLandsOn(testNamesOnWheel, i);
+    }
+    const winnerIndex = spinWheel(testNamesOnWheel);
+    console.log(`Winner: ${testNamesOnWheel[winnerIndex]}`);
+    save('wheel_with_winner.png', assertLandsOn(testNamesOnWheel, winnerIndex).toBuffer('image/png'));
+
+    // Test 3: Weighted slices
+    console.log('Test 3: Landing on weighted slices...');
+    const segmentWeights = [4, 0.25, 1, 2, 0.5, 1, 3, 0.1];
+    for (let i = 0; i < testNamesOnWheel.length; i++) {
+        assertLandsOn(testNamesOnWheel, i, segmentWeights);
+    }
+    save('weighted_wheel.png', createWheelImage(testNamesOnWheel, null, 600, 0, segmentWeights).toBuffer('image/png'));
+
+    // Test 4: Motion plans vary but always land on the winner
+    console.log('Test 4: Checking randomized motion (rotations, landing offset, near misses)...');
+    const rotationCounts = new Set();
+    let nearMisses = 0;
+    for (const easing of [...Object.keys(EASINGS), 'random']) {
+        for (let i = 0; i < testNamesOnWheel.length; i++) {
+            for (const weightsForPlan of [null, segmentWeights]) {
+                const plan = planSpin(testNamesOnWheel.length, i, weightsForPlan, { easing, overshootChance: 0.5 });
+                rotationCounts.add(plan.rotations);
+                assert.strictEqual(rotationAt(plan.finalRotation, plan, 1), plan.finalRotation);
+                assert.strictEqual(segmentAtPointer(testNamesOnWheel.length, plan.finalRotation, weightsForPlan), i);
+                if (plan.overshoot > 0) {
+                    // The near miss shows the previous slice under the pointer at the peak
+                    const peak = plan.finalRotation + plan.overshoot;
+                    assert.notStrictEqual(segmentAtPointer(testNamesOnWheel.length, peak, weightsForPlan), i);
+                    nearMisses++;
+                }
+            }
+        }
+    }
+    assert.ok(rotationCounts.size > 1, 'rotation count should vary between spins');
+    assert.ok(nearMisses > 0, 'some spins should tick past the winning slice');
+
+    // Pixel check on a plan's landing frame, away from the slice middle
+    const plan = planSpin(testNamesOnWheel.length, 3, null, { overshootChance: 1 });
+    const landed = createWheelImage(testNamesOnWheel, 3, 600, plan.finalRotation);
+    assert.deepStrictEqual(colorUnderPointer(landed), segmentColor(3, true));
+    console.log('✅ Motion OK\n');
+
+    // Test 5: Picking and ordering
+    console.log('Test 5: Checking spinWheel, shuffleArray and orderedForWinner...');
+    assert.strictEqual(spinWheel([]), null);
+    for (let i = 0; i < 100; i++) {
+        const index = spinWheel(testNamesOnWheel);
+        assert.ok(index >= 0 && index < testNamesOnWheel.length);
+    }
+    assert.strictEqual(spinWheel(testNamesOnWheel, null, seededRandom(7)), spinWheel(testNamesOnWheel, null, seededRandom(7)));
+    assert.strictEqual(spinWheel(['a', 'b', 'c'], [0, 0, 1]), 2);
 
+    const shuffled = shuffleArray(testNamesOnWheel, seededRandom(3));
+    assert.deepStrictEqual([...shuffled].sort(), [...testNamesOnWheel].sort());
+    assert.deepStrictEqual(shuffled, shuffleArray(testNamesOnWheel, seededRandom(3)));
 
+    const ordered = orderedForWinner(testNamesOnWheel, 5, seededRandom(11));
+    assert.strictEqual(ordered[0], testNamesOnWheel[5]);
+    assert.deepStrictEqual([...ordered].sort(), [...testNamesOnWheel].sort());
+    assert.deepStrictEqual(orderedForWinner([], 0), []);
+    console.log('✅ Picking and ordering OK\n');
 
+    // Test 6: Simulate the full spinning process
+    console.log('Test 6: Simulating full spinning process...');
+    const remainingNames = [...testNamesOnWheel];
+    let round = 1;
+
+    while (remainingNames.length > 1) {
+        const winnerIdx = spinWheel(remainingNames);
+        const winner = remainingNames[winnerIdx];
+
+        console.log(`Round ${round}: ${winner} is removed`);
+
+        // The animation always lands on slice 0 of the reordered wheel
+        const roundNames = orderedForWinner(remainingNames, winnerIdx);
+        fs.writeFileSync(path.join(outputDir, `round_${round}.png`), assertLandsOn(roundNames, 0).toBuffer('image/png'));
+
+        // Remove winner
+        remainingNames.splice(winnerIdx, 1);
+        round++;
+    }
+
+    console.log(`\n🏆 Final Winner: ${remainingNames[0]}`);
+    save('final_winner.png', assertLandsOn([remainingNames[0]], 0).toBuffer('image/png'));
+
+    // Test 7: "Off the wheel" spin animation
+    console.log('Test 7: Rendering the spin animation for "Off the wheel" users...');
+    const offWheelWinnerIdx = spinWheel(testNamesOffWheel);
+    console.log(`Winner to bring back: ${testNamesOffWheel[offWheelWinnerIdx]}`);
+    const gif = await createSpinningAnimation(testNamesOffWheel, offWheelWinnerIdx);
+    assert.ok(Buffer.isBuffer(gif));
+    assert.strictEqual(gif.subarray(0, 6).toString('ascii'), 'GIF89a');
+    assert.strictEqual(await createSpinningAnimation([], 0), null);
+    save('off_wheel_spin.gif', gif);
+
+    // Test 8: Other formats and the upload size fallback
+    console.log('Test 8: Rendering APNG and falling back to fit upload limits...');
+    const apng = await renderSpin(testNamesOffWheel, offWheelWinnerIdx, null, {}, { format: 'apng', quality: 'low' });
+    assert.strictEqual(apng.format, 'apng');
+    assert.strictEqual(apng.fileName, 'wheel_spin.png');
+    assert.ok(apng.buffer.includes(Buffer.from('acTL')), 'APNG should carry an animation control chunk');
+    save('off_wheel_spin.png', apng.buffer);
+
+    const fitted = await renderSpin(testNamesOffWheel, offWheelWinnerIdx, null, {}, { quality: 'medium', maxBytes: gif.length - 1 });
+    assert.ok(fitted === null || (fitted.quality === 'low' && fitted.buffer.length < gif.length));
+    assert.strictEqual(await renderSpin(testNamesOffWheel, 0, null, {}, { quality: 'low', maxBytes: 1 }), null);
+
+    const video = await renderSpin(smallGroup, 0, null, {}, { format: 'mp4', quality: 'low' });
+    assert.strictEqual(video.format, isFormatAvailable('mp4') ? 'mp4' : 'gif');
+    console.log(`✅ mp4 request produced ${video.format}\n`);
+
+    // Test 9: Small wheel (2-3 people)
+    console.log('Test 9: Testing with small group (3 people)...');
+    for (let i = 0; i < smallGroup.length; i++) {
+        assertLandsOn(smallGroup, i);
+    }
+    save('small_wheel.png', createWheelImage(smallGroup).toBuffer('image/png'));
+
+    // Test 10: Themes
+    console.log('Test 10: Rendering every built-in theme...');
+    for (const name of Object.keys(THEMES)) {
+        const style = { theme: resolveTheme(name), images: {} };
+        for (let i = 0; i < testNamesOnWheel.length; i++) {
+            assertLandsOn(testNamesOnWheel, i, null, style);
+        }
+        fs.writeFileSync(path.join(outputDir, `theme_${name}.png`), createWheelImage(testNamesOnWheel, null, 600, 0, null, style).toBuffer('image/png'));
+    }
+    const custom = resolveTheme('classic', { palette: [[10, 20, 30], [200, 150, 100]], pointer: { style: 'arrow' } });
+    assertLandsOn(smallGroup, 2, null, { theme: custom, images: {} });
+    console.log('✅ Themes OK\n');
+
+    // Test 11: Large member lists, emoji and non-Latin names
+    console.log('Test 11: Laying out 2-100 segments with mixed scripts...');
+    const measureByGraphemes = text => graphemes(text).length;
+    assert.strictEqual(truncateToFit('Short', 10, measureByGraphemes), 'Short');
+    assert.strictEqual(truncateToFit('Bartholomew', 6, measureByGraphemes), 'Barth…');
+    assert.strictEqual(truncateToFit('🐷🐷🐷🐷🐷🐷', 4, measureByGraphemes), '🐷🐷🐷…');
+    assert.strictEqual(truncateToFit('👩‍👩‍👧‍👦 Family', 3, measureByGraphemes), '👩‍👩‍👧‍👦…');
+    assert.strictEqual(truncateToFit('Anything', 0, measureByGraphemes), '');
+
+    const mixedNames = [
+        'Zoë', '李小龙', '🐷 Piggy', 'Алексей', 'محمد', 'Søren', 'नमस्ते', '한지민',
+        'Maximilian-Alexander von Habsburg', 'Ωmega', '🎮🎲 Gamer', 'Ñandú',
+    ];
+    const nameList = count => Array.from({ length: count }, (_, i) => `${mixedNames[i % mixedNames.length]} ${i + 1}`);
+
+    for (const count of [2, 10, 30, 60, 100]) {
+        const names = nameList(count);
+        for (const index of [0, Math.floor(count / 2), count - 1]) {
+            assertLandsOn(names, index);
+        }
+        const canvas = createWheelImage(names, null, 600);
+        // Names fit up to a few dozen slices; beyond that numbers and a legend take over
+        if (count <= 30) assert.strictEqual(canvas.width, 600, `${count} names should not need a legend`);
+        if (count === 100) assert.ok(canvas.width > 600, '100 names should get a legend');
+        fs.writeFileSync(path.join(outputDir, `large_${count}.png`), canvas.toBuffer('image/png'));
+    }
+    console.log('✅ Layout OK\n');
+
+    // Test 12: Spin modes
+    console.log('Test 12: Playing out every spin mode...');
+    // Play a draw out with seeded spins; returns the draw and how many spins it took
+    const playDraw = (mode, names, options) => {
+        const draw = spinModes.createDraw(mode, names, options);
+        let spin;
+        while ((spin = spinModes.nextSpin(draw))) {
+            spinModes.recordLanding(draw, spin.ids[spinWheel(spin.ids, spin.segmentWeights, seededRandom(`${mode}-${spin.label}`))]);
+        }
+        return draw;
+    };
+    const lastStanding = playDraw('last-standing', testNamesOnWheel);
+    assert.strictEqual(lastStanding.spins, testNamesOnWheel.length - 1);
+    assert.ok(testNamesOnWheel.includes(lastStanding.winnerId));
+    const firstPick = playDraw('first-pick', testNamesOnWheel);
+    assert.strictEqual(firstPick.spins, 1);
+    assert.ok(testNamesOnWheel.includes(firstPick.winnerId));
+
+    // Two hits win; three different members go to a tiebreak between them
+    const bestOf = spinModes.createDraw('best-of-three', testNamesOnWheel);
+    assert.deepStrictEqual(spinModes.recordLanding(bestOf, 'Alice'), { kind: 'hit', id: 'Alice', hits: 1, tie: null });
+    spinModes.recordLanding(bestOf, 'Bob');
+    assert.deepStrictEqual(spinModes.recordLanding(bestOf, 'Eve').tie, ['Alice', 'Bob', 'Eve']);
+    assert.deepStrictEqual(spinModes.nextSpin(bestOf).ids, ['Alice', 'Bob', 'Eve']);
+    assert.deepStrictEqual(spinModes.recordLanding(bestOf, 'Bob'), { kind: 'picked', id: 'Bob' });
+    assert.strictEqual(bestOf.winnerId, 'Bob');
+    const twice = spinModes.createDraw('best-of-three', testNamesOnWheel);
+    spinModes.recordLanding(twice, 'Diana');
+    spinModes.recordLanding(twice, 'Diana');
+    assert.ok(twice.done && twice.winnerId === 'Diana');
+
+    // Drafts deal everyone round-robin, the last member without a spin
+    const draft = playDraw('team-draft', testNamesOnWheel, { teamCount: 3 });
+    assert.strictEqual(draft.spins, testNamesOnWheel.length - 1);
+    assert.strictEqual(draft.winnerId, null);
+    assert.deepStrictEqual(draft.teams.map(team => team.length), [3, 3, 2]);
+    assert.deepStrictEqual(draft.teams.flat().sort(), [...testNamesOnWheel].sort());
+    assert.strictEqual(spinModes.createDraw('team-draft', smallGroup, { teamCount: 5 }).teams.length, smallGroup.length);
+
+    // Weighted eliminations land on the least favoured, picks on the most
+    const favourOf = name => (name === 'Alice' ? 0.25 : 1);
+    assert.strictEqual(spinModes.nextSpin(spinModes.createDraw('last-standing', smallGroup), favourOf).segmentWeights[0], 4);
+    assert.strictEqual(spinModes.nextSpin(spinModes.createDraw('first-pick', smallGroup), favourOf).segmentWeights[0], 0.25);
+    const chances = spinModes.estimateWinChances('best-of-three', [0.25, 1, 1], 2000);
+    assert.ok(chances[0] < chances[1] && Math.abs(chances.reduce((a, b) => a + b, 0) - 1) < 1e-9);
+    assert.strictEqual(spinModes.estimateWinChances('team-draft', [1, 1]), null);
+    console.log('✅ Spin modes OK\n');
+
+    // Test 13: Schedules
+    console.log('Test 13: Checking cron schedules across time zones...');
+    const nextRun = (cron, timeZone, after) => {
+        const next = scheduler.nextOccurrence(cron, timeZone, new Date(after));
+        return next && next.toISOString();
+    };
+    // Clocks go forward at 02:00 on 8 March 2026 in New York: 02:30 runs at 03:30 EDT
+    assert.strictEqual(nextRun('30 2 * * *', 'America/New_York', '2026-03-08T05:00:00Z'), '2026-03-08T07:30:00.000Z');
+    assert.strictEqual(nextRun('30 2 * * *', 'America/New_York', '2026-03-08T07:30:00Z'), '2026-03-09T06:30:00.000Z');
+    // They go back at 02:00 on 1 November: 01:30 happens twice but runs once
+    assert.strictEqual(nextRun('30 1 * * *', 'America/New_York', '2026-11-01T04:00:00Z'), '2026-11-01T05:30:00.000Z');
+    assert.strictEqual(nextRun('30 1 * * *', 'America/New_York', '2026-11-01T05:30:00Z'), '2026-11-02T06:30:00.000Z');
+    // Europe changes a week earlier; 09:00 local stays 09:00 local
+    assert.strictEqual(nextRun('0 9 * * *', 'Europe/Berlin', '2026-10-24T12:00:00Z'), '2026-10-25T08:00:00.000Z');
+    assert.strictEqual(nextRun('0 9 * * *', 'Asia/Kolkata', '2026-10-19T04:00:00Z'), '2026-10-20T03:30:00.000Z');
+
+    // With both day fields restricted either may match; with one, only it counts
+    assert.strictEqual(nextRun('0 12 13 * fri', 'UTC', '2026-10-19T00:00:00Z'), '2026-10-23T12:00:00.000Z');
+    assert.strictEqual(nextRun('0 12 13 * fri', 'UTC', '2026-10-30T12:00:00Z'), '2026-11-06T12:00:00.000Z');
+    assert.strictEqual(nextRun('0 12 15 * fri', 'UTC', '2026-11-06T12:00:00Z'), '2026-11-13T12:00:00.000Z');
+    assert.strictEqual(nextRun('0 12 15 * fri', 'UTC', '2026-11-13T12:00:00Z'), '2026-11-15T12:00:00.000Z');
+    assert.strictEqual(nextRun('0 18 * * 7', 'UTC', '2026-10-19T00:00:00Z'), '2026-10-25T18:00:00.000Z');
+    assert.strictEqual(nextRun('0 18 1 * *', 'UTC', '2026-10-19T00:00:00Z'), '2026-11-01T18:00:00.000Z');
+    assert.strictEqual(nextRun('*/20 9-10 * jan mon-wed', 'UTC', '2026-10-19T00:00:00Z'), '2027-01-04T09:00:00.000Z');
+    assert.strictEqual(nextRun('0 0 31 2 *', 'UTC', '2026-10-19T00:00:00Z'), null);
+    assert.throws(() => scheduler.parseCron('0 12 * *'), /5 fields/);
+    assert.throws(() => scheduler.parseCron('0 25 * * *'), /hour/);
+    assert.throws(() => scheduler.validateTimeZone('Mars/Olympus'), RangeError);
+
+    // A run missed while the bot was offline fires once on the next check,
+    // and the schedule moves on to the next run after now
+    const schedule = await scheduler.setSchedule('test-guild', { cron: '0 20 * * fri', timezone: 'UTC', channelId: 'c' });
+    schedule.nextRunAt = new Date(Date.now() - 3 * 7 * 86_400_000).toISOString();
+    const due = [];
+    const handlers = { onDue: (guildId, s, info) => due.push({ guildId, ...info }), onReminder: () => {} };
+    await scheduler.tick(handlers);
+    await scheduler.tick(handlers);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(due.length, 1);
+    assert.strictEqual(due[0].guildId, 'test-guild');
+    assert.ok(due[0].missed);
+    assert.ok(Date.parse(scheduler.getSchedule('test-guild').nextRunAt) > Date.now());
+    await scheduler.removeSchedule('test-guild');
+    console.log('✅ Schedules OK\n');
+
+    // Test 14: Saved wheels
+    console.log('Test 14: Checking saved wheel entries and definitions...');
+    assert.deepStrictEqual(savedWheels.parseEntries('Pizza=2, Sushi ,, Tacos = 0.5, Sushi, Pizza=3'), [
+        { name: 'Pizza', weight: 2 },
+        { name: 'Sushi', weight: 1 },
+        { name: 'Tacos', weight: 0.5 },
+    ]);
+    assert.deepStrictEqual(savedWheels.parseEntries(''), []);
+    assert.throws(() => savedWheels.parseEntries('Pizza=0'), /between 0.1 and 10/);
+    assert.throws(() => savedWheels.parseEntries('Pizza=lots'), /between 0.1 and 10/);
+    assert.throws(() => savedWheels.parseEntries('x'.repeat(savedWheels.MAX_ENTRY_LENGTH + 1)), /at most 80 characters/);
+
+    // Imported files may list entries as strings or { name, weight }
+    assert.deepStrictEqual(savedWheels.validateDefinition({
+        name: ' Lunch ',
+        entries: ['Pizza', { name: 'Sushi', weight: 3 }, { name: 'Pizza', weight: 5 }],
+        theme: 'pastel',
+        extra: 'dropped',
+    }), {
+        name: 'lunch',
+        entries: [{ name: 'Pizza', weight: 1 }, { name: 'Sushi', weight: 3 }],
+        roleId: null,
+        theme: 'pastel',
+        mode: 'single',
+    });
+    assert.strictEqual(savedWheels.validateDefinition({ name: 'raid', roleId: 123 }).roleId, '123');
+    const invalid = [
+        [null, /JSON object/],
+        [{ name: 'Raid Boss', entries: ['a'] }, /lowercase/],
+        [{ name: 'raid', entries: 'a, b' }, /must be a list/],
+        [{ name: 'raid', entries: [{ weight: 2 }] }, /needs a name/],
+        [{ name: 'raid', entries: [{ name: 'a', weight: 11 }] }, /between/],
+        [{ name: 'raid', entries: [] }, /entries, a role, or both/],
+        [{ name: 'raid', entries: Array.from({ length: savedWheels.MAX_ENTRIES + 1 }, (_, i) => `Entry ${i}`) }, /at most 100 entries/],
+        [{ name: 'raid', roleId: '<@&123>' }, /role id/],
+        [{ name: 'raid', entries: ['a'], mode: 'draft' }, /`mode`/],
+        [{ name: 'raid', entries: ['a'], theme: 'constructor' }, /`theme`/],
+    ];
+    for (const [definition, message] of invalid) {
+        assert.throws(() => savedWheels.validateDefinition(definition), message);
+    }
+
+    // Names that are also Object.prototype keys are ordinary wheels
+    assert.strictEqual(savedWheels.getWheel('test-guild', 'constructor'), null);
+    await savedWheels.createWheel('test-guild', { name: 'constructor', entries: ['a'] }, 'owner');
+    assert.deepStrictEqual(savedWheels.listWheels('test-guild').map(wheel => wheel.name), ['constructor']);
+    await savedWheels.deleteWheel('test-guild', 'constructor');
+    assert.strictEqual(savedWheels.getWheel('test-guild', 'tostring'), null);
+    console.log('✅ Saved wheels OK\n');
+
+    // Test 15: Permissions
+    console.log('Test 15: Checking permissions, spin channels and the cooldown...');
+    const guild = { roles: { cache: new Map([['mods', { name: 'Mods' }]]) } };
+    const memberWith = (id, roleIds = [], admin = false) => ({
+        id,
+        guild,
+        permissions: { has: () => admin },
+        roles: { cache: new Set(roleIds) },
+    });
+    const admin = memberWith('admin', [], true);
+    const mod = memberWith('mod', ['mods']);
+    const pleb = memberWith('pleb');
+    const open = { permissions: {}, spinChannels: [], spinCooldownHours: 0 };
+    const locked = { permissions: { run: ['mods'], cancel: ['mods'] }, spinChannels: ['spins'], spinCooldownHours: 24 };
+
+    // Until roles are set each action falls back to its default
+    assert.strictEqual(permissions.permissionDenial(pleb, 'run', open), null);
+    assert.strictEqual(permissions.permissionDenial(pleb, 'configure', open), '❌ Only server admins can change the wheel settings here.');
+    assert.strictEqual(permissions.permissionDenial(admin, 'configure', open), null);
+    assert.match(permissions.permissionDenial(pleb, 'cancel', open), /Only the spin's initiator can cancel/);
+    assert.strictEqual(permissions.permissionDenial(pleb, 'cancel', open, { initiatorId: 'pleb' }), null);
+    // Once they are, only those roles (and admins) get through; initiators keep their own spin
+    assert.strictEqual(permissions.permissionDenial(pleb, 'run', locked), '❌ Only Mods can start a spin here.');
+    assert.strictEqual(permissions.permissionDenial(mod, 'run', locked), null);
+    assert.strictEqual(permissions.permissionDenial(admin, 'run', locked), null);
+    assert.strictEqual(permissions.permissionDenial(pleb, 'cancel', locked, { initiatorId: 'pleb' }), null);
+    assert.match(permissions.permissionDenial(pleb, 'cancel', locked), /the spin's initiator or Mods/);
+    assert.throws(() => permissions.permissionDenial(pleb, 'launch', open), /Unknown action/);
+
+    assert.strictEqual(permissions.channelDenial(pleb, { id: 'general' }, open), null);
+    assert.strictEqual(permissions.channelDenial(pleb, { id: 'spins' }, locked), null);
+    assert.strictEqual(permissions.channelDenial(pleb, { id: 'general' }, locked), '❌ Spins can only be held in <#spins>.');
+    assert.strictEqual(permissions.channelDenial(admin, { id: 'general' }, locked), null);
+
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    const lastSpin = '2026-10-19T00:00:00Z';
+    assert.strictEqual(permissions.cooldownRemaining(lastSpin, locked, now), 12 * 3600_000);
+    assert.strictEqual(
+        permissions.cooldownDenial(pleb, lastSpin, locked, now),
+        `⏳ The wheel is cooling down; the next spin can start <t:${Date.parse('2026-10-20T00:00:00Z') / 1000}:R> ` +
+        `(<t:${Date.parse('2026-10-20T00:00:00Z') / 1000}:f>).`
+    );
+    assert.strictEqual(permissions.cooldownDenial(pleb, '2026-10-18T11:00:00Z', locked, now), null);
+    assert.strictEqual(permissions.cooldownDenial(pleb, null, locked, now), null);
+    assert.strictEqual(permissions.cooldownDenial(pleb, lastSpin, open, now), null);
+    assert.strictEqual(permissions.cooldownDenial(admin, lastSpin, locked, now), null);
+    console.log('✅ Permissions OK\n');
+
+    // Test 16: Audit reports
+    console.log('Test 16: Building audit reports and their CSV...');
+    const auditSession = {
+        id: 'abc123',
+        guildId: 'g',
+        channelId: 'c',
+        initiatorId: 'u0',
+        status: 'interrupted',
+        options: { dryRun: false },
+        run: {
+            mode: 'last-standing',
+            startedAt: '2026-10-19T12:00:00.000Z',
+            finishedAt: null,
+            participants: [{ id: 'u1', name: 'Alice, "Al"' }, { id: 'u2', name: '=HYPERLINK("http://x")' }],
+            participantWeights: [1, 0.5],
+            offWheel: null,
+            rounds: [{ round: 1, id: 'u2', name: '=HYPERLINK("http://x")', remaining: 1 }],
+            winner: { id: 'u1', name: 'Alice, "Al"' },
+            fairness: { serverSeedHash: 'hash', clientSeed: 'client', serverSeed: 'secret' },
+        },
+        roleChanges: [{
+            memberId: 'u1',
+            name: 'Alice, "Al"',
+            reason: 'final winner',
+            added: ['winner-role'],
+            removed: ['on-role'],
+            status: 'partial',
+            failures: [{ roleId: 'on-role', action: 'remove', error: 'the bot has no access' }],
+            error: 'remove On: the bot has no access',
+        }],
+        log: [],
+    };
+    const auditGuild = { roles: { cache: new Map([['winner-role', { name: 'Pig' }]]) } };
+    const report = audit.buildRunReport(auditSession, auditGuild);
+    assert.deepStrictEqual(report.participants.map(p => p.weight), [1, 0.5]);
+    // The server seed stays hidden while the spin can still resume
+    assert.deepStrictEqual(report.fairness, { serverSeedHash: 'hash', clientSeed: 'client', serverSeed: null });
+    assert.strictEqual(audit.buildRunReport({ ...auditSession, status: 'completed' }).fairness.serverSeed, 'secret');
+    assert.deepStrictEqual(report.roleChanges[0].added, [{ id: 'winner-role', name: 'Pig' }]);
+    assert.deepStrictEqual(report.roleChanges[0].removed, [{ id: 'on-role', name: 'on-role' }]);
+    assert.deepStrictEqual(report.roleChanges[0].failures, [
+        { id: 'on-role', name: 'on-role', action: 'remove', error: 'the bot has no access' },
+    ]);
+
+    const csvLines = audit.reportToCsv(report).trimEnd().split('\n');
+    assert.strictEqual(csvLines[0], 'type,order,member_id,member_name,detail,status,error');
+    assert.strictEqual(csvLines[1], 'participant,1,u1,"Alice, ""Al""",weight 1,,');
+    // Formulas are turned into text
+    assert.strictEqual(csvLines[2], `participant,2,u2,"'=HYPERLINK(""http://x"")",weight 0.5,,`);
+    assert.strictEqual(csvLines[3], `spin,1,u2,"'=HYPERLINK(""http://x"")",1 remaining,,`);
+    assert.strictEqual(csvLines[5], 'role_change,1,u1,"Alice, ""Al""",final winner: +Pig -on-role,partial,remove On: the bot has no access');
+    const tricky = audit.reportToCsv({
+        ...report,
+        participants: ['+1', '-1', '@SUM(A1)', '\tx', 'plain'].map(name => ({ id: 'u', name, weight: null })),
+        rounds: [],
+        winner: null,
+        roleChanges: [],
+    });
+    assert.deepStrictEqual(
+        tricky.trimEnd().split('\n').slice(1).map(line => line.split(',')[3]),
+        ["'+1", "'-1", "'@SUM(A1)", "'\tx", 'plain']
+    );
+
+    // Field values stay inside Discord's 1024 characters and say what was cut
+    assert.strictEqual(audit.fieldValue([]), 'None');
+    assert.strictEqual(audit.fieldValue([], 'Nobody'), 'Nobody');
+    assert.strictEqual(audit.fieldValue(['a', 'b']), 'a\nb');
+    const longLines = Array.from({ length: 50 }, (_, i) => `${String(i).padStart(2, '0')} ${'x'.repeat(47)}`);
+    const value = audit.fieldValue(longLines);
+    assert.ok(value.length <= 1024);
+    assert.ok(value.endsWith(`…and ${50 - (value.split('\n').length - 1)} more`));
+    assert.ok(value.startsWith(longLines[0]));
+    console.log('✅ Audit reports OK\n');
+
+    // Test 17: Replaying fair spins with departures
+    console.log('Test 17: Replaying fair spins where members leave mid-run...');
+    const replaySeeds = { serverSeed: 'server-seed', clientSeed: 'client-seed' };
+    const replayRandom = label => createRandom(replaySeeds.serverSeed, replaySeeds.clientSeed, label);
+    // Play a run the way the bot's rounds step does. `leavers(draw, landedId)`
+    // names who leaves before each spin (landedId null) and while it spins.
+    const playRun = (mode, ids, leavers) => {
+        const session = {
+            run: { mode, participants: ids.map(id => ({ id, name: id })), rounds: [], fairness: replaySeeds },
+            draw: spinModes.createDraw(mode, ids),
+        };
+        const { run, draw } = session;
+        let spin;
+        for (;;) {
+            for (const id of leavers(draw, null)) lifecycle.dropFromSession(session, id);
+            if (!(spin = spinModes.nextSpin(draw))) break;
+            const landedId = spin.ids[spinWheel(spin.ids, spin.segmentWeights, replayRandom(spin.label))];
+            session.spinning = true;
+            for (const id of leavers(draw, landedId)) lifecycle.dropFromSession(session, id);
+            session.spinning = false;
+            if (!draw.remaining.includes(landedId)) {
+                run.voidLandings = [...(run.voidLandings || []), { spins: draw.spins, id: landedId, name: landedId }];
+                continue;
+            }
+            spinModes.recordLanding(draw, landedId);
+            run.rounds.push({ round: draw.spins, id: landedId, name: landedId, remaining: draw.remaining.length });
+        }
+        run.winner = draw.winnerId ? { id: draw.winnerId, name: draw.winnerId } : null;
+        run.teams = draw.teams && draw.teams.map(team => team.map(id => ({ id, name: id })));
+        return run;
+    };
+    const matchesReplay = run => {
+        const replay = replayRun(run);
+        return replay.landedIds.join() === run.rounds.map(round => round.id).join() &&
+            replay.voidIds.join() === (run.voidLandings || []).map(landing => landing.id).join() &&
+            (run.teams
+                ? JSON.stringify(replay.teams) === JSON.stringify(run.teams.map(team => team.map(m => m.id)))
+                : replay.winnerId === run.winner.id);
+    };
+    // One member leaves before spin 2, the landed one during spin 3 (a void
+    // spin, spun again) and a bystander during spin 5
+    const leaversFor = () => {
+        const done = new Set();
+        return (draw, landedId) => {
+            const key = `${draw.spins}:${landedId !== null}`;
+            if (done.has(key)) return [];
+            done.add(key);
+            if (key === '1:false') return [draw.remaining[draw.remaining.length - 1]];
+            if (key === '2:true') return [landedId];
+            if (key === '4:true') return [draw.remaining.find(id => id !== landedId)];
+            return [];
+        };
+    };
+    for (const mode of ['last-standing', 'team-draft']) {
+        const run = playRun(mode, testNamesOnWheel, leaversFor());
+        assert.strictEqual(run.dropped.length, 3, `${mode}: every departure is recorded`);
+        assert.deepStrictEqual(run.dropped.map(drop => [drop.spins, drop.during]), [[1, false], [2, true], [4, true]]);
+        // (In a draft, the last departure also deals the last member out, so
+        // the spin in the air at the time is void too)
+        assert.deepStrictEqual(run.voidLandings.map(landing => landing.spins), mode === 'team-draft' ? [2, 4] : [2]);
+        assert.ok(matchesReplay(run), `${mode}: the run replays exactly`);
+        // Without the departures the replay goes its own way
+        assert.ok(!matchesReplay({ ...run, dropped: [], voidLandings: [] }), `${mode}: departures matter to the replay`);
+    }
+    assert.ok(matchesReplay(playRun('best-of-three', testNamesOnWheel, () => [])));
+    console.log('✅ Replays OK\n');
+
+    // Test 18: Member lifecycle
+    console.log('Test 18: Checking departures and On/Off role conflicts...');
+    const onRole = { id: 'on', name: 'On the wheel' };
+    const offRole = { id: 'off', name: 'Off the wheel' };
+    const holding = (id, ...roleIds) => ({ id, roles: { cache: new Set(roleIds) } });
+    const both = holding('both', 'on', 'off');
+    const onOnly = holding('on-only', 'on');
+    const offOnly = holding('off-only', 'off');
+    assert.deepStrictEqual(lifecycle.findRoleConflicts([both, onOnly, offOnly], onRole, offRole), [both]);
+    assert.deepStrictEqual(lifecycle.findRoleConflicts([both], onRole, null), []);
+    const repairsFor = roleConflicts => lifecycle.conflictRepairs([both], { roleConflicts }, onRole, offRole);
+    assert.deepStrictEqual(repairsFor('keep-off'), [
+        { member: both, add: [], remove: [onRole], why: 'held both On the wheel and Off the wheel; kept Off the wheel' },
+    ]);
+    assert.deepStrictEqual(repairsFor('keep-on'), [
+        { member: both, add: [], remove: [offRole], why: 'held both On the wheel and Off the wheel; kept On the wheel' },
+    ]);
+    assert.deepStrictEqual(repairsFor('ignore'), []);
+
+    // Leaving before the rounds takes them off the lobby roster only
+    const lobbySession = { roster: ['a', 'b', 'c'], draw: null, run: {} };
+    assert.strictEqual(lifecycle.dropFromSession(lobbySession, 'b'), true);
+    assert.deepStrictEqual(lobbySession.roster, ['a', 'c']);
+    assert.strictEqual(lifecycle.dropFromSession(lobbySession, 'zed'), false);
+    assert.strictEqual(lobbySession.run.dropped, undefined);
+
+    // During the rounds they come off the draw, noted for /verify
+    const roundsSession = { roster: null, draw: spinModes.createDraw('last-standing', ['a', 'b', 'c']), run: {} };
+    spinModes.recordLanding(roundsSession.draw, 'a');
+    roundsSession.spinning = true;
+    assert.strictEqual(lifecycle.dropFromSession(roundsSession, 'b'), true);
+    assert.deepStrictEqual(roundsSession.run.dropped, [{ id: 'b', spins: 1, during: true }]);
+    // The last one left wins, and a finished draw is left alone
+    assert.ok(roundsSession.draw.done && roundsSession.draw.winnerId === 'c');
+    assert.strictEqual(lifecycle.dropFromSession(roundsSession, 'c'), false);
+    // Drafted members stay on their team
+    const draftSession = { roster: null, draw: spinModes.createDraw('team-draft', ['a', 'b', 'c', 'd']), run: {} };
+    spinModes.recordLanding(draftSession.draw, 'a');
+    assert.strictEqual(lifecycle.dropFromSession(draftSession, 'a'), false);
+    assert.deepStrictEqual(draftSession.draw.teams, [['a'], []]);
+
+    // Past runs stop counting for members who left after them
+    const pastRun = {
+        startedAt: '2026-10-01T20:00:00.000Z',
+        participants: [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }, { id: 'c', name: 'C' }],
+        participantWeights: [1, 0.5, 2],
+        offWheel: { candidates: [{ id: 'a', name: 'A' }, { id: 'd', name: 'D' }], weights: [1, 3], returned: { id: 'a', name: 'A' } },
+        rounds: [{ round: 1, id: 'c', name: 'C', remaining: 2 }, { round: 2, id: 'b', name: 'B', remaining: 1 }],
+        winner: { id: 'a', name: 'A' },
+    };
+    const laterRun = { ...pastRun, startedAt: '2026-10-15T20:00:00.000Z' };
+    const [counted, later] = history.withoutDeparted([pastRun, laterRun], { a: '2026-10-08T12:00:00.000Z' });
+    assert.deepStrictEqual(counted.participants.map(p => p.id), ['b', 'c']);
+    assert.deepStrictEqual(counted.participantWeights, [0.5, 2]);
+    assert.deepStrictEqual(counted.offWheel.candidates.map(p => p.id), ['d']);
+    assert.deepStrictEqual(counted.offWheel.weights, [3]);
+    assert.strictEqual(counted.offWheel.returned, null);
+    assert.strictEqual(counted.winner, null);
+    assert.strictEqual(counted.rounds.length, 2);
+    // Runs from after they came back still count
+    assert.deepStrictEqual(later, laterRun);
+    assert.strictEqual(pastRun.winner.id, 'a', 'the recorded run is not changed');
+    const runs = [pastRun];
+    assert.strictEqual(history.withoutDeparted(runs, {}), runs);
+    console.log('✅ Member lifecycle OK\n');
+
+    // Test 19: Role changes
+    console.log('Test 19: Checking role change retries and failure reports...');
+    const apiError = (message, fields) => Object.assign(new Error(message), fields);
+    const missingAccess = () => apiError('Missing Permissions', { code: 50013, status: 403 });
+    // Rate limits, server errors and dropped connections are retried...
+    assert.strictEqual(roleChanges.retryDelay(apiError('Too Many Requests', { status: 429 }), 1), 1000);
+    assert.strictEqual(roleChanges.retryDelay(apiError('Bad Gateway', { status: 502 }), 3), 4000);
+    assert.strictEqual(roleChanges.retryDelay(apiError('Rate limited', { retryAfter: 5000 }), 1), 5000);
+    assert.strictEqual(roleChanges.retryDelay(apiError('Rate limited', { retryAfter: 10 }), 2), 2000);
+    assert.strictEqual(roleChanges.retryDelay(apiError('socket hang up', { code: 'ECONNRESET' }), 1), 1000);
+    // ...but missing permissions and unknown members are not
+    assert.strictEqual(roleChanges.retryDelay(missingAccess(), 1), null);
+    assert.strictEqual(roleChanges.retryDelay(apiError('Unknown Member', { code: 10007, status: 404 }), 1), null);
+
+    let calls = 0;
+    const serverError = apiError('Internal Server Error', { status: 500 });
+    await assert.rejects(roleChanges.withRetries(async () => { calls++; throw serverError; }, undefined, 1), error => error === serverError);
+    assert.strictEqual(calls, roleChanges.MAX_ATTEMPTS, 'gives up after MAX_ATTEMPTS');
+    calls = 0;
+    await assert.rejects(roleChanges.withRetries(async () => { calls++; throw missingAccess(); }, undefined, 1));
+    assert.strictEqual(calls, 1, 'no retry without a chance of success');
+    calls = 0;
+    assert.strictEqual(await roleChanges.withRetries(async () => {
+        if (++calls < 3) throw apiError('Service Unavailable', { status: 503 });
+        return 'applied';
+    }, undefined, 1), 'applied');
+
+    // Fake members whose role calls fail for the role ids in `failing`
+    const role = (id, name) => ({ id, name });
+    const winnerRole = role('winner', 'Pig of the week');
+    const wheelRole = role('on', 'On the wheel');
+    const fakeMember = (id, held, failing = {}) => {
+        const cache = new Set(held);
+        const update = action => async r => {
+            const error = failing[`${action}:${r.id}`];
+            if (error) throw error;
+            if (action === 'add') cache.add(r.id);
+            else cache.delete(r.id);
+        };
+        return { id, displayName: id.toUpperCase(), roles: { cache, add: update('add'), remove: update('remove') } };
+    };
+    const members = [
+        fakeMember('amy', ['on']),
+        fakeMember('bob', ['on', 'winner'], { 'remove:winner': missingAccess() }),
+        fakeMember('cat', [], { 'add:on': apiError('Unknown Member', { code: 10007, status: 404 }) }),
+        // Failures on roles already held (or absent) never come up
+        fakeMember('dan', ['winner'], { 'add:winner': missingAccess(), 'remove:on': missingAccess() }),
+        fakeMember('eve', ['on']),
+        fakeMember('fay', ['on'], { 'add:winner': missingAccess(), 'remove:on': missingAccess() }),
+    ];
+    const changes = [
+        { member: members[0], add: [winnerRole], remove: [wheelRole], reason: 'Spin' },
+        { member: members[1], add: [], remove: [winnerRole], reason: 'Spin' },
+        { member: members[2], add: [wheelRole], reason: 'Spin' },
+        { member: members[3], add: [winnerRole], remove: [wheelRole], reason: 'Spin' },
+        { member: members[4], remove: [wheelRole], reason: 'Spin' },
+        { member: members[5], add: [winnerRole], remove: [wheelRole], reason: 'Spin' },
+    ];
+    const originalError = console.error;
+    console.error = () => {};
+    let failures;
+    try {
+        failures = await roleChanges.applyRoleChanges(changes, { batchSize: 2, batchPauseMs: 0 });
+    } finally {
+        console.error = originalError;
+    }
+    assert.deepStrictEqual(failures.map(f => [f.memberId, f.action, f.roleId]).sort(), [
+        ['bob', 'remove', 'winner'],
+        ['cat', 'add', 'on'],
+        ['fay', 'add', 'winner'],
+        ['fay', 'remove', 'on'],
+    ]);
+    assert.ok(failures.every(f => f.change === changes[members.findIndex(m => m.id === f.memberId)]));
+    assert.strictEqual(failures.find(f => f.memberId === 'cat').error, 'they left the server');
+    // Everything else went through
+    assert.deepStrictEqual([...members[0].roles.cache], ['winner']);
+    assert.deepStrictEqual([...members[4].roles.cache], []);
+    assert.deepStrictEqual([...members[3].roles.cache], ['winner']);
+    assert.deepStrictEqual(await roleChanges.applyRoleChanges([], { batchPauseMs: 0 }), []);
+    console.log('✅ Role changes OK\n');
+
+    // Test 20: Render benchmark
+    console.log('Test 20: Render benchmark (ms per 600px frame)...');
+    for (const count of [2, 10, 30, 60, 100]) {
+        const names = nameList(count);
+        const frames = 10;
+        const started = process.hrtime.bigint();
+        for (let frame = 0; frame < frames; frame++) {
+            createWheelImage(names, null, 600, frame * 0.3);
+        }
+        const perFrame = Number(process.hrtime.bigint() - started) / 1e6 / frames;
+        console.log(`  ${String(count).padStart(3)} names: ${perFrame.toFixed(1)} ms`);
+        // Generous ceiling: a 40-frame spin has to render well inside a minute
+        assert.ok(perFrame < 1000, `rendering ${count} names took ${perFrame.toFixed(0)} ms per frame`);
+    }
+    console.log('✅ Benchmark done\n');
+
+    console.log('✨ All tests complete! Check the test_output/ folder for generated images.');
+}
 
+main().catch(error => {
+    console.error(`❌ ${error.stack || error.message}`);
+    process.exitCode = 1;
+});
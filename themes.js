@@ -0,0 +1,181 @@
+/**
+ * Wheel themes.
+ *
+ * A theme is plain data read by the renderer in wheel.js:
+ *   palette     - slice colours as [r, g, b], cycled around the wheel
+ *   background  - CSS colour behind the wheel; backgroundImage (URL) is drawn over it
+ *   font        - label font family; labelColor / strokeColor for text and outlines
+ *   pointer     - { style: triangle | arrow | pin, color }
+ *   hub         - { color, image (URL) } for the centre circle
+ *   avatars     - draw each member's avatar inside their slice
+ *
+ * A guild picks one of the built-in themes and may override any field on top.
+ */
+
+// The original look of the wheel
+const CLASSIC_PALETTE = [
+    [255, 100, 100],  // Red
+    [100, 255, 100],  // Green
+    [100, 100, 255],  // Blue
+    [255, 255, 100],  // Yellow
+    [255, 100, 255],  // Magenta
+    [100, 255, 255],  // Cyan
+    [255, 200, 100],  // Orange
+    [200, 100, 255],  // Purple
+];
+
+const THEMES = {
+    classic: {
+        description: 'The original bright wheel',
+        palette: CLASSIC_PALETTE,
+        background: 'white',
+        backgroundImage: null,
+        font: 'Arial',
+        labelColor: 'black',
+        strokeColor: 'black',
+        pointer: { style: 'triangle', color: 'red' },
+        hub: { color: 'white', image: null },
+        avatars: false,
+    },
+    pastel: {
+        description: 'Soft colours on cream',
+        palette: [
+            [255, 179, 186],
+            [255, 223, 186],
+            [255, 255, 186],
+            [186, 255, 201],
+            [186, 225, 255],
+            [218, 198, 255],
+        ],
+        background: '#fdf6e3',
+        backgroundImage: null,
+        font: 'Georgia',
+        labelColor: '#444444',
+        strokeColor: '#ffffff',
+        pointer: { style: 'pin', color: '#e07a9b' },
+        hub: { color: '#ffffff', image: null },
+        avatars: false,
+    },
+    midnight: {
+        description: 'Deep blues with gold accents',
+        palette: [
+            [25, 42, 86],
+            [39, 60, 117],
+            [64, 115, 158],
+            [22, 33, 62],
+            [52, 73, 94],
+            [30, 55, 153],
+        ],
+        background: '#0b0f1a',
+        backgroundImage: null,
+        font: 'Verdana',
+        labelColor: '#f5f6fa',
+        strokeColor: '#f1c40f',
+        pointer: { style: 'arrow', color: '#f1c40f' },
+        hub: { color: '#f1c40f', image: null },
+        avatars: false,
+    },
+    piggy: {
+        description: 'Pig of the week pinks, with avatars',
+        palette: [
+            [255, 182, 193],
+            [255, 105, 180],
+            [250, 218, 221],
+            [219, 112, 147],
+        ],
+        background: '#fff0f5',
+        backgroundImage: null,
+        font: 'Comic Sans MS',
+        labelColor: '#4a1c2c',
+        strokeColor: '#4a1c2c',
+        pointer: { style: 'triangle', color: '#c71585' },
+        hub: { color: '#ffc0cb', image: null },
+        avatars: true,
+    },
+};
+
+const DEFAULT_THEME = 'classic';
+
+// Fonts commonly available to the renderer; anything else falls back silently
+const FONTS = ['Arial', 'Verdana', 'Georgia', 'Times New Roman', 'Courier New', 'Impact', 'Comic Sans MS'];
+
+const POINTER_STYLES = ['triangle', 'arrow', 'pin'];
+
+/**
+ * Effective theme: the named built-in theme with the guild's overrides on top.
+ * Unknown names fall back to the default theme.
+ */
+function resolveTheme(name, overrides = {}) {
+    const base = THEMES[name] || THEMES[DEFAULT_THEME];
+    return {
+        ...base,
+        ...overrides,
+        name: THEMES[name] ? name : DEFAULT_THEME,
+        pointer: { ...base.pointer, ...(overrides.pointer || {}) },
+        hub: { ...base.hub, ...(overrides.hub || {}) },
+    };
+}
+
+/**
+ * Parse `#rgb` or `#rrggbb` into [r, g, b].
+ * Throws an Error with a user-facing message if the colour is invalid.
+ */
+function parseHexColor(raw) {
+    const match = String(raw).trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (!match) throw new Error(`\`${raw}\` is not a hex colour like #ff8800`);
+    let hex = match[1];
+    if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+function toHex(color) {
+    return `#${color.map(c => c.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Comma or space separated hex colours, 2 to 16 of them
+function parsePalette(raw) {
+    const colors = String(raw).split(/[\s,]+/).filter(Boolean).map(parseHexColor);
+    if (colors.length < 2 || colors.length > 16) throw new Error('A palette needs between 2 and 16 colours');
+    return colors;
+}
+
+function parseImageUrl(raw) {
+    const value = String(raw).trim();
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        throw new Error(`\`${value}\` is not a valid URL`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error('Image URLs must start with http:// or https://');
+    return url.toString();
+}
+
+/**
+ * Short description of a theme for chat output
+ */
+function describeTheme(theme) {
+    const lines = [
+        `Palette: ${theme.palette.map(toHex).join(' ')}`,
+        `Background: ${theme.background}${theme.backgroundImage ? ` + image <${theme.backgroundImage}>` : ''}`,
+        `Font: ${theme.font} (labels ${theme.labelColor})`,
+        `Pointer: ${theme.pointer.style} (${theme.pointer.color})`,
+        `Hub: ${theme.hub.color}${theme.hub.image ? ` + image <${theme.hub.image}>` : ''}`,
+        `Avatars in slices: ${theme.avatars ? 'on' : 'off'}`,
+    ];
+    return lines.join('\n');
+}
+
+module.exports = {
+    THEMES,
+    DEFAULT_THEME,
+    FONTS,
+    POINTER_STYLES,
+    CLASSIC_PALETTE,
+    resolveTheme,
+    parseHexColor,
+    toHex,
+    parsePalette,
+    parseImageUrl,
+    describeTheme,
+};
@@ -0,0 +1,95 @@
+/**
+ * Weighted wheel rules.
+ *
+ * A member's weight is how strongly the wheel favours them becoming the final
+ * winner: 1 is neutral, lower means less likely. It is the product of
+ *   - a recovery factor: `recentWinPenalty` right after a win, rising linearly
+ *     back to 1 over `penaltyRecoveryRuns` runs, and
+ *   - the admin-set manual multiplier from `memberWeights` (default 1).
+ *
+ * The return spin picks from Off the wheel in proportion to the weight, while
+ * elimination rounds knock members off in proportion to 1 / weight.
+ */
+
+const MIN_WEIGHT = 0.01;
+
+// Number of runs since the member last won, or null if they never have
+function runsSinceLastWin(memberId, runs) {
+    for (let i = runs.length - 1; i >= 0; i--) {
+        if (runs[i].winner && runs[i].winner.id === memberId) return runs.length - 1 - i;
+    }
+    return null;
+}
+
+/**
+ * Weight for every member, in the same order as `members`.
+ * `runs` is the guild's spin history, oldest first.
+ */
+function computeWeights(members, runs, config) {
+    return members.map(member => {
+        let weight = 1;
+        const since = runsSinceLastWin(member.id, runs);
+        if (since !== null && config.penaltyRecoveryRuns > 0) {
+            const recovered = Math.min(1, since / config.penaltyRecoveryRuns);
+            weight *= config.recentWinPenalty + (1 - config.recentWinPenalty) * recovered;
+        }
+        const manual = config.memberWeights[member.id];
+        if (manual !== undefined) weight *= manual;
+        return Math.max(MIN_WEIGHT, weight);
+    });
+}
+
+/**
+ * Per-round elimination weights: the less favoured a member is, the more
+ * likely the wheel lands on them and knocks them off.
+ */
+function eliminationWeights(weights) {
+    return weights.map(weight => 1 / weight);
+}
+
+/**
+ * Normalise weights into probabilities that sum to 1
+ */
+function toProbabilities(weights) {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    return weights.map(w => w / total);
+}
+
+// Index picked by a single weighted draw
+function pickIndex(weights, random = Math.random) {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    let target = random() * total;
+    for (let i = 0; i < weights.length; i++) {
+        target -= weights[i];
+        if (target < 0) return i;
+    }
+    return weights.length - 1;
+}
+
+/**
+ * Estimate each member's chance of being the last one standing after the
+ * elimination rounds. Exact computation is exponential in the member count,
+ * so this simulates the rounds instead.
+ */
+function estimateWinChances(weights, simulations = 5000) {
+    const wins = new Array(weights.length).fill(0);
+    const elimination = eliminationWeights(weights);
+
+    for (let s = 0; s < simulations; s++) {
+        const remaining = weights.map((_, i) => i);
+        while (remaining.length > 1) {
+            const picked = pickIndex(remaining.map(i => elimination[i]));
+            remaining.splice(picked, 1);
+        }
+        wins[remaining[0]]++;
+    }
+    return wins.map(count => count / simulations);
+}
+
+module.exports = {
+    computeWeights,
+    eliminationWeights,
+    toProbabilities,
+    pickIndex,
+    estimateWinChances,
+};
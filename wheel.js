@@ -0,0 +1,478 @@
+const { createCanvas, loadImage } = require('canvas');
+const { pickIndex } = require('./weights');
+const { CLASSIC_PALETTE, resolveTheme } = require('./themes');
+const { QUALITY_PRESETS, encodeAnimation, encodeSpin } = require('./encoders');
+const { planMotion, rotationAt } = require('./motion');
+const { LABEL_OUTER, NUMBER_RADIUS, fontString, truncateToFit, layoutLabels, layoutLegend } = require('./labels');
+
+/**
+ * Wheel engine: picking, ordering and rendering. Nothing here talks to
+ * Discord; renderers return a canvas or a Buffer and the caller decides
+ * where it goes.
+ */
+
+// Colors for the wheel (cycling through these) unless a theme says otherwise
+const WHEEL_COLORS = CLASSIC_PALETTE;
+
+// Pointer angle (radians). 0 == 0° (points to the right).
+const POINTER_ANGLE = 0;
+// Whole rotations before landing when no motion plan says otherwise
+const FIXED_ROTATIONS = 4;
+
+/**
+ * Start/end angle of each segment at rotation 0. Slices are equal unless
+ * `segmentWeights` is given, in which case their size is proportional to it.
+ */
+function segmentAngles(count, segmentWeights = null) {
+    const total = segmentWeights ? segmentWeights.reduce((sum, w) => sum + w, 0) : count;
+    const segments = [];
+    let angle = -Math.PI / 2;
+    for (let i = 0; i < count; i++) {
+        const sweep = (2 * Math.PI) * (segmentWeights ? segmentWeights[i] : 1) / total;
+        segments.push({ start: angle, end: angle + sweep });
+        angle += sweep;
+    }
+    return segments;
+}
+
+/**
+ * RGB fill of a segment; the winner's slice is drawn lighter
+ */
+function segmentColor(index, highlighted = false, palette = WHEEL_COLORS) {
+    const color = palette[index % palette.length];
+    return highlighted ? color.map(c => Math.min(255, c + 50)) : color;
+}
+
+// Angle normalised into [0, 2π)
+function normalizeAngle(angle) {
+    const full = 2 * Math.PI;
+    return ((angle % full) + full) % full;
+}
+
+/**
+ * Wheel rotation (radians) that brings `winnerIndex`'s slice under the
+ * pointer after `rotations` whole turns. `offset` is where in the slice the
+ * pointer stops, from 0 (its leading border) to 1; the middle by default.
+ */
+function landingRotation(count, winnerIndex, segmentWeights = null, rotations = FIXED_ROTATIONS, offset = 0.5) {
+    const winnerSegment = segmentAngles(count, segmentWeights)[winnerIndex];
+    const landingAngle = winnerSegment.start + (winnerSegment.end - winnerSegment.start) * offset;
+    return (rotations * 2 * Math.PI) + (POINTER_ANGLE - landingAngle);
+}
+
+/**
+ * Plan how a spin moves (see motion.js). `options` are planMotion's.
+ * Returns the motion plus `finalRotation`, which always lands on `winnerIndex`.
+ */
+function planSpin(count, winnerIndex, segmentWeights = null, options = {}) {
+    const segments = segmentAngles(count, segmentWeights);
+    const sweep = index => segments[index].end - segments[index].start;
+    // Turning forward moves the pointer back through the slices, so a near
+    // miss spills into the slice before the winner
+    const previous = (winnerIndex - 1 + count) % count;
+    const motion = planMotion(sweep(winnerIndex), previous === winnerIndex ? 0 : sweep(previous), options);
+    return {
+        ...motion,
+        finalRotation: landingRotation(count, winnerIndex, segmentWeights, motion.rotations, motion.landingOffset),
+    };
+}
+
+/**
+ * Index of the segment under the pointer when the wheel is drawn at `rotation`
+ */
+function segmentAtPointer(count, rotation, segmentWeights = null) {
+    const segments = segmentAngles(count, segmentWeights);
+    const first = segments[0].start;
+    // Pointer angle in the wheel's own frame, measured from the first slice
+    const offset = normalizeAngle(POINTER_ANGLE - rotation - first);
+    const index = segments.findIndex(segment => offset < segment.end - first);
+    return index === -1 ? count - 1 : index;
+}
+
+// Loaded images by URL; avatars repeat every round, so keep them around
+const imageCache = new Map();
+const IMAGE_CACHE_LIMIT = 200;
+
+async function loadCachedImage(url) {
+    if (!url) return null;
+    if (!imageCache.has(url)) {
+        if (imageCache.size >= IMAGE_CACHE_LIMIT) {
+            imageCache.delete(imageCache.keys().next().value);
+        }
+        // A broken image is skipped rather than failing the spin
+        imageCache.set(url, loadImage(url).catch(err => {
+            console.error(`Could not load wheel image ${url}: ${err.message}`);
+            return null;
+        }));
+    }
+    return imageCache.get(url);
+}
+
+/**
+ * Fetch the images a theme needs before rendering. `avatarUrls` runs
+ * parallel to the wheel's names and is only loaded if the theme shows avatars.
+ * Resolves to the `images` part of a render style.
+ */
+async function loadWheelImages(theme, avatarUrls = []) {
+    const [background, hub, avatars] = await Promise.all([
+        loadCachedImage(theme.backgroundImage),
+        loadCachedImage(theme.hub.image),
+        theme.avatars ? Promise.all(avatarUrls.map(loadCachedImage)) : [],
+    ]);
+    return { background, hub, avatars };
+}
+
+// Draw `image` scaled to cover the whole w x h area (cropping the overflow)
+function drawCover(ctx, image, w, h) {
+    const scale = Math.max(w / image.width, h / image.height);
+    const dw = image.width * scale;
+    const dh = image.height * scale;
+    ctx.drawImage(image, (w - dw) / 2, (h - dh) / 2, dw, dh);
+}
+
+// Draw `image` clipped to a circle of radius r around (x, y)
+function drawCircleImage(ctx, image, x, y, r) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(x, y, r, 0, 2 * Math.PI);
+    ctx.closePath();
+    ctx.clip();
+    ctx.drawImage(image, x - r, y - r, r * 2, r * 2);
+    ctx.restore();
+}
+
+/**
+ * Fixed pointer at POINTER_ANGLE (not rotated with the wheel), tip toward
+ * the centre
+ */
+function drawPointer(ctx, centerX, centerY, radius, theme) {
+    const angle = POINTER_ANGLE; // absolute angle where pointer points
+    const { style, color } = theme.pointer;
+    const at = (dist, side = 0) => [
+        centerX + dist * Math.cos(angle) + side * Math.cos(angle + Math.PI / 2),
+        centerY + dist * Math.sin(angle) + side * Math.sin(angle + Math.PI / 2),
+    ];
+    const tipDist = radius - 10; // tip sits slightly inside wheel
+    const baseDist = radius + 18; // base of triangle sits outside wheel
+    const sideOffset = 24; // how wide the pointer base is
+
+    ctx.beginPath();
+    if (style === 'arrow') {
+        // Narrow head with a shaft running off the edge of the image
+        const headDist = radius + 8;
+        ctx.moveTo(...at(tipDist));
+        ctx.lineTo(...at(headDist, 16));
+        ctx.lineTo(...at(headDist, 6));
+        ctx.lineTo(...at(radius + 40, 6));
+        ctx.lineTo(...at(radius + 40, -6));
+        ctx.lineTo(...at(headDist, -6));
+        ctx.lineTo(...at(headDist, -16));
+    } else {
+        ctx.moveTo(...at(tipDist));
+        ctx.lineTo(...at(baseDist, sideOffset));
+        ctx.lineTo(...at(baseDist, -sideOffset));
+    }
+    ctx.closePath();
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.strokeStyle = theme.strokeColor;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    if (style === 'pin') {
+        // Round head on the outside end of the triangle
+        ctx.beginPath();
+        ctx.arc(...at(baseDist), 12, 0, 2 * Math.PI);
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.stroke();
+    }
+}
+
+// Scratch context for measuring text before the real canvas is sized
+let measureContext = null;
+
+function textMeasurer(family) {
+    if (!measureContext) measureContext = createCanvas(1, 1).getContext('2d');
+    return (text, fontSize) => {
+        measureContext.font = fontString(fontSize, family);
+        return measureContext.measureText(text).width;
+    };
+}
+
+/**
+ * Draw a slice label along the radius. Labels on the left half of the
+ * screen are flipped so they never read upside down.
+ */
+function drawRadialText(ctx, text, angle, screenAngle, distance, align) {
+    ctx.save();
+    ctx.rotate(angle);
+    const flipped = Math.cos(screenAngle) < 0;
+    if (flipped) ctx.rotate(Math.PI);
+    const flip = { right: 'left', left: 'right', center: 'center' };
+    ctx.textAlign = flipped ? flip[align] : align;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, flipped ? -distance : distance, 0);
+    ctx.restore();
+}
+
+/**
+ * Numbered legend for slices too thin to hold a name, drawn from `left`
+ */
+function drawLegend(ctx, names, indexes, legend, left, theme, winnerIndex) {
+    const measure = textMeasurer(theme.font);
+    indexes.forEach((index, n) => {
+        const column = Math.floor(n / legend.rows);
+        const row = n % legend.rows;
+        const x = left + column * legend.columnWidth;
+        const y = 20 + row * legend.rowHeight + legend.rowHeight / 2;
+        const swatch = legend.fontSize * 0.8;
+        const highlighted = index === winnerIndex;
+
+        const color = segmentColor(index, highlighted, theme.palette);
+        ctx.fillStyle = `rgb(${color[0]}, ${color[1]}, ${color[2]})`;
+        ctx.fillRect(x, y - swatch / 2, swatch, swatch);
+        ctx.strokeStyle = theme.strokeColor;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y - swatch / 2, swatch, swatch);
+
+        const textX = x + swatch + 6;
+        const room = legend.columnWidth - swatch - 12;
+        const fontSize = highlighted ? legend.fontSize * 1.1 : legend.fontSize;
+        const text = truncateToFit(`${index + 1}. ${names[index]}`, room, t => measure(t, fontSize));
+        ctx.fillStyle = theme.labelColor;
+        ctx.font = fontString(fontSize, theme.font, highlighted);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, textX, y);
+    });
+}
+
+/**
+ * Create a visual representation of the wheel with names.
+ * `style` is { theme, images } (see themes.js and loadWheelImages); without it
+ * the classic look is drawn. `images.avatars` runs parallel to `names`.
+ * Labels are laid out by labels.js; when some slices only fit a number, a
+ * legend is drawn to the right and the canvas is wider than `size`.
+ * Returns the canvas; call `.toBuffer('image/png')` for a PNG.
+ */
+function createWheelImage(names, winnerIndex = null, size = 800, rotation = 0, segmentWeights = null, style = {}) {
+    const theme = style.theme || resolveTheme();
+    const images = style.images || {};
+
+    const centerX = size / 2;
+    const centerY = size / 2;
+    const radius = size / 2 - 20;
+
+    const segments = names && names.length > 0 ? segmentAngles(names.length, segmentWeights) : [];
+    const layout = layoutLabels(names || [], segments, radius, textMeasurer(theme.font));
+    const legend = layout.legend.length > 0 ? layoutLegend(layout.legend.length, size) : null;
+    const width = size + (legend ? legend.width : 0);
+
+    const canvas = createCanvas(width, size);
+    const ctx = canvas.getContext('2d');
+
+    // Clear background
+    ctx.fillStyle = theme.background;
+    ctx.fillRect(0, 0, width, size);
+    if (images.background) drawCover(ctx, images.background, width, size);
+
+    if (!names || names.length === 0) {
+        ctx.fillStyle = theme.labelColor;
+        ctx.font = fontString(30, theme.font, false);
+        ctx.textAlign = 'center';
+        ctx.fillText('No names', centerX, centerY);
+        return canvas;
+    }
+
+    // Apply rotation around center
+    ctx.save();
+    ctx.translate(centerX, centerY);
+    ctx.rotate(rotation);
+
+    // Draw wheel segments centered at (0,0)
+    for (let i = 0; i < names.length; i++) {
+        const startAngle = segments[i].start;
+        const endAngle = segments[i].end;
+
+        const color = segmentColor(i, winnerIndex !== null && i === winnerIndex, theme.palette);
+
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.arc(0, 0, radius, startAngle, endAngle);
+        ctx.closePath();
+        ctx.fillStyle = `rgb(${color[0]}, ${color[1]}, ${color[2]})`;
+        ctx.fill();
+        ctx.strokeStyle = theme.strokeColor;
+        // Thin slices would be all border otherwise
+        ctx.lineWidth = names.length > 40 ? 1 : 2;
+        ctx.stroke();
+
+        const midAngle = (startAngle + endAngle) / 2;
+
+        // Avatar between the hub and the name
+        const avatar = images.avatars && images.avatars[i];
+        if (avatar) {
+            const avatarRadius = radius * 0.33;
+            const avatarSize = Math.min(radius * 0.08, (endAngle - startAngle) * avatarRadius * 0.4);
+            if (avatarSize >= 6) {
+                drawCircleImage(ctx, avatar, avatarRadius * Math.cos(midAngle), avatarRadius * Math.sin(midAngle), avatarSize);
+            }
+        }
+
+        // Name (or number), ending near the rim
+        const label = layout.labels[i];
+        if (label.text) {
+            ctx.fillStyle = theme.labelColor;
+            ctx.font = fontString(label.fontSize, theme.font);
+            if (label.numbered) {
+                drawRadialText(ctx, label.text, midAngle, midAngle + rotation, radius * NUMBER_RADIUS, 'center');
+            } else {
+                drawRadialText(ctx, label.text, midAngle, midAngle + rotation, radius * LABEL_OUTER, 'right');
+            }
+        }
+    }
+
+    // Center circle
+    ctx.beginPath();
+    ctx.arc(0, 0, 30, 0, 2 * Math.PI);
+    ctx.fillStyle = theme.hub.color;
+    ctx.fill();
+    if (images.hub) drawCircleImage(ctx, images.hub, 0, 0, 30);
+    ctx.beginPath();
+    ctx.arc(0, 0, 30, 0, 2 * Math.PI);
+    ctx.strokeStyle = theme.strokeColor;
+    ctx.lineWidth = 3;
+    ctx.stroke();
+
+    ctx.restore();
+
+    drawPointer(ctx, centerX, centerY, radius, theme);
+
+    if (legend) {
+        // Clear of the pointer, which reaches past the wheel's right edge
+        drawLegend(ctx, names, layout.legend, legend, size + 24, theme, winnerIndex);
+    }
+
+    return canvas;
+}
+
+/**
+ * Timing of a spin landing on `winnerIndex` at a quality preset, one
+ * { rotation, delay, highlight } per frame: the wheel's rotation, how long the
+ * frame shows (ms), and whether the winner's slice is lit.
+ * `plan` comes from planSpin; a fresh one is made if omitted.
+ */
+function* spinTimeline(count, winnerIndex, segmentWeights, preset, plan = null) {
+    const { frames: totalFrames, slowDownFrames, fastDelay } = preset;
+    const motion = plan || planSpin(count, winnerIndex, segmentWeights);
+    const slowStep = 210 / Math.max(1, slowDownFrames - 1);
+
+    for (let frame = 0; frame < totalFrames; frame++) {
+        const progress = frame / (totalFrames - 1);
+        const rotation = rotationAt(motion.finalRotation, motion, progress);
+
+        let delay;
+        if (frame < totalFrames - slowDownFrames) {
+            delay = fastDelay;
+        } else {
+            delay = Math.round(50 + (frame - (totalFrames - slowDownFrames)) * slowStep);
+        }
+
+        // Highlight the winner for the last few frames, while the pointer is on it
+        const highlight = frame >= totalFrames - 5 && segmentAtPointer(count, rotation, segmentWeights) === winnerIndex;
+        yield { rotation, delay, highlight };
+    }
+}
+
+/**
+ * Frames of a spin landing on `winnerIndex`, rendered lazily as { canvas, delay }.
+ * `plan` comes from planSpin; a fresh one is made if omitted.
+ */
+function* spinFrames(names, winnerIndex, segmentWeights, style, preset, plan = null) {
+    for (const { rotation, delay, highlight } of spinTimeline(names.length, winnerIndex, segmentWeights, preset, plan)) {
+        const canvas = createWheelImage(names, highlight ? winnerIndex : null, preset.size, rotation, segmentWeights, style);
+        yield { canvas, delay };
+    }
+}
+
+/**
+ * Create an animated GIF that spins and stops on the winner.
+ * `style` is passed through to createWheelImage. Resolves to the GIF as a Buffer.
+ */
+async function createSpinningAnimation(names, winnerIndex, segmentWeights = null, style = {}, quality = 'medium', plan = null) {
+    if (!names || names.length === 0) return null;
+    const preset = QUALITY_PRESETS[quality] || QUALITY_PRESETS.medium;
+    return encodeAnimation('gif', spinFrames(names, winnerIndex, segmentWeights, style, preset, plan), preset);
+}
+
+/**
+ * Render a spin animation that fits in `maxBytes` (see encodeSpin for the
+ * format and quality fallback and the result).
+ * `plan` is a motion already planned with planSpin, else one is planned from
+ * the planSpin options in `motion`; every attempt replays the same motion.
+ */
+async function renderSpin(names, winnerIndex, segmentWeights = null, style = {}, { format = 'gif', quality = 'medium', maxBytes = Infinity, motion = {}, plan = null } = {}) {
+    if (!names || names.length === 0) return null;
+    plan = plan || planSpin(names.length, winnerIndex, segmentWeights, motion);
+    return encodeSpin(
+        preset => spinFrames(names, winnerIndex, segmentWeights, style, preset, plan),
+        { format, quality, maxBytes }
+    );
+}
+
+/**
+ * Spin the wheel and return a random winner.
+ * With `segmentWeights` each index is picked in proportion to its weight.
+ * `random` replaces Math.random (fair spins pass a seeded source).
+ */
+function spinWheel(users, segmentWeights = null, random = Math.random) {
+    if (!users || users.length === 0) {
+        return null;
+    }
+    if (segmentWeights) {
+        return pickIndex(segmentWeights, random);
+    }
+    // return a random index (caller can get the item by index)
+    return Math.floor(random() * users.length);
+}
+
+// Shuffle helper
+function shuffleArray(arr, random = Math.random) {
+    const a = arr.slice();
+    for (let i = a.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [a[i], a[j]] = [a[j], a[i]];
+    }
+    return a;
+}
+
+// Return a new array where the chosen winnerIndex is placed at index 0,
+// and the remaining items are shuffled (so animation can always land on index 0).
+function orderedForWinner(names, winnerIndex, random = Math.random) {
+    if (!Array.isArray(names) || names.length === 0) return [];
+    const winner = names[winnerIndex];
+    const others = names.slice();
+    others.splice(winnerIndex, 1);
+    const shuffled = shuffleArray(others, random);
+    return [winner, ...shuffled];
+}
+
+module.exports = {
+    WHEEL_COLORS,
+    POINTER_ANGLE,
+    FIXED_ROTATIONS,
+    segmentAngles,
+    segmentColor,
+    landingRotation,
+    planSpin,
+    segmentAtPointer,
+    spinTimeline,
+    loadWheelImages,
+    createWheelImage,
+    createSpinningAnimation,
+    renderSpin,
+    spinWheel,
+    shuffleArray,
+    orderedForWinner,
+};